@@ -382,7 +382,7 @@ exports.makePropertyLive = async (req, res) => {
     }
 
     // Use the instance method from Property schema
-    await property.makeLive();
+    await property.makeLive(req.user._id || req.user.id);
 
     // Send notification to seller
     if (Notification && Notification.createNotification) {
@@ -891,6 +891,10 @@ exports.updateProperty = async (req, res) => {
     delete updateData.seller;
     delete updateData.createdAt;
     delete updateData.updatedAt;
+    // Status changes only go through the approve/reject/suspend/make-live endpoints
+    delete updateData.status;
+    delete updateData.approval_status;
+    delete updateData.previous_status;
     
     const property = await Property.findByIdAndUpdate(
       id,
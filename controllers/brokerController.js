@@ -1,8 +1,8 @@
 const Property = require('../models/Property');
 const Cart = require('../models/Cart');
 const Commission = require('../models/Commission');
-const Notification = require('../models/Notification');
 const Rule = require('../models/Rule');
+const visitVerificationService = require('../services/visitVerificationService');
 
 // Get broker dashboard
 exports.getDashboard = async (req, res) => {
@@ -145,10 +145,11 @@ exports.addProperty = async (req, res) => {
         role: 'broker'
       },
       broker: req.user.id,
-      status: 'pending_approval'
+      status: 'draft'
     };
 
-    const property = await Property.create(propertyData);
+    const property = new Property(propertyData);
+    await property.submitForApproval(req.user.id, 'broker');
 
     // Update broker's commission rate based on rule
     const adderRule = await Rule.getRule('commission_adder', { userType: 'broker' });
@@ -176,96 +177,55 @@ exports.addProperty = async (req, res) => {
   }
 };
 
-// Confirm visit as broker
+// Confirm visit as broker. With the buyer's OTP the visit is verified and
+// the commission recorded; without it the confirmation goes to admin review.
 exports.confirmVisit = async (req, res) => {
   try {
-    const { propertyId, buyerId, confirmationMethod } = req.body;
-    
-    const cart = await Cart.findOne({ buyer: buyerId });
-    if (!cart) {
-      return res.status(404).json({
-        success: false,
-        message: 'Cart not found'
-      });
-    }
-
-    const cartItem = cart.items.find(
-      item => item.property.toString() === propertyId && item.status === 'active'
-    );
+    const { propertyId, buyerId, otp, notes } = req.body;
 
-    if (!cartItem) {
+    // Check if broker is assigned to this property
+    const property = await Property.findById(propertyId);
+    if (!property) {
       return res.status(404).json({
         success: false,
-        message: 'Property not found in cart'
+        message: 'Property not found'
       });
     }
-
-    // Check if broker is assigned to this property
-    const property = await Property.findById(propertyId);
-    if (property.broker.toString() !== req.user.id.toString()) {
+    if (!property.broker || property.broker.toString() !== req.user.id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to confirm visit for this property'
       });
     }
 
-    // Update visit status
-    cartItem.visit_status = 'confirmed';
-    cartItem.visit_confirmed_at = new Date();
-    cartItem.confirmed_by = req.user.id;
-    cartItem.booking_window_start = new Date();
-    
-    await cart.save();
-
-    // Update property status
-    property.cart_status.visit_confirmed = true;
-    property.cart_status.visit_confirmed_at = new Date();
-    property.cart_status.booking_window_start = new Date();
-    property.cart_status.confirmed_by = {
-      user: req.user.id,
-      role: 'broker',
-      method: confirmationMethod
-    };
-    await property.save();
-
-    // Create seller commission if broker sells property they didn't add
-    if (property.added_by.user.toString() !== req.user.id.toString()) {
-      const sellerRule = await Rule.getRule('commission_seller', { userType: 'broker' });
-      await Commission.create({
-        broker: req.user.id,
-        property: property._id,
-        commission_type: 'seller',
-        rate: sellerRule?.value || 2,
-        amount: (property.price * (sellerRule?.value || 2)) / 100,
-        property_price: property.price,
-        status: 'pending'
+    if (otp) {
+      const { item, commission } = await visitVerificationService.verify(propertyId, {
+        userId: req.user.id,
+        role: 'broker',
+        otp: String(otp).trim()
+      });
+      return res.json({
+        success: true,
+        message: 'Visit verified successfully',
+        cartItem: item,
+        commission
       });
     }
 
-    // Send notifications
-    await Notification.createNotification(
+    const { item } = await visitVerificationService.confirmManually(propertyId, {
       buyerId,
-      'visit_confirmed',
-      'Visit Confirmed by Broker',
-      `Broker has confirmed your visit to "${property.title}".`,
-      { property_id: property._id }
-    );
-
-    await Notification.createNotification(
-      property.seller,
-      'visit_confirmed',
-      'Visit Confirmed',
-      `Broker has confirmed buyer visit for "${property.title}".`,
-      { property_id: property._id }
-    );
+      userId: req.user.id,
+      role: 'broker',
+      notes
+    });
 
     res.json({
       success: true,
-      message: 'Visit confirmed successfully',
-      cartItem
+      message: 'Visit confirmed. Commission is pending admin review.',
+      cartItem: item
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(['CartError', 'CheckInError'].includes(error.name) ? error.status : 500).json({
       success: false,
       message: error.message
     });
@@ -1,15 +1,8 @@
 const Property = require('../models/Property');
 const Cart = require('../models/Cart');
 const Notification = require('../models/Notification');
-const cloudinary = require('cloudinary').v2;
-const fs = require('fs');
-
-// Configure Cloudinary from environment variables
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME || 'dvwmsbaxa',
-  api_key: process.env.CLOUDINARY_API_KEY || '777723727737389',
-  api_secret: process.env.CLOUDINARY_API_SECRET || 'ptGFnvzc32seRMj2LRAKXMGz-pD8'
-});
+const imagePipeline = require('../services/imagePipeline');
+const gazetteerService = require('../services/gazetteerService');
 
 // Get seller dashboard API
 exports.getDashboard = async (req, res) => {
@@ -97,29 +90,25 @@ exports.addProperty = async (req, res) => {
       ? amenities 
       : (amenities ? [amenities] : []);
 
-    // Handle images upload to Cloudinary
+    // Handle images upload
     const imageUploads = [];
     if (req.files && req.files.length > 0) {
-      console.log('📸 Uploading images to Cloudinary...');
+      console.log('📸 Processing and uploading images...');
       for (let i = 0; i < req.files.length; i++) {
         const image = req.files[i];
         try {
           console.log(`  Uploading image ${i + 1}: ${image.originalname}`);
-          const result = await cloudinary.uploader.upload(image.path, {
-            folder: 'propbandhu/properties',
-            transformation: [{ width: 1200, height: 800, crop: 'limit' }]
+          const result = await imagePipeline.uploadPropertyImage(image.buffer, {
+            folder: 'propbandhu/properties'
           });
           
           imageUploads.push({
-            url: result.secure_url,
-            public_id: result.public_id,
+            ...result,
             caption: `Image ${i + 1}`,
             is_primary: i === 0 // First image as primary
           });
           
-          // Delete temp file
-          fs.unlinkSync(image.path);
-          console.log(`  ✅ Image ${i + 1} uploaded: ${result.secure_url}`);
+          console.log(`  ✅ Image ${i + 1} uploaded: ${result.url}`);
         } catch (uploadError) {
           console.error(`  ❌ Image upload error:`, uploadError.message);
         }
@@ -165,7 +154,7 @@ exports.addProperty = async (req, res) => {
         user: req.user.id,
         role: 'seller'
       },
-      status: 'pending_approval' // Goes to admin for approval
+      status: 'draft' // Submitted to admin for approval below
     };
 
     console.log('💾 Saving property to database...');
@@ -177,8 +166,22 @@ exports.addProperty = async (req, res) => {
       images: propertyData.images.length
     });
 
-    // Save property to database
-    const property = await Property.create(propertyData);
+    // Normalize the address against the pincode gazetteer
+    const resolvedAddress = await gazetteerService.resolveAddress(propertyData.address);
+    if (Object.keys(resolvedAddress.errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: gazetteerService.firstError(resolvedAddress.errors),
+        errors: resolvedAddress.errors
+      });
+    }
+    propertyData.address = resolvedAddress.address;
+
+    // Save property as draft and submit it for approval
+    const property = new Property(propertyData);
+    property.setCoordinates(req.body.latitude, req.body.longitude);
+    await imagePipeline.flagDuplicates(property);
+    await property.submitForApproval(req.user.id, 'seller');
 
     console.log(`✅ Property submitted for approval: ${property.title} (ID: ${property._id})`);
 
@@ -247,13 +250,15 @@ exports.updateProperty = async (req, res) => {
     const filteredUpdate = {};
     
     Object.keys(updateData).forEach(key => {
-      if (allowedFields.includes(key)) {
+      // Status changes only go through the status state machine
+      if (allowedFields.includes(key) && key !== 'status') {
         filteredUpdate[key] = updateData[key];
       }
     });
 
     // Update property
     Object.assign(property, filteredUpdate);
+    property.last_edited_at = new Date();
     await property.save();
 
     res.json({
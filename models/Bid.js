@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One accepted bid in a round of a property's auction. sequence is the
+// value of Property.auction.sequence the bid moved the auction to, so the
+// unique index leaves exactly one bid per step and the bids of a round
+// replay in the order they were accepted.
+const bidSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  bidder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  round: {
+    type: Number,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Auction end after this bid; later than before when it was a late bid
+  ends_at: Date,
+  extended: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+bidSchema.index({ property: 1, round: 1, sequence: 1 }, { unique: true });
+bidSchema.index({ bidder: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bid', bidSchema);
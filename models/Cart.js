@@ -30,6 +30,11 @@ const cartSchema = new mongoose.Schema({
     },
     scheduled_date: Date,
     scheduled_time: String,
+    // The visit slot held for this item, when one is booked
+    visit_booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VisitBooking'
+    },
     visit_type: {
       type: String,
       enum: ['in_person', 'virtual', 'broker_accompanied']
@@ -43,6 +48,35 @@ const cartSchema = new mongoose.Schema({
       type: String,
       enum: ['otp', 'qr', 'manual', 'scheduled']
     },
+    // One-time code the buyer shows at the visit, as an OTP or a QR link.
+    // Only hashes are stored; the code is cleared once used.
+    check_in: {
+      otp_hash: String,
+      token_hash: String,
+      issued_at: Date,
+      expires_at: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      }
+    },
+    // Manual confirmations wait for an admin before a commission is recorded
+    confirmation_review: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected']
+      },
+      reviewed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewed_at: Date,
+      reason: String
+    },
+    commission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Commission'
+    },
     booking_window_start: Date,
     booking_window_end: Date,
     notes: String,
@@ -98,6 +132,8 @@ cartSchema.index({ 'items.status': 1 });
 cartSchema.index({ 'items.visit_status': 1 });
 cartSchema.index({ 'items.booking_window_end': 1 });
 cartSchema.index({ 'items.added_at': 1 });
+cartSchema.index({ 'items.check_in.token_hash': 1 }, { sparse: true });
+cartSchema.index({ 'items.confirmation_review.status': 1 });
 
 // Virtual for active items count
 cartSchema.virtual('activeItems').get(function() {
@@ -120,6 +156,21 @@ cartSchema.virtual('confirmedVisits').get(function() {
   ).length;
 });
 
+// Item fields under the names the cart and visit pages read
+const itemSchema = cartSchema.path('items').schema;
+
+itemSchema.virtual('visit_scheduled').get(function() {
+  return ['scheduled', 'confirmed', 'completed'].includes(this.visit_status);
+});
+
+itemSchema.virtual('visit_date').get(function() {
+  return this.scheduled_date;
+});
+
+itemSchema.virtual('visit_notes').get(function() {
+  return this.notes;
+});
+
 // Pre-save middleware to update total value
 cartSchema.pre('save', function(next) {
   // Update last_updated timestamp
@@ -132,6 +183,9 @@ cartSchema.pre('save', function(next) {
   next();
 });
 
+// Cart changes that touch Property.cart_status (add, remove, schedule,
+// confirm, expire, unlock) live in services/cartService.js
+
 // Method to check if property is in cart
 cartSchema.methods.isPropertyInCart = function(propertyId) {
   return this.items.some(item => 
@@ -140,145 +194,52 @@ cartSchema.methods.isPropertyInCart = function(propertyId) {
   );
 };
 
-// Method to add item to cart
-cartSchema.methods.addItem = async function(propertyId) {
-  if (this.isPropertyInCart(propertyId)) {
-    throw new Error('Property already in cart');
-  }
-  
-  const activeItems = this.items.filter(item => item.status === 'active');
-  if (activeItems.length >= this.settings.max_properties) {
-    throw new Error(`Cart limit reached. Maximum ${this.settings.max_properties} properties allowed.`);
-  }
-  
-  this.items.push({
-    property: propertyId,
-    added_at: new Date(),
-    status: 'active',
-    visit_status: 'pending'
-  });
-  
-  return this.save();
-};
-
-// Method to remove item from cart
-cartSchema.methods.removeItem = async function(propertyId) {
-  const itemIndex = this.items.findIndex(item => 
-    item.property.toString() === propertyId.toString() && 
-    item.status === 'active'
-  );
-  
-  if (itemIndex === -1) {
-    throw new Error('Property not found in cart');
-  }
-  
-  this.items[itemIndex].status = 'removed';
-  return this.save();
-};
-
-// Method to schedule visit
-cartSchema.methods.scheduleVisit = async function(propertyId, visitData) {
-  const item = this.items.find(item => 
-    item.property.toString() === propertyId.toString() && 
-    item.status === 'active'
+// Static method to push an active item in one conditional update. The
+// filter re-checks the cart limit and duplicates on the server, so
+// concurrent adds by the same buyer cannot overfill the cart. Resolves to
+// null when the item was not added.
+cartSchema.statics.pushActiveItem = function(buyerId, propertyId) {
+  return this.findOneAndUpdate(
+    {
+      buyer: buyerId,
+      items: { $not: { $elemMatch: { property: propertyId, status: 'active' } } },
+      $expr: {
+        $lt: [
+          { $size: { $filter: { input: '$items', cond: { $eq: ['$$this.status', 'active'] } } } },
+          { $ifNull: ['$settings.max_properties', 5] }
+        ]
+      }
+    },
+    {
+      $push: {
+        items: {
+          property: propertyId,
+          added_at: new Date(),
+          status: 'active',
+          visit_status: 'pending'
+        }
+      },
+      $set: { last_updated: new Date() }
+    },
+    { new: true }
   );
-  
-  if (!item) {
-    throw new Error('Property not found in cart');
-  }
-  
-  // Check visit window
-  const addedDate = new Date(item.added_at);
-  const visitExpiry = new Date(addedDate);
-  visitExpiry.setDate(visitExpiry.getDate() + this.settings.visit_window_days);
-  
-  if (new Date() > visitExpiry) {
-    item.visit_status = 'expired';
-    item.status = 'expired';
-    await this.save();
-    throw new Error('Visit window has expired');
-  }
-  
-  // Update visit details
-  item.visit_status = 'scheduled';
-  item.scheduled_date = visitData.scheduled_date;
-  item.scheduled_time = visitData.scheduled_time;
-  item.visit_type = visitData.visit_type;
-  item.phone_number = visitData.phone_number;
-  item.special_requests = visitData.special_requests;
-  item.notes = visitData.notes;
-  
-  return this.save();
 };
 
-// Method to confirm visit
-cartSchema.methods.confirmVisit = async function(propertyId, confirmedBy, method = 'manual') {
-  const item = this.items.find(item => 
-    item.property.toString() === propertyId.toString() && 
-    item.status === 'active'
-  );
-  
-  if (!item) {
-    throw new Error('Property not found in cart');
-  }
-  
-  if (item.visit_status === 'confirmed') {
-    throw new Error('Visit already confirmed');
-  }
-  
-  // Check visit window
-  const addedDate = new Date(item.added_at);
-  const visitExpiry = new Date(addedDate);
-  visitExpiry.setDate(visitExpiry.getDate() + this.settings.visit_window_days);
-  
-  if (new Date() > visitExpiry) {
-    item.visit_status = 'expired';
-    item.status = 'expired';
-    await this.save();
-    throw new Error('Visit window has expired');
-  }
-  
-  // Update visit status
-  item.visit_status = 'confirmed';
-  item.visit_confirmed_at = new Date();
-  item.confirmed_by = confirmedBy;
-  item.confirmation_method = method;
-  item.booking_window_start = new Date();
-  item.booking_window_end = new Date(Date.now() + this.settings.booking_window_days * 24 * 60 * 60 * 1000);
-  
-  return this.save();
-};
+// Static method to get a buyer's cart, creating it on first use. Two
+// first-time requests may race on the unique buyer index; the loser reads
+// the winner's cart.
+cartSchema.statics.findOrCreate = async function(buyerId, settings = {}) {
+  const cart = await this.findOne({ buyer: buyerId });
+  if (cart) return cart;
 
-// Method to check expired items (for cron job)
-cartSchema.methods.checkExpiredItems = async function() {
-  const now = new Date();
-  const visitWindowMs = this.settings.visit_window_days * 24 * 60 * 60 * 1000;
-  let updated = false;
-  
-  this.items.forEach(item => {
-    if (item.status === 'active' && item.visit_status === 'pending') {
-      const addedTime = new Date(item.added_at).getTime();
-      if (now.getTime() - addedTime > visitWindowMs) {
-        item.visit_status = 'expired';
-        item.status = 'expired';
-        updated = true;
-      }
-    }
-    
-    // Check booking window expiry
-    if (item.status === 'active' && item.visit_status === 'confirmed' && item.booking_window_end) {
-      if (now > item.booking_window_end) {
-        item.status = 'expired';
-        updated = true;
-      }
+  try {
+    return await this.create({ buyer: buyerId, items: [], settings });
+  } catch (error) {
+    if (error.code === 11000) {
+      return this.findOne({ buyer: buyerId });
     }
-  });
-  
-  if (updated) {
-    await this.save();
+    throw error;
   }
-  
-  return updated;
 };
 
 // Static method to get cart by buyer with populated data
@@ -293,19 +254,4 @@ cartSchema.statics.findByBuyer = function(buyerId) {
     });
 };
 
-// Static method to clean expired carts (for cron job)
-cartSchema.statics.cleanExpiredItems = async function() {
-  const carts = await this.find({});
-  let totalUpdated = 0;
-  
-  for (const cart of carts) {
-    const updated = await cart.checkExpiredItems();
-    if (updated) {
-      totalUpdated++;
-    }
-  }
-  
-  return totalUpdated;
-};
-
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
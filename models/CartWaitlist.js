@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Entries still in the queue: waiting for their turn, or holding an offer
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+// A buyer queued for a property that is locked in someone else's cart.
+// When the lock is released the oldest waiting entry is offered a
+// time-limited claim; it passes down the line if not accepted in time.
+const cartWaitlistSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'passed', 'left'],
+    default: 'waiting'
+  },
+  // Queue order; reset when a buyer rejoins after leaving or passing
+  joined_at: {
+    type: Date,
+    default: Date.now
+  },
+  offered_at: Date,
+  offer_expires_at: Date,
+  resolved_at: Date
+}, {
+  timestamps: true
+});
+
+// One entry per buyer and property, reused when the buyer rejoins
+cartWaitlistSchema.index({ property: 1, buyer: 1 }, { unique: true });
+cartWaitlistSchema.index({ property: 1, status: 1, joined_at: 1 });
+cartWaitlistSchema.index({ status: 1, offer_expires_at: 1 });
+cartWaitlistSchema.index({ buyer: 1, status: 1 });
+
+cartWaitlistSchema.statics.findActive = function(propertyId, buyerId) {
+  return this.findOne({ property: propertyId, buyer: buyerId, status: { $in: ACTIVE_STATUSES } });
+};
+
+// 1-based place in the queue; an entry holding the offer is at the front
+cartWaitlistSchema.methods.getPosition = async function() {
+  if (this.status === 'offered') return 0;
+  if (this.status !== 'waiting') return null;
+
+  const ahead = await this.constructor.countDocuments({
+    property: this.property,
+    status: 'waiting',
+    joined_at: { $lt: this.joined_at }
+  });
+  return ahead + 1;
+};
+
+cartWaitlistSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('CartWaitlist', cartWaitlistSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ist = require('../utils/ist');
 
 const commissionSchema = new mongoose.Schema({
   broker: {
@@ -43,6 +44,31 @@ const commissionSchema = new mongoose.Schema({
     enum: ['bank_transfer', 'cheque', 'cash', 'online']
   },
   transaction_id: String,
+  // The payout batch that paid this commission
+  payout_batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  // Tax worked out when the commission was paid: GST added for a
+  // registered broker, TDS withheld under section 194H
+  tax: {
+    financial_year: String,
+    quarter: {
+      type: String,
+      enum: ['Q1', 'Q2', 'Q3', 'Q4']
+    },
+    pan: String,
+    gstin: String,
+    gst_rate: Number,
+    gst_amount: Number,
+    tds_section: String,
+    tds_rate: Number,
+    tds_amount: Number,
+    // Part of tds_amount withheld for earlier payments in the year, made
+    // before the broker crossed the TDS threshold
+    tds_catch_up: Number,
+    net_payable: Number
+  },
   notes: String,
   
   // For audit trail
@@ -82,6 +108,7 @@ commissionSchema.index({ property: 1 });
 commissionSchema.index({ status: 1, created_at: 1 });
 commissionSchema.index({ broker: 1, payment_date: 1 });
 commissionSchema.index({ commission_type: 1, status: 1 });
+commissionSchema.index({ 'tax.financial_year': 1, 'tax.quarter': 1 }, { sparse: true });
 
 // Virtual for formatted amount
 commissionSchema.virtual('formatted_amount').get(function() {
@@ -194,22 +221,24 @@ commissionSchema.statics.getBrokerTotal = async function(brokerId, status = null
   }, {});
 };
 
-// Static method to get commission summary by month
-commissionSchema.statics.getMonthlySummary = async function(brokerId, year = new Date().getFullYear()) {
+// Static method to get commission summary by month. Months are Indian
+// calendar months, as on broker statements.
+commissionSchema.statics.getMonthlySummary = async function(brokerId, year = ist.monthOf().year) {
+  year = Number(year);
   return this.aggregate([
     {
       $match: {
-        broker: mongoose.Types.ObjectId(brokerId),
+        broker: new mongoose.Types.ObjectId(brokerId),
         status: 'paid',
         paid_at: {
-          $gte: new Date(`${year}-01-01`),
-          $lt: new Date(`${year + 1}-01-01`)
+          $gte: ist.startOfMonth(year, 1),
+          $lt: ist.startOfMonth(year + 1, 1)
         }
       }
     },
     {
       $group: {
-        _id: { $month: '$paid_at' },
+        _id: { $month: { date: '$paid_at', timezone: ist.IST_TIMEZONE } },
         totalAmount: { $sum: '$amount' },
         count: { $sum: 1 },
         avgAmount: { $avg: '$amount' }
@@ -221,4 +250,48 @@ commissionSchema.statics.getMonthlySummary = async function(brokerId, year = new
   ]);
 };
 
+// Static method to get commissions earned by month (cancelled ones excluded)
+commissionSchema.statics.getMonthlyEarnings = async function(brokerId, year = ist.monthOf().year) {
+  year = Number(year);
+  return this.aggregate([
+    {
+      $match: {
+        broker: new mongoose.Types.ObjectId(brokerId),
+        status: { $ne: 'cancelled' },
+        createdAt: {
+          $gte: ist.startOfMonth(year, 1),
+          $lt: ist.startOfMonth(year + 1, 1)
+        }
+      }
+    },
+    {
+      $group: {
+        _id: { $month: { date: '$createdAt', timezone: ist.IST_TIMEZONE } },
+        totalAmount: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $sort: { '_id': 1 }
+    }
+  ]);
+};
+
+// Static method to get what a broker was owed at a point in time:
+// everything earned before it less everything paid before it
+commissionSchema.statics.getBalanceAt = async function(brokerId, date) {
+  const broker = new mongoose.Types.ObjectId(brokerId);
+  const [earned, paid] = await Promise.all([
+    this.aggregate([
+      { $match: { broker, status: { $ne: 'cancelled' }, createdAt: { $lt: date } } },
+      { $group: { _id: null, totalAmount: { $sum: '$amount' } } }
+    ]),
+    this.aggregate([
+      { $match: { broker, status: 'paid', paid_at: { $lt: date } } },
+      { $group: { _id: null, totalAmount: { $sum: '$amount' } } }
+    ])
+  ]);
+  return (earned[0]?.totalAmount || 0) - (paid[0]?.totalAmount || 0);
+};
+
 module.exports = mongoose.model('Commission', commissionSchema);
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A seller or broker reporting that a property was sold or rented. Nothing
+// changes until an admin confirms it: the property then moves to its final
+// status, every cart and waitlist on it is closed and the brokers'
+// commissions are settled on final_price.
+const dealSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  broker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The booked offer the deal closes, when it came through one
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  outcome: {
+    type: String,
+    enum: ['sold', 'rented'],
+    required: true
+  },
+  final_price: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  closing_date: {
+    type: Date,
+    required: true
+  },
+  notes: String,
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'rejected'],
+    default: 'pending'
+  },
+  requested_by: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['seller', 'broker']
+    }
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: Date,
+  rejection_reason: String,
+  // Commissions created or recomputed when the deal was confirmed
+  commissions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Commission'
+  }]
+}, {
+  timestamps: true
+});
+
+// One closing awaiting confirmation per property at a time
+dealSchema.index({ property: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+dealSchema.index({ status: 1, createdAt: 1 });
+dealSchema.index({ buyer: 1 });
+
+module.exports = mongoose.model('Deal', dealSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Post office name suffixes in the India Post directory (Head, Sub and
+// Branch offices); they are not part of the locality name
+const OFFICE_SUFFIX = /\s+(g\.?p\.?o|h\.?o|s\.?o|b\.?o)\.?$/i;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Canonical locality from the pincode gazetteer. Properties store the _id
+// in address.locality so listings can be grouped however the area was typed.
+const localitySchema = new mongoose.Schema({
+  pincode: {
+    type: String,
+    required: true,
+    match: [/^\d{6}$/, 'Pincode must be 6 digits']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased, single-spaced name used for matching
+  name_key: {
+    type: String,
+    required: true
+  },
+  district: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  latitude: Number,
+  longitude: Number
+}, {
+  timestamps: true
+});
+
+localitySchema.index({ pincode: 1, name_key: 1 }, { unique: true });
+localitySchema.index({ name_key: 1 });
+localitySchema.index({ district: 1, state: 1 });
+
+// Comparison key for free-text place names: "NOIDA  Sec 150 " -> "noida sec 150"
+localitySchema.statics.normalizeKey = function(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// "  new DELHI " -> "New Delhi"
+localitySchema.statics.titleCase = function(value) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .replace(/(^|[\s(-])([a-z])/g, (match, lead, letter) => lead + letter.toUpperCase());
+};
+
+// Display form of a directory office name: drops the office suffix
+localitySchema.statics.cleanName = function(value) {
+  return this.titleCase(String(value || '').trim().replace(OFFICE_SUFFIX, ''));
+};
+
+localitySchema.pre('validate', function(next) {
+  this.name_key = this.constructor.normalizeKey(this.name);
+  next();
+});
+
+localitySchema.statics.findByPincode = function(pincode) {
+  return this.find({ pincode: String(pincode || '').trim() }).sort({ name: 1 });
+};
+
+// Suggestions for an address field: digits search by pincode prefix,
+// anything else by locality name prefix
+localitySchema.statics.autocomplete = function(query, options = {}) {
+  const { limit = 10, district, state } = options;
+  const text = String(query || '').trim();
+  if (!text) return this.find({ _id: null });
+
+  const filter = /^\d+$/.test(text) ?
+    { pincode: { $regex: `^${text}` } } :
+    { name_key: { $regex: `^${escapeRegex(this.normalizeKey(text))}` } };
+
+  if (district) filter.district = new RegExp(`^${escapeRegex(district)}$`, 'i');
+  if (state) filter.state = new RegExp(`^${escapeRegex(state)}$`, 'i');
+
+  return this.find(filter)
+    .sort({ name_key: 1, pincode: 1 })
+    .limit(Math.min(limit, 50));
+};
+
+localitySchema.statics.OFFICE_SUFFIX = OFFICE_SUFFIX;
+
+module.exports = mongoose.model('Locality', localitySchema);
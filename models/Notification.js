@@ -11,8 +11,17 @@ const notificationSchema = new mongoose.Schema({
     enum: [
       'property_approved',
       'property_rejected',
+      'property_needs_revision',
+      'media_rejected',
+      'document_rejected',
+      'property_verified',
       'property_added_to_cart',
       'visit_reminder',
+      'visit_confirmed',
+      'visit_scheduled',
+      'visit_rescheduled',
+      'visit_cancelled',
+      'visit_review_rejected',
       'booking_window_expiring',
       'cart_item_expired',
       'commission_earned',
@@ -20,7 +29,32 @@ const notificationSchema = new mongoose.Schema({
       'property_lock',
       'property_unlock',
       'system_alert',
-      'payment_received'
+      'payment_received',
+      'listing_expiring',
+      'listing_expired',
+      'listing_renewed',
+      'property_suspended',
+      'property_unsuspended',
+      'saved_search_match',
+      'shortlist_price_drop',
+      'shortlist_unlocked',
+      'shortlist_expiring',
+      'waitlist_offer',
+      'waitlist_offer_expired',
+      'offer_received',
+      'offer_countered',
+      'offer_accepted',
+      'offer_declined',
+      'offer_withdrawn',
+      'offer_expired',
+      'token_received',
+      'booking_completed',
+      'auction_outbid',
+      'auction_won',
+      'auction_lost',
+      'auction_ended',
+      'deal_confirmed',
+      'deal_rejected'
     ],
     required: true
   },
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Offers still in play: under negotiation, accepted awaiting the token,
+// or booked with the token received
+const ACTIVE_STATUSES = ['open', 'accepted', 'booked'];
+
+// A buyer's offer on a property locked in their cart with a confirmed
+// visit. Buyer and seller side take turns to counter until one accepts or
+// declines; an accepted offer is booked once the seller side records the
+// token amount, and completed when the property is sold or rented.
+const offerSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  broker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The buyer's cart item the offer was made from
+  cart_item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  asking_price: {
+    type: Number,
+    required: true
+  },
+  // Amount currently on the table
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'booked', 'completed', 'declined', 'withdrawn', 'expired', 'cancelled'],
+    default: 'open'
+  },
+  // Side expected to respond while the offer is open
+  awaiting: {
+    type: String,
+    enum: ['buyer', 'seller']
+  },
+  // Response deadline while open; token deadline once accepted
+  expires_at: Date,
+  history: [{
+    action: {
+      type: String,
+      enum: ['offer', 'counter', 'accept', 'decline', 'withdraw', 'expire', 'token', 'complete', 'cancel'],
+      required: true
+    },
+    by: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      role: {
+        type: String,
+        enum: ['buyer', 'seller', 'broker', 'admin', 'system']
+      }
+    },
+    amount: Number,
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  accepted_amount: Number,
+  accepted_at: Date,
+  token: {
+    amount: Number,
+    due_at: Date,
+    received_at: Date,
+    method: {
+      type: String,
+      enum: ['bank_transfer', 'cheque', 'cash', 'online']
+    },
+    reference: String,
+    recorded_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  outcome: {
+    type: String,
+    enum: ['sold', 'rented']
+  },
+  completed_at: Date
+}, {
+  timestamps: true
+});
+
+// One offer under negotiation per property at a time
+offerSchema.index({ property: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+offerSchema.index({ property: 1, status: 1 });
+offerSchema.index({ buyer: 1, status: 1 });
+offerSchema.index({ status: 1, expires_at: 1 });
+
+offerSchema.statics.findActive = function(propertyId, buyerId) {
+  return this.findOne({ property: propertyId, buyer: buyerId, status: { $in: ACTIVE_STATUSES } });
+};
+
+offerSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('Offer', offerSchema);
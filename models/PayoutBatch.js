@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One admin payout run: approved commissions paid together, grouped by
+// broker with the transfer reference and tax for each broker's payment.
+const payoutBatchSchema = new mongoose.Schema({
+  payment_method: {
+    type: String,
+    enum: ['bank_transfer', 'cheque', 'cash', 'online'],
+    required: true
+  },
+  payouts: [{
+    broker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    commissions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Commission'
+    }],
+    gross_amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    gst_amount: {
+      type: Number,
+      default: 0
+    },
+    tds_amount: {
+      type: Number,
+      default: 0
+    },
+    // Part of the TDS that catches up earlier payments in the year
+    tds_catch_up: {
+      type: Number,
+      default: 0
+    },
+    // What was transferred: gross plus GST less TDS
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    transaction_id: {
+      type: String,
+      required: true
+    }
+  }],
+  total_amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total_tds: {
+    type: Number,
+    default: 0
+  },
+  commission_count: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  notes: String,
+  paid_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  paid_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ paid_at: -1 });
+payoutBatchSchema.index({ 'payouts.broker': 1, paid_at: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
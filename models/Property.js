@@ -1,4 +1,94 @@
 const mongoose = require('mongoose');
+const PropertyStatusEvent = require('./PropertyStatusEvent');
+
+// ===== STATUS STATE MACHINE =====
+// Every status change must go through propertySchema.methods.transitionTo,
+// which checks this table and records a PropertyStatusEvent.
+const STATUS_TRANSITIONS = {
+  draft: ['pending_approval'],
+  pending_approval: ['approved', 'rejected', 'draft'],
+  approved: ['live', 'suspended', 'expired'],
+  live: ['suspended', 'expired', 'sold', 'rented'],
+  rejected: ['pending_approval', 'draft'],
+  suspended: ['approved', 'live', 'expired'],
+  expired: ['pending_approval', 'live'],
+  sold: [],
+  rented: []
+};
+
+// Fields captured in the before/after snapshot of each status event
+const STATUS_SNAPSHOT_FIELDS = ['status', 'approval_status', 'visibility', 'is_visible', 'previous_status'];
+
+// Sections of the draft listing wizard. fields can be saved independently
+// while the listing is a draft; required fields must be filled before submit.
+const WIZARD_STEPS = {
+  basics: {
+    fields: ['title', 'description', 'short_description', 'property_type', 'sub_type', 'price', 'price_type'],
+    required: ['title', 'description', 'property_type', 'sub_type', 'price']
+  },
+  location: {
+    fields: ['address.street', 'address.landmark', 'address.area', 'address.city', 'address.state', 'address.pincode'],
+    required: ['address.city', 'address.state', 'address.pincode']
+  },
+  specs: {
+    fields: ['bedrooms', 'bathrooms', 'balconies', 'built_up_area', 'carpet_area', 'area_unit',
+             'floor_number', 'total_floors', 'age_of_property', 'furnishing', 'facing'],
+    required: ['built_up_area']
+  },
+  amenities: {
+    fields: ['amenities', 'features'],
+    required: []
+  },
+  media: {
+    // Images are added through the media upload endpoint
+    fields: [],
+    required: []
+  }
+};
+
+// GeoJSON point; coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length === 2 &&
+          v.every(n => typeof n === 'number' && Number.isFinite(n)) &&
+          v[0] >= -180 && v[0] <= 180 &&
+          v[1] >= -90 && v[1] <= 90;
+      },
+      message: 'Coordinates must be a valid longitude and latitude'
+    }
+  }
+}, { _id: false });
+
+const EARTH_RADIUS_KM = 6371;
+
+// Square feet per area_unit, so areas in different units can be compared
+const SQFT_PER_UNIT = {
+  sqft: 1,
+  sqm: 10.7639,
+  acre: 43560,
+  hectare: 107639
+};
+
+// Drafts may be saved with these fields still empty
+const requiredUnlessDraft = function() {
+  return this.status !== 'draft';
+};
+
+// Listing content captured at each admin review, diffed on resubmission
+const REVIEW_SNAPSHOT_FIELDS = [
+  'title', 'description', 'short_description', 'price', 'price_type',
+  'bedrooms', 'bathrooms', 'balconies', 'built_up_area', 'carpet_area',
+  'floor_number', 'total_floors', 'age_of_property', 'furnishing', 'facing',
+  'amenities', 'address'
+];
 
 const propertySchema = new mongoose.Schema({
   // Basic Information
@@ -16,7 +106,7 @@ const propertySchema = new mongoose.Schema({
   },
   description: {
     type: String,
-    required: [true, 'Property description is required'],
+    required: [requiredUnlessDraft, 'Property description is required'],
     minlength: [50, 'Description must be at least 50 characters'],
     maxlength: [5000, 'Description cannot exceed 5000 characters']
   },
@@ -58,16 +148,13 @@ const propertySchema = new mongoose.Schema({
       trim: true
     },
     coordinates: {
-      lat: {
-        type: Number,
-        min: -90,
-        max: 90
-      },
-      lng: {
-        type: Number,
-        min: -180,
-        max: 180
-      }
+      type: pointSchema,
+      default: undefined
+    },
+    // Canonical locality from the pincode gazetteer, when the address matched one
+    locality: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Locality'
     }
   },
   
@@ -75,11 +162,11 @@ const propertySchema = new mongoose.Schema({
   property_type: {
     type: String,
     enum: ['Residential', 'Commercial', 'Plot', 'Agricultural', 'Industrial'],
-    required: [true, 'Property type is required']
+    required: [requiredUnlessDraft, 'Property type is required']
   },
   sub_type: {
     type: String,
-    required: [true, 'Property sub-type is required'],
+    required: [requiredUnlessDraft, 'Property sub-type is required'],
     trim: true
   },
   
@@ -120,6 +207,34 @@ const propertySchema = new mongoose.Schema({
     ref: 'User'
   },
   rejected_at: Date,
+  // Per-field comments when an admin sends a listing back for revision.
+  // field is a path such as 'price', 'address.pincode' or 'images.2'.
+  revision_comments: [{
+    field: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    comment: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    created_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Listing content as it was at the last admin review
+  review_snapshot: mongoose.Schema.Types.Mixed,
+  resubmission_count: {
+    type: Number,
+    default: 0
+  },
   suspension_reason: {
     type: String,
     trim: true
@@ -130,6 +245,11 @@ const propertySchema = new mongoose.Schema({
   },
   suspended_at: Date,
   suspension_end: Date,
+  // Status before suspension, restored by unsuspend()
+  previous_status: {
+    type: String,
+    enum: ['approved', 'live']
+  },
   
   // ===== VISIBILITY CONTROL =====
   visibility: {
@@ -181,7 +301,7 @@ const propertySchema = new mongoose.Schema({
   // Price Details
   price: {
     type: Number,
-    required: [true, 'Price is required'],
+    required: [requiredUnlessDraft, 'Price is required'],
     min: [1000, 'Price must be at least ₹1000']
   },
   price_type: {
@@ -189,6 +309,41 @@ const propertySchema = new mongoose.Schema({
     enum: ['fixed', 'negotiable', 'auction'],
     default: 'fixed'
   },
+  // Timed auction for price_type 'auction'. price is the opening bid and
+  // the property only sells if bidding reaches reserve_price. Each round
+  // starts when the seller (re)configures it; sequence counts the bids
+  // accepted in the round and guards every new bid.
+  auction: {
+    reserve_price: {
+      type: Number,
+      min: 0
+    },
+    min_increment: {
+      type: Number,
+      min: 1
+    },
+    starts_at: Date,
+    ends_at: Date,
+    // A bid this close to the end pushes the end out to this long after it
+    extension_minutes: {
+      type: Number,
+      min: 0,
+      max: 60
+    },
+    round: Number,
+    sequence: Number,
+    bid_count: Number,
+    current_bid: Number,
+    current_bidder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    settled_at: Date,
+    outcome: {
+      type: String,
+      enum: ['won', 'reserve_not_met', 'no_bids', 'cancelled']
+    }
+  },
   maintenance_charges: {
     type: Number,
     min: 0
@@ -216,7 +371,7 @@ const propertySchema = new mongoose.Schema({
   },
   built_up_area: {
     type: Number,
-    required: [true, 'Built-up area is required'],
+    required: [requiredUnlessDraft, 'Built-up area is required'],
     min: [1, 'Built-up area must be positive']
   },
   carpet_area: {
@@ -275,6 +430,28 @@ const propertySchema = new mongoose.Schema({
         type: String, 
         required: true 
       },
+      public_id: String,
+      // Resized copies made by the upload pipeline; url/public_id match 'full'
+      variants: {
+        thumbnail: { url: String, public_id: String, width: Number, height: Number },
+        card: { url: String, public_id: String, width: Number, height: Number },
+        full: { url: String, public_id: String, width: Number, height: Number }
+      },
+      // Perceptual hash used to spot photos reused across sellers
+      phash: String,
+      phash_bands: [String],
+      duplicates: [{
+        property: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Property'
+        },
+        image: mongoose.Schema.Types.ObjectId,
+        seller: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        distance: Number
+      }],
       caption: String,
       is_primary: { 
         type: Boolean, 
@@ -288,12 +465,19 @@ const propertySchema = new mongoose.Schema({
         type: Boolean,
         default: false // Images also need approval
       },
-      rejection_reason: String
+      rejection_reason: String,
+      reviewed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewed_at: Date
     }],
     default: []
   },
   videos: [{
     url: String,
+    // Set for 'direct' videos kept in media storage
+    public_id: String,
     type: {
       type: String,
       enum: ['youtube', 'vimeo', 'direct']
@@ -301,11 +485,19 @@ const propertySchema = new mongoose.Schema({
     approved: {
       type: Boolean,
       default: false
-    }
+    },
+    rejection_reason: String,
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewed_at: Date
   }],
   documents: [{
     name: String,
     url: String,
+    public_id: String,
+    resource_type: String,
     type: {
       type: String,
       enum: ['ownership', 'plan', 'certificate', 'tax', 'other']
@@ -317,7 +509,19 @@ const propertySchema = new mongoose.Schema({
     verified: {
       type: Boolean,
       default: false
-    }
+    },
+    uploaded_at: {
+      type: Date,
+      default: Date.now
+    },
+    rejection_reason: String,
+    // Certificates stop counting towards verification after this date
+    expires_on: Date,
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewed_at: Date
   }],
   
   // Edit Permissions (Admin Controlled)
@@ -368,7 +572,14 @@ const propertySchema = new mongoose.Schema({
       }
     },
     booking_window_start: Date,
-    booking_window_end: Date
+    booking_window_end: Date,
+    // Set while the property is offered to the next buyer on its waitlist;
+    // only that buyer can take the cart lock until the offer is resolved
+    reserved_for: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reserved_until: Date
   },
   
   // Commission Details
@@ -397,6 +608,20 @@ const propertySchema = new mongoose.Schema({
     seller_paid_at: Date
   },
   
+  // The confirmed Deal that took the property to sold or rented
+  closing: {
+    deal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Deal'
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    final_price: Number,
+    closing_date: Date
+  },
+  
   // View & Activity Tracking
   views: { 
     type: Number, 
@@ -416,6 +641,11 @@ const propertySchema = new mongoose.Schema({
     type: Boolean, 
     default: false 
   },
+  // Set when any image matches a photo on another seller's listing
+  has_duplicate_images: {
+    type: Boolean,
+    default: false
+  },
   is_premium: {
     type: Boolean,
     default: false
@@ -438,7 +668,19 @@ const propertySchema = new mongoose.Schema({
       expiry.setDate(expiry.getDate() + 90);
       return expiry;
     }
-  }
+  },
+  // Reminder days (7, 1) already sent for the current expires_at
+  expiry_reminders_sent: {
+    type: [Number],
+    default: []
+  },
+  renewed_at: Date,
+  renewal_count: {
+    type: Number,
+    default: 0
+  },
+  // Last time the seller changed listing content (not status/counters)
+  last_edited_at: Date
 
 }, {
   timestamps: true,
@@ -490,7 +732,7 @@ propertySchema.pre('save', function(next) {
     this.approval_status = 'pending';
   } else if (this.status === 'approved') {
     this.approval_status = 'approved';
-  } else if (this.status === 'rejected') {
+  } else if (this.status === 'rejected' && this.approval_status !== 'needs_revision') {
     this.approval_status = 'rejected';
   }
   
@@ -540,6 +782,13 @@ propertySchema.pre('validate', function(next) {
   next();
 });
 
+// Remove stored images and documents once the property itself is gone
+propertySchema.post('findOneAndDelete', async function(doc) {
+  if (!doc) return;
+  const storage = require('../services/storage');
+  await storage.deleteAssets(doc);
+});
+
 // ===== VIRTUAL PROPERTIES =====
 
 propertySchema.virtual('formatted_price').get(function() {
@@ -600,105 +849,533 @@ propertySchema.virtual('is_suspended').get(function() {
 
 // ===== INSTANCE METHODS =====
 
-// Method to submit for admin approval
-propertySchema.methods.submitForApproval = function() {
-  if (this.status !== 'draft') {
-    throw new Error('Only draft properties can be submitted for approval');
-  }
-  
-  this.status = 'pending_approval';
-  this.submitted_at = new Date();
-  return this.save();
+// Check whether the status table allows moving to the given status
+propertySchema.methods.canTransitionTo = function(toStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(toStatus);
 };
 
-// Method for admin to approve property
-propertySchema.methods.approve = function(adminId, options = {}) {
-  if (this.status !== 'pending_approval') {
-    throw new Error('Only pending properties can be approved');
+// Central status transition: validates against STATUS_TRANSITIONS,
+// applies the accompanying field updates, saves and records the event.
+propertySchema.methods.transitionTo = async function(toStatus, options = {}) {
+  const { actor = null, role = 'system', reason, updates = {}, metadata } = options;
+  const fromStatus = this.status;
+  
+  if (!this.canTransitionTo(toStatus)) {
+    const error = new Error(`Cannot change property status from ${fromStatus} to ${toStatus}`);
+    error.name = 'StatusTransitionError';
+    error.from = fromStatus;
+    error.to = toStatus;
+    throw error;
   }
   
-  this.status = 'approved';
-  this.approved_by = adminId;
-  this.approved_at = new Date();
+  const snapshot = () => STATUS_SNAPSHOT_FIELDS.reduce((acc, field) => {
+    acc[field] = this.get(field);
+    return acc;
+  }, {});
   
-  // Auto-approve images if option is set
-  if (options.autoApproveImages && this.images) {
-    this.images.forEach(img => {
-      img.approved = true;
-    });
+  const before = snapshot();
+  
+  // The status and its event are written in one transaction, so a status
+  // never changes without its history entry. connection.transaction() also
+  // resets this document's change tracking if the callback is retried.
+  await this.constructor.db.transaction(async (session) => {
+    this.set(updates);
+    this.status = toStatus;
+    await this.save({ session });
+    
+    await PropertyStatusEvent.create([{
+      property: this._id,
+      from_status: fromStatus,
+      to_status: toStatus,
+      actor,
+      role,
+      reason: reason ? reason.trim() : undefined,
+      before,
+      after: snapshot(),
+      metadata
+    }], { session });
+  });
+  
+  // Alert buyers whose saved searches match the newly live listing. Required
+  // here rather than at the top because the service depends on this model.
+  if (toStatus === 'live') {
+    require('../services/savedSearchService').matchProperty(this)
+      .catch(error => console.error('Saved search matching error:', error.message));
   }
   
+  return this;
+};
+
+// Method to submit for admin approval
+propertySchema.methods.submitForApproval = function(actor = null, role = 'seller') {
+  return this.transitionTo('pending_approval', {
+    actor: actor || this.added_by?.user,
+    role,
+    updates: { submitted_at: new Date() }
+  });
+};
+
+// Method for admin to approve property
+propertySchema.methods.approve = async function(adminId, options = {}) {
+  // Approving the listing approves media that was not individually rejected;
+  // autoApproveImages also overrides earlier image rejections
+  [...(this.images || []), ...(this.videos || [])].forEach(media => {
+    if (options.autoApproveImages || !media.rejection_reason) {
+      media.approved = true;
+      media.rejection_reason = undefined;
+    }
+  });
+  
+  await this.transitionTo('approved', {
+    actor: adminId,
+    role: 'admin',
+    reason: options.notes,
+    updates: {
+      approved_by: adminId,
+      approved_at: new Date(),
+      review_snapshot: this.getReviewSnapshot(),
+      revision_comments: []
+    }
+  });
+  
   // Set live automatically if option is set
   if (options.autoGoLive) {
-    this.status = 'live';
-    this.live_at = new Date();
+    await this.makeLive(adminId);
   }
   
-  return this.save();
+  return this;
 };
 
 // Method for admin to reject property
 propertySchema.methods.reject = function(adminId, reason) {
-  if (this.status !== 'pending_approval') {
-    throw new Error('Only pending properties can be rejected');
-  }
-  
   if (!reason || reason.trim().length < 10) {
     throw new Error('Rejection reason must be at least 10 characters');
   }
   
-  this.status = 'rejected';
-  this.rejection_reason = reason.trim();
-  this.rejected_by = adminId;
-  this.rejected_at = new Date();
+  return this.transitionTo('rejected', {
+    actor: adminId,
+    role: 'admin',
+    reason,
+    updates: {
+      approval_status: 'rejected',
+      rejection_reason: reason.trim(),
+      rejected_by: adminId,
+      rejected_at: new Date(),
+      review_snapshot: this.getReviewSnapshot(),
+      revision_comments: []
+    }
+  });
+};
+
+// Method for admin to send a listing back to the seller with per-field comments.
+// The comments replace any left from an earlier round of review.
+propertySchema.methods.requestRevision = function(adminId, comments = [], note) {
+  const revisionComments = comments
+    .filter(c => c && c.field && c.comment && c.comment.trim())
+    .map(c => ({
+      field: c.field.trim(),
+      comment: c.comment.trim(),
+      created_by: adminId,
+      created_at: new Date()
+    }));
   
-  return this.save();
+  if (revisionComments.length === 0) {
+    throw new Error('At least one field comment is required to request a revision');
+  }
+  
+  const reason = note && note.trim() ?
+    note.trim() :
+    `Changes requested on: ${revisionComments.map(c => c.field).join(', ')}`;
+  
+  return this.transitionTo('rejected', {
+    actor: adminId,
+    role: 'admin',
+    reason,
+    updates: {
+      approval_status: 'needs_revision',
+      rejection_reason: reason,
+      rejected_by: adminId,
+      rejected_at: new Date(),
+      revision_comments: revisionComments,
+      review_snapshot: this.getReviewSnapshot()
+    },
+    metadata: { revision_comments: revisionComments }
+  });
 };
 
-// Method for admin to suspend property
-propertySchema.methods.suspend = function(adminId, reason, suspensionEnd = null) {
-  if (!['approved', 'live'].includes(this.status)) {
-    throw new Error('Only approved or live properties can be suspended');
+// Method for the seller to resubmit a rejected listing. The changes since the
+// last review and the comments they answer are attached to the status event
+// for the reviewer; the comments are cleared from the listing itself.
+propertySchema.methods.resubmit = function(actor, role = 'seller') {
+  if (this.status !== 'rejected') {
+    throw new Error('Only rejected properties can be resubmitted');
   }
   
+  const changes = this.getChangesSinceReview();
+  
+  return this.transitionTo('pending_approval', {
+    actor,
+    role,
+    reason: this.approval_status === 'needs_revision' ? 'Resubmitted after revision' : 'Resubmitted after rejection',
+    updates: {
+      submitted_at: new Date(),
+      resubmission_count: (this.resubmission_count || 0) + 1,
+      revision_comments: []
+    },
+    metadata: {
+      changes,
+      revision_comments: this.revision_comments.map(c => ({ field: c.field, comment: c.comment }))
+    }
+  });
+};
+
+// Plain copy of the reviewable listing content
+propertySchema.methods.getReviewSnapshot = function() {
+  const snapshot = {};
+  REVIEW_SNAPSHOT_FIELDS.forEach(field => {
+    const value = this.get(field);
+    snapshot[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+  });
+  snapshot.images = (this.images || []).map(img => img.url);
+  return snapshot;
+};
+
+// List of { field, before, after } for content changed since the last review
+propertySchema.methods.getChangesSinceReview = function() {
+  const before = this.review_snapshot || {};
+  const after = this.getReviewSnapshot();
+  const changes = [];
+  
+  Object.keys(after).forEach(field => {
+    const beforeValue = before[field] === undefined ? null : before[field];
+    const afterValue = after[field];
+    
+    if (field === 'address' && beforeValue && afterValue) {
+      Object.keys({ ...beforeValue, ...afterValue }).forEach(key => {
+        if (JSON.stringify(beforeValue[key]) !== JSON.stringify(afterValue[key])) {
+          changes.push({ field: `address.${key}`, before: beforeValue[key] ?? null, after: afterValue[key] ?? null });
+        }
+      });
+    } else if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes.push({ field, before: beforeValue, after: afterValue });
+    }
+  });
+  
+  return changes;
+};
+
+// Method for admin to suspend property
+propertySchema.methods.suspend = function(adminId, reason, suspensionEnd = null) {
   if (!reason || reason.trim().length < 10) {
     throw new Error('Suspension reason must be at least 10 characters');
   }
   
-  this.status = 'suspended';
-  this.suspension_reason = reason.trim();
-  this.suspended_by = adminId;
-  this.suspended_at = new Date();
+  return this.transitionTo('suspended', {
+    actor: adminId,
+    role: 'admin',
+    reason,
+    updates: {
+      previous_status: this.status,
+      suspension_reason: reason.trim(),
+      suspended_by: adminId,
+      suspended_at: new Date(),
+      suspension_end: suspensionEnd
+    },
+    metadata: suspensionEnd ? { suspension_end: suspensionEnd } : undefined
+  });
+};
+
+// Method to unsuspend property, restoring the status it had before suspension
+propertySchema.methods.unsuspend = function(adminId = null, role = 'admin', reason) {
+  return this.transitionTo(this.previous_status || 'approved', {
+    actor: adminId,
+    role,
+    reason,
+    updates: {
+      previous_status: undefined,
+      suspension_reason: undefined,
+      suspended_by: undefined,
+      suspended_at: undefined,
+      suspension_end: undefined
+    }
+  });
+};
+
+// Method to extend (or set) the end date of an active suspension
+propertySchema.methods.extendSuspension = async function(adminId, suspensionEnd, reason) {
+  if (this.status !== 'suspended') {
+    throw new Error('Only suspended properties can have their suspension extended');
+  }
+  
+  if (!(suspensionEnd instanceof Date) || isNaN(suspensionEnd) || suspensionEnd <= new Date()) {
+    throw new Error('Suspension end must be a valid future date');
+  }
+  
+  const previousEnd = this.suspension_end;
   this.suspension_end = suspensionEnd;
+  await this.save();
   
-  return this.save();
+  await PropertyStatusEvent.create({
+    property: this._id,
+    from_status: 'suspended',
+    to_status: 'suspended',
+    actor: adminId,
+    role: 'admin',
+    reason: reason || 'Suspension extended',
+    metadata: { previous_suspension_end: previousEnd, suspension_end: suspensionEnd }
+  });
+  
+  return this;
 };
 
-// Method to unsuspend property
-propertySchema.methods.unsuspend = function(adminId) {
-  if (this.status !== 'suspended') {
-    throw new Error('Only suspended properties can be unsuspended');
+// Method to save one wizard section of a draft. Only the fields of that step
+// are taken from data (nested or 'address[city]' style keys) and validated.
+// Returns an object of field errors; empty when the step was applied.
+propertySchema.methods.applyWizardStep = function(step, data = {}) {
+  const definition = WIZARD_STEPS[step];
+  if (!definition) {
+    throw new Error(`Unknown wizard step: ${step}`);
+  }
+  
+  const readValue = (path) => {
+    if (data[path] !== undefined) return data[path];
+    const parts = path.split('.');
+    if (parts.length === 2 && data[`${parts[0]}[${parts[1]}]`] !== undefined) {
+      return data[`${parts[0]}[${parts[1]}]`];
+    }
+    return parts.reduce((value, key) => (value == null ? undefined : value[key]), data);
+  };
+  
+  const touched = [];
+  definition.fields.forEach(path => {
+    let value = readValue(path);
+    if (value === undefined) return;
+    
+    if (this.schema.path(path)?.instance === 'Array') {
+      value = Array.isArray(value) ? value : [value].filter(v => v !== '' && v != null);
+    } else if (value === '' || value === null) {
+      value = undefined;
+    } else if (typeof value === 'string') {
+      value = value.trim();
+    }
+    
+    this.set(path, value);
+    touched.push(path);
+  });
+  
+  // The map pin is sent as latitude/longitude rather than a schema path
+  if (step === 'location' && (data.latitude !== undefined || data.longitude !== undefined)) {
+    this.setCoordinates(data.latitude, data.longitude);
+    touched.push('address.coordinates');
   }
   
-  // Revert to previous status (store previous status in a field or default to 'approved')
-  this.status = this.previous_status || 'approved';
-  this.suspension_reason = undefined;
-  this.suspended_by = undefined;
-  this.suspended_at = undefined;
-  this.suspension_end = undefined;
+  const errors = {};
+  if (touched.length > 0) {
+    const validationError = this.validateSync(touched);
+    if (validationError) {
+      Object.keys(validationError.errors).forEach(path => {
+        errors[path] = validationError.errors[path].message;
+      });
+    }
+  }
   
-  return this.save();
+  return errors;
+};
+
+// Set the listing's map location; blank values clear it. Missing or
+// non-numeric values are left for schema validation to report.
+propertySchema.methods.setCoordinates = function(lat, lng) {
+  const blank = (value) => value === undefined || value === null || value === '';
+  if (blank(lat) && blank(lng)) {
+    this.set('address.coordinates', undefined);
+    return this;
+  }
+  
+  const toNumber = (value) => (blank(value) || isNaN(Number(value)) ? null : Number(value));
+  this.set('address.coordinates', {
+    type: 'Point',
+    coordinates: [toNumber(lng), toNumber(lat)]
+  });
+  return this;
+};
+
+// Completion state of each wizard step, used to resume and before submitting
+propertySchema.methods.getWizardProgress = function(minImages = 1) {
+  const steps = {};
+  
+  Object.keys(WIZARD_STEPS).forEach(step => {
+    const missing = WIZARD_STEPS[step].required.filter(path => {
+      const value = this.get(path);
+      return value === undefined || value === null || value === '';
+    });
+    
+    if (step === 'media' && (this.images || []).length < minImages) {
+      missing.push('images');
+    }
+    
+    steps[step] = { complete: missing.length === 0, missing };
+  });
+  
+  return {
+    steps,
+    complete: Object.values(steps).every(s => s.complete)
+  };
+};
+
+// Method for admin to approve or reject a single image or video.
+// kind is 'images' or 'videos'; a rejection requires a reason.
+propertySchema.methods.moderateMedia = async function(kind, mediaId, approved, adminId, reason) {
+  if (!['images', 'videos'].includes(kind)) {
+    throw new Error(`Unknown media type: ${kind}`);
+  }
+  
+  const media = this[kind].id(mediaId);
+  if (!media) {
+    throw new Error('Media not found');
+  }
+  
+  if (!approved && (!reason || !reason.trim())) {
+    throw new Error('A reason is required to reject media');
+  }
+  
+  media.approved = approved;
+  media.rejection_reason = approved ? undefined : reason.trim();
+  media.reviewed_by = adminId;
+  media.reviewed_at = new Date();
+  
+  // A rejected image cannot stay primary; promote the first approved image
+  if (kind === 'images' && !approved && media.is_primary) {
+    const replacement = this.images.find(img => img.approved && !img._id.equals(media._id));
+    if (replacement) {
+      media.is_primary = false;
+      replacement.is_primary = true;
+    }
+  }
+  
+  await this.save();
+  return media;
+};
+
+// Method to reorder images; imageIds lists every image id in the new order
+propertySchema.methods.reorderImages = async function(imageIds = []) {
+  const ids = imageIds.map(id => id.toString());
+  const current = this.images.map(img => img._id.toString());
+  
+  if (ids.length !== current.length || !current.every(id => ids.includes(id))) {
+    throw new Error('Image order must list every image exactly once');
+  }
+  
+  this.images.forEach(img => {
+    img.order = ids.indexOf(img._id.toString());
+  });
+  
+  await this.save();
+  return this.images;
+};
+
+// Method to choose the primary image; only approved images can be primary
+propertySchema.methods.setPrimaryImage = async function(imageId) {
+  const image = this.images.id(imageId);
+  if (!image) {
+    throw new Error('Image not found');
+  }
+  
+  if (!image.approved) {
+    throw new Error('Only approved images can be the primary image');
+  }
+  
+  this.images.forEach(img => {
+    img.is_primary = img._id.equals(image._id);
+  });
+  
+  await this.save();
+  return image;
+};
+
+// Method for admin to verify or reject a single document
+propertySchema.methods.reviewDocument = function(documentId, verified, adminId, options = {}) {
+  const document = this.documents.id(documentId);
+  if (!document) {
+    throw new Error('Document not found');
+  }
+  
+  if (!verified && (!options.reason || !options.reason.trim())) {
+    throw new Error('A reason is required to reject a document');
+  }
+  
+  document.verified = verified;
+  document.approved = verified;
+  document.rejection_reason = verified ? undefined : options.reason.trim();
+  document.reviewed_by = adminId;
+  document.reviewed_at = new Date();
+  if (verified && options.expiresOn !== undefined) {
+    document.expires_on = options.expiresOn || undefined;
+  }
+  
+  return document;
+};
+
+// Set is_verified when every required document type has a verified,
+// unexpired document. Returns true when the flag changed.
+propertySchema.methods.updateVerificationStatus = function(requiredTypes = []) {
+  const now = new Date();
+  const hasValid = type => (this.documents || []).some(doc =>
+    doc.type === type && doc.verified && (!doc.expires_on || doc.expires_on > now)
+  );
+  
+  const isVerified = requiredTypes.length > 0 && requiredTypes.every(hasValid);
+  const changed = this.is_verified !== isVerified;
+  this.is_verified = isVerified;
+  return changed;
 };
 
 // Method to make property live
-propertySchema.methods.makeLive = function() {
-  if (this.status !== 'approved') {
-    throw new Error('Only approved properties can be made live');
+propertySchema.methods.makeLive = function(actor = null, role = 'admin') {
+  return this.transitionTo('live', {
+    actor,
+    role,
+    updates: { live_at: new Date() }
+  });
+};
+
+// Method to check if listing content changed since the last admin review
+propertySchema.methods.isEditedSinceReview = function() {
+  if (!this.last_edited_at) return false;
+  return !this.approved_at || this.last_edited_at > this.approved_at;
+};
+
+// Method to renew a listing for another renewalDays.
+// Expired listings go live again, or back to review when requireReview is set.
+propertySchema.methods.renew = async function(actor, role, renewalDays, options = {}) {
+  if (!['approved', 'live', 'expired'].includes(this.status)) {
+    throw new Error('Only approved, live or expired listings can be renewed');
   }
   
-  this.status = 'live';
-  this.live_at = new Date();
-  return this.save();
+  const now = new Date();
+  const base = this.status !== 'expired' && this.expires_at && this.expires_at > now ?
+    this.expires_at : now;
+  const expiresAt = new Date(base);
+  expiresAt.setDate(expiresAt.getDate() + renewalDays);
+  
+  const updates = {
+    expires_at: expiresAt,
+    expiry_reminders_sent: [],
+    renewed_at: now,
+    renewal_count: (this.renewal_count || 0) + 1
+  };
+  
+  if (this.status !== 'expired') {
+    this.set(updates);
+    return this.save();
+  }
+  
+  return this.transitionTo(options.requireReview ? 'pending_approval' : 'live', {
+    actor,
+    role,
+    reason: options.requireReview ? 'Renewed after edits, needs re-review' : 'Listing renewed',
+    updates: options.requireReview ? { ...updates, submitted_at: now } : updates,
+    metadata: { expires_at: expiresAt, renewal_days: renewalDays }
+  });
 };
 
 // Method to check if property is visible to public
@@ -710,6 +1387,23 @@ propertySchema.methods.isVisibleToPublic = function() {
          new Date() < this.expires_at;
 };
 
+// Method to check if a carted property is still inside its visit window
+propertySchema.methods.isVisitPending = function(visitWindowDays = 7) {
+  if (!this.cart_status?.in_cart || this.cart_status.visit_confirmed || !this.cart_status.added_at) {
+    return false;
+  }
+  const visitExpiry = new Date(this.cart_status.added_at.getTime() + visitWindowDays * 24 * 60 * 60 * 1000);
+  return new Date() < visitExpiry;
+};
+
+// Method to check if a confirmed visit's booking window is still open
+propertySchema.methods.isBookingWindowActive = function() {
+  return !!(this.cart_status?.in_cart &&
+         this.cart_status.visit_confirmed &&
+         this.cart_status.booking_window_end &&
+         new Date() < this.cart_status.booking_window_end);
+};
+
 // Method to check if property is editable by seller
 propertySchema.methods.canSellerEdit = function(sellerId) {
   // Seller can edit if:
@@ -735,57 +1429,73 @@ propertySchema.methods.canView = function(user) {
   return this.isVisibleToPublic();
 };
 
-// Method to get approval history
+// Method to get approval history from the persisted status events
 propertySchema.methods.getApprovalHistory = async function() {
-  // In a real app, you might have a separate ApprovalHistory model
-  const history = [];
-  
-  if (this.submitted_at) {
-    history.push({
-      action: 'submitted',
-      at: this.submitted_at,
-      by: this.seller
-    });
-  }
-  
-  if (this.approved_at) {
-    history.push({
-      action: 'approved',
-      at: this.approved_at,
-      by: this.approved_by
-    });
-  }
+  const events = await PropertyStatusEvent.find({ property: this._id })
+    .sort({ createdAt: 1 })
+    .lean();
   
-  if (this.rejected_at) {
-    history.push({
-      action: 'rejected',
-      at: this.rejected_at,
-      by: this.rejected_by,
-      reason: this.rejection_reason
-    });
-  }
-  
-  if (this.suspended_at) {
-    history.push({
-      action: 'suspended',
-      at: this.suspended_at,
-      by: this.suspended_by,
-      reason: this.suspension_reason
-    });
-  }
-  
-  if (this.live_at) {
-    history.push({
-      action: 'went_live',
-      at: this.live_at
-    });
-  }
-  
-  return history;
+  return events.map(event => ({
+    action: event.to_status,
+    from: event.from_status,
+    at: event.createdAt,
+    by: event.actor,
+    role: event.role,
+    reason: event.reason
+  }));
 };
 
 // ===== STATIC METHODS =====
 
+propertySchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+propertySchema.statics.REVIEW_SNAPSHOT_FIELDS = REVIEW_SNAPSHOT_FIELDS;
+propertySchema.statics.WIZARD_STEPS = WIZARD_STEPS;
+
+// Images buyers may see: approved only, primary first, then by order.
+// Works on documents and lean objects alike.
+propertySchema.statics.getPublicImages = function(images = []) {
+  return (images || [])
+    .filter(img => img.approved)
+    .sort((a, b) => (b.is_primary ? 1 : 0) - (a.is_primary ? 1 : 0) || (a.order || 0) - (b.order || 0));
+};
+
+// URL of an image variant ('thumbnail', 'card' or 'full'), falling back to
+// the original url for images uploaded before variants existed
+propertySchema.statics.getImageUrl = function(image, variant = 'full') {
+  if (!image) return null;
+  return image.variants?.[variant]?.url || image.url;
+};
+
+// { lat, lng } of a property (document or lean object), or null when it has no location
+propertySchema.statics.getLatLng = function(property) {
+  const coordinates = property?.address?.coordinates?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+  return { lat: coordinates[1], lng: coordinates[0] };
+};
+
+// Great-circle distance in km between two { lat, lng } points
+propertySchema.statics.distanceKm = function(from, to) {
+  if (!from || !to) return null;
+  const toRadians = (deg) => deg * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+propertySchema.statics.EARTH_RADIUS_KM = EARTH_RADIUS_KM;
+
+// Convert an area between units; returns null for a missing area
+propertySchema.statics.convertArea = function(value, fromUnit = 'sqft', toUnit = 'sqft') {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  const from = SQFT_PER_UNIT[fromUnit || 'sqft'] || 1;
+  const to = SQFT_PER_UNIT[toUnit] || 1;
+  return value * from / to;
+};
+
+propertySchema.statics.SQFT_PER_UNIT = SQFT_PER_UNIT;
+
 // Find properties visible to public
 propertySchema.statics.findPublic = function(query = {}) {
   return this.find({
@@ -812,6 +1522,58 @@ propertySchema.statics.findBySeller = function(sellerId, status = null) {
   return this.find(query);
 };
 
+// Atomically lock a live listing for one buyer's cart. The filter only
+// matches an unlocked listing that is not reserved for another buyer on its
+// waitlist, so when two buyers race exactly one gets the updated document
+// back and the other gets null.
+propertySchema.statics.acquireCartLock = function(propertyId, buyerId) {
+  return this.findOneAndUpdate(
+    {
+      _id: propertyId,
+      status: 'live',
+      'cart_status.in_cart': { $ne: true },
+      'cart_status.reserved_for': { $in: [null, buyerId] }
+    },
+    {
+      $set: {
+        'cart_status.in_cart': true,
+        'cart_status.buyer_id': buyerId,
+        'cart_status.added_at': new Date(),
+        'cart_status.visit_confirmed': false
+      },
+      $unset: {
+        'cart_status.visit_confirmed_at': '',
+        'cart_status.confirmed_by': '',
+        'cart_status.booking_window_start': '',
+        'cart_status.booking_window_end': '',
+        'cart_status.reserved_for': '',
+        'cart_status.reserved_until': ''
+      }
+    },
+    { new: true }
+  );
+};
+
+// Release a cart lock, but only while the given buyer still holds it, so a
+// late release cannot clear a lock another buyer has since taken
+propertySchema.statics.releaseCartLock = function(propertyId, buyerId) {
+  return this.updateOne(
+    {
+      _id: propertyId,
+      'cart_status.in_cart': true,
+      'cart_status.buyer_id': buyerId
+    },
+    {
+      $set: {
+        'cart_status.in_cart': false,
+        'cart_status.buyer_id': null,
+        'cart_status.added_at': null,
+        'cart_status.visit_confirmed': false
+      }
+    }
+  );
+};
+
 // Find properties for admin dashboard
 propertySchema.statics.getDashboardStats = async function() {
   const [
@@ -845,6 +1607,7 @@ propertySchema.statics.getDashboardStats = async function() {
 propertySchema.index({ seller: 1, status: 1 });
 propertySchema.index({ status: 1, is_visible: 1, expires_at: 1 });
 propertySchema.index({ 'address.city': 1, 'address.area': 1 });
+propertySchema.index({ 'address.locality': 1 });
 propertySchema.index({ price: 1, property_type: 1 });
 propertySchema.index({ slug: 1 }, { unique: true });
 propertySchema.index({ createdAt: -1 });
@@ -854,9 +1617,27 @@ propertySchema.index({
   is_visible: 1,
   createdAt: -1 
 });
-propertySchema.index({ 
-  'address.coordinates': '2dsphere',
-  sparse: true 
+propertySchema.index({ 'images.phash_bands': 1 });
+// Full-text search over the listing text and its locality
+propertySchema.index({
+  title: 'text',
+  description: 'text',
+  'address.area': 'text',
+  'address.landmark': 'text',
+  'address.city': 'text',
+  amenities: 'text'
+}, {
+  name: 'property_text_search',
+  weights: {
+    title: 10,
+    'address.area': 6,
+    'address.landmark': 4,
+    'address.city': 4,
+    amenities: 2,
+    description: 1
+  }
 });
+propertySchema.index({ 'address.coordinates': '2dsphere' }, { sparse: true });
+propertySchema.index({ 'auction.ends_at': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Property', propertySchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const propertyStatusEventSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  from_status: {
+    type: String,
+    default: null
+  },
+  to_status: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'seller', 'broker', 'buyer', 'system'],
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Snapshot of the status-related fields before and after the transition
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+propertyStatusEventSchema.index({ property: 1, createdAt: 1 });
+propertyStatusEventSchema.index({ actor: 1, createdAt: -1 });
+propertyStatusEventSchema.index({ to_status: 1, createdAt: -1 });
+
+// Get the full status timeline for a property, oldest first
+propertyStatusEventSchema.statics.getTimeline = function(propertyId) {
+  return this.find({ property: propertyId })
+    .populate('actor', 'name email role')
+    .sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('PropertyStatusEvent', propertyStatusEventSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Search parameters a saved search may hold; the same names the buyer
+// search API and the /buyer/properties page accept
+const FILTER_KEYS = [
+  'q', 'location', 'city', 'locality', 'locality_id', 'property_type', 'sub_type',
+  'bedrooms', 'min_bedrooms', 'furnishing', 'facing', 'amenities',
+  'min_price', 'max_price', 'min_area', 'max_area',
+  'lat', 'lng', 'radius_km', 'polygon'
+];
+
+const savedSearchSchema = new mongoose.Schema({
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [80, 'Search name is too long']
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // instant: one notification per new listing; daily/weekly: one digest
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily', 'weekly'],
+    default: 'daily'
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  last_digest_at: Date,
+  last_seen_at: Date
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ buyer: 1, createdAt: -1 });
+savedSearchSchema.index({ is_active: 1, frequency: 1 });
+
+// Keep only known, non-empty filters. The browse page's price_range
+// ("min-max") is stored as min_price/max_price.
+savedSearchSchema.statics.sanitizeFilters = function(raw = {}) {
+  const filters = {};
+
+  if (raw.price_range && !raw.min_price && !raw.max_price) {
+    const [min, max] = String(raw.price_range).split('-');
+    if (min) filters.min_price = min;
+    if (max) filters.max_price = max;
+  }
+
+  FILTER_KEYS.forEach(key => {
+    const value = raw[key];
+    if (value === undefined || value === null || value === '' || value === 'all') return;
+    filters[key] = Array.isArray(value) ? value.map(String) : String(value);
+  });
+
+  return filters;
+};
+
+// Link back to the browse page with the filters it understands
+savedSearchSchema.methods.getBrowseUrl = function() {
+  const params = new URLSearchParams();
+  Object.entries(this.filters || {}).forEach(([key, value]) => {
+    (Array.isArray(value) ? value : [value]).forEach(item => params.append(key, item));
+  });
+  const query = params.toString();
+  return query ? `/buyer/properties?${query}` : '/buyer/properties';
+};
+
+savedSearchSchema.statics.FILTER_KEYS = FILTER_KEYS;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A live listing that matched a saved search. One row per search and
+// listing, so relisting a property does not alert the buyer twice.
+const savedSearchMatchSchema = new mongoose.Schema({
+  saved_search: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  matched_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once the buyer was notified, instantly or in a digest
+  notified_at: Date,
+  // Set when the buyer opens the saved search; unseen rows are "new matches"
+  seen_at: Date
+});
+
+savedSearchMatchSchema.index({ saved_search: 1, property: 1 }, { unique: true });
+savedSearchMatchSchema.index({ buyer: 1, seen_at: 1 });
+savedSearchMatchSchema.index({ notified_at: 1, saved_search: 1 });
+
+module.exports = mongoose.model('SavedSearchMatch', savedSearchMatchSchema);
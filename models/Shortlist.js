@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const MAX_ITEMS = 100;
+const MAX_TAGS = 10;
+
+const shortlistError = (message) => {
+  const error = new Error(message);
+  error.name = 'ShortlistError';
+  return error;
+};
+
+// Buyer's wishlist. Unlike the cart it does not lock listings, so any
+// number of buyers may shortlist the same property. Each item keeps a
+// snapshot of the listing (price, lock, expiry) so the alert job can tell
+// what changed since the buyer last heard about it.
+const shortlistSchema = new mongoose.Schema({
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true
+    },
+    added_at: {
+      type: Date,
+      default: Date.now
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tags cannot exceed 30 characters']
+    }],
+    price_at_add: Number,
+    // Last price the buyer was told about; drops below it trigger an alert
+    last_price: Number,
+    // Whether the listing was in another buyer's cart at the last check
+    was_locked: {
+      type: Boolean,
+      default: false
+    },
+    // expires_at the expiry alert was sent for, so a renewal re-arms it
+    expiry_alerted_for: Date
+  }]
+}, {
+  timestamps: true
+});
+
+shortlistSchema.index({ 'items.property': 1 });
+
+// "Near Metro, 3bhk ,near metro" -> ['near metro', '3bhk']
+shortlistSchema.statics.normalizeTags = function(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const normalized = list
+    .map(tag => String(tag).replace(/\s+/g, ' ').trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+shortlistSchema.methods.findItem = function(propertyId) {
+  return this.items.find(item => item.property.toString() === propertyId.toString());
+};
+
+shortlistSchema.methods.hasProperty = function(propertyId) {
+  return Boolean(this.findItem(propertyId));
+};
+
+// Method to add a property with optional notes and tags
+shortlistSchema.methods.addItem = function(property, { notes, tags } = {}) {
+  if (this.hasProperty(property._id)) {
+    throw shortlistError('Property already in shortlist');
+  }
+  if (this.items.length >= MAX_ITEMS) {
+    throw shortlistError(`Shortlist limit reached. Maximum ${MAX_ITEMS} properties allowed.`);
+  }
+
+  const normalizedTags = this.constructor.normalizeTags(tags);
+  if (normalizedTags.length > MAX_TAGS) {
+    throw shortlistError(`A property can have at most ${MAX_TAGS} tags`);
+  }
+
+  this.items.push({
+    property: property._id,
+    added_at: new Date(),
+    notes,
+    tags: normalizedTags,
+    price_at_add: property.price,
+    last_price: property.price,
+    was_locked: Boolean(property.cart_status?.in_cart)
+  });
+
+  return this.save();
+};
+
+// Method to update notes and/or tags of a shortlisted property
+shortlistSchema.methods.updateItem = function(propertyId, { notes, tags } = {}) {
+  const item = this.findItem(propertyId);
+  if (!item) {
+    throw shortlistError('Property not found in shortlist');
+  }
+
+  if (notes !== undefined) item.notes = notes;
+  if (tags !== undefined) {
+    const normalizedTags = this.constructor.normalizeTags(tags);
+    if (normalizedTags.length > MAX_TAGS) {
+      throw shortlistError(`A property can have at most ${MAX_TAGS} tags`);
+    }
+    item.tags = normalizedTags;
+  }
+
+  return this.save();
+};
+
+shortlistSchema.methods.removeItem = function(propertyId) {
+  const item = this.findItem(propertyId);
+  if (!item) {
+    throw shortlistError('Property not found in shortlist');
+  }
+
+  item.deleteOne();
+  return this.save();
+};
+
+// Tags used across the shortlist, for filtering
+shortlistSchema.methods.getTags = function() {
+  return [...new Set(this.items.flatMap(item => item.tags || []))].sort();
+};
+
+shortlistSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+module.exports = mongoose.model('Shortlist', shortlistSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_WINDOWS = 28;
+const MAX_BLOCKED_DATES = 60;
+
+// Used for listings whose seller or broker has not published hours yet:
+// Monday to Saturday, 10:00 to 18:00
+const DEFAULT_WINDOWS = [1, 2, 3, 4, 5, 6].map(day => ({
+  day_of_week: day,
+  start_time: '10:00',
+  end_time: '18:00'
+}));
+
+const availabilityError = (message) => {
+  const error = new Error(message);
+  error.name = 'AvailabilityError';
+  return error;
+};
+
+// Weekly visiting hours for one property, published by its seller or
+// broker. Buyers pick from slots generated inside these windows.
+const visitAvailabilitySchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+    unique: true
+  },
+  // Recurring windows in local time, e.g. Saturdays 10:00-13:00
+  windows: [{
+    _id: false,
+    day_of_week: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true
+    },
+    start_time: {
+      type: String,
+      match: TIME_PATTERN,
+      required: true
+    },
+    end_time: {
+      type: String,
+      match: TIME_PATTERN,
+      required: true
+    }
+  }],
+  // Days (YYYY-MM-DD) with no visits, e.g. holidays
+  blocked_dates: [{
+    type: String,
+    match: DATE_PATTERN
+  }],
+  updated_by: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['seller', 'broker']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// "09:30" -> 570
+visitAvailabilitySchema.statics.toMinutes = function(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Validate windows and blocked dates from a form or API body
+visitAvailabilitySchema.statics.sanitize = function(input = {}) {
+  const windows = (Array.isArray(input.windows) ? input.windows : []).map(window => ({
+    day_of_week: Number(window.day_of_week),
+    start_time: String(window.start_time || '').trim(),
+    end_time: String(window.end_time || '').trim()
+  }));
+
+  if (windows.length > MAX_WINDOWS) {
+    throw availabilityError(`At most ${MAX_WINDOWS} availability windows are allowed`);
+  }
+  for (const window of windows) {
+    if (!Number.isInteger(window.day_of_week) || window.day_of_week < 0 || window.day_of_week > 6) {
+      throw availabilityError('Each window needs a day of the week');
+    }
+    if (!TIME_PATTERN.test(window.start_time) || !TIME_PATTERN.test(window.end_time)) {
+      throw availabilityError('Times must be in HH:MM format');
+    }
+    if (this.toMinutes(window.start_time) >= this.toMinutes(window.end_time)) {
+      throw availabilityError('Each window must end after it starts');
+    }
+  }
+
+  const blockedDates = [...new Set((Array.isArray(input.blocked_dates) ? input.blocked_dates : [])
+    .map(date => String(date).trim())
+    .filter(Boolean))];
+  if (blockedDates.some(date => !DATE_PATTERN.test(date))) {
+    throw availabilityError('Blocked dates must be in YYYY-MM-DD format');
+  }
+  if (blockedDates.length > MAX_BLOCKED_DATES) {
+    throw availabilityError(`At most ${MAX_BLOCKED_DATES} blocked dates are allowed`);
+  }
+
+  return { windows, blocked_dates: blockedDates.sort() };
+};
+
+visitAvailabilitySchema.statics.DEFAULT_WINDOWS = DEFAULT_WINDOWS;
+
+module.exports = mongoose.model('VisitAvailability', visitAvailabilitySchema);
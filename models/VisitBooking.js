@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A visit slot taken by a buyer. The host is whoever shows the property
+// (its broker, or the seller when there is none); at most one booked visit
+// per host may start at a given time, across all of the host's listings.
+const visitBookingSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'rescheduled', 'cancelled'],
+    default: 'booked'
+  },
+  // Set when the booking is rescheduled or cancelled
+  reason: String,
+  closed_by: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['buyer', 'seller', 'broker', 'system']
+    }
+  },
+  closed_at: Date,
+  rescheduled_to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisitBooking'
+  }
+}, {
+  timestamps: true
+});
+
+// The double-booking guard: a second insert for the same host and start
+// fails with a duplicate key error
+visitBookingSchema.index(
+  { host: 1, start: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+visitBookingSchema.index({ property: 1, buyer: 1, status: 1 });
+visitBookingSchema.index({ host: 1, status: 1, start: 1 });
+
+module.exports = mongoose.model('VisitBooking', visitBookingSchema);
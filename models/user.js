@@ -37,6 +37,12 @@ const userSchema = new mongoose.Schema({
       budget_max: Number,
       property_types: [String]
     },
+    // Place the buyer measures listings against, e.g. their office
+    reference_location: {
+      label: String,
+      lat: { type: Number, min: -90, max: 90 },
+      lng: { type: Number, min: -180, max: 180 }
+    },
     verified: {
       type: Boolean,
       default: false
@@ -80,6 +86,12 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Tax profile for commission payouts; GST applies only with a GSTIN
+    pan_number: String,
+    gstin: String,
+    // Set by each payout batch inside its transaction, so two batches for
+    // one broker conflict and the second works out TDS after the first
+    last_payout_at: Date,
     verified: {
       type: Boolean,
       default: false
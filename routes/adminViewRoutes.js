@@ -4,6 +4,13 @@ const { requireAuth } = require('../middleware/auth');
 const Property = require('../models/Property');
 const User = require('../models/user');
 const Commission = require('../models/Commission');
+const PropertyStatusEvent = require('../models/PropertyStatusEvent');
+const suspensionService = require('../services/suspensionService');
+const documentVerificationService = require('../services/documentVerificationService');
+const visitVerificationService = require('../services/visitVerificationService');
+const dealService = require('../services/dealService');
+const payoutService = require('../services/payoutService');
+const commissionTaxService = require('../services/commissionTaxService');
 const mongoose = require('mongoose');
 
 // Apply admin auth middleware to all routes
@@ -144,6 +151,13 @@ router.get('/approvals', async (req, res) => {
     // Get pending commissions count
     const pendingCommissions = await Commission.countDocuments({ status: 'pending' });
     
+    // Suspended listings, soonest to be restored first
+    const suspendedProperties = await Property.find({ status: 'suspended' })
+      .populate('seller', 'name email phone')
+      .populate('suspended_by', 'name')
+      .sort({ suspension_end: 1 })
+      .lean();
+    
     res.render('admin/approvals', {
       title: 'Approval Management',
       user: req.user,
@@ -161,6 +175,7 @@ router.get('/approvals', async (req, res) => {
       totalPages: totalPages,
       limit: parseInt(limit),
       pendingCommissions: pendingCommissions,
+      suspendedProperties: suspendedProperties,
       activePage: 'approvals'
     });
     
@@ -187,6 +202,7 @@ router.get('/approvals', async (req, res) => {
       totalPages: 0,
       limit: 10,
       pendingCommissions: pendingCommissions,
+      suspendedProperties: [],
       activePage: 'approvals'
     });
   }
@@ -462,6 +478,8 @@ router.get('/properties/:id', async (req, res) => {
       .populate('approved_by', 'name email')
       .populate('rejected_by', 'name email')
       .populate('suspended_by', 'name email')
+      .populate('images.duplicates.property', 'title status')
+      .populate('images.duplicates.seller', 'name email')
       .lean();
     
     if (!property) {
@@ -478,6 +496,14 @@ router.get('/properties/:id', async (req, res) => {
       .sort({ created_at: -1 })
       .lean();
     
+    // Get persisted status history
+    const statusHistory = await PropertyStatusEvent.getTimeline(property._id).lean();
+    
+    // Changes the seller made since the last review, attached when they resubmitted
+    const resubmission = property.status === 'pending_approval' ?
+      statusHistory.filter(event => event.to_status === 'pending_approval' && event.metadata?.changes).pop() :
+      null;
+    
     // Get similar properties
     const similarProperties = await Property.find({
       _id: { $ne: property._id },
@@ -494,6 +520,8 @@ router.get('/properties/:id', async (req, res) => {
       user: req.user,
       property: property,
       commissions: commissions,
+      statusHistory: statusHistory,
+      resubmission: resubmission,
       similarProperties: similarProperties,
       activePage: 'properties'
     });
@@ -584,6 +612,12 @@ router.get('/commissions', async (req, res) => {
       .sort({ name: 1 })
       .lean();
     
+    // Manual visit confirmations whose commission awaits review
+    const visitReviews = await visitVerificationService.getPendingReviews();
+    
+    // Sales and rentals reported by sellers or brokers, awaiting confirmation
+    const pendingDeals = await dealService.getPendingDeals();
+    
     res.render('admin/commissions', {
       title: 'Commission Management',
       user: req.user,
@@ -599,6 +633,8 @@ router.get('/commissions', async (req, res) => {
         paidCount: 0
       },
       brokers: brokers,
+      visitReviews: visitReviews,
+      pendingDeals: pendingDeals,
       statusFilter: status,
       brokerFilter: broker,
       commissionTypeFilter: commission_type,
@@ -628,6 +664,8 @@ router.get('/commissions', async (req, res) => {
         paidCount: 0
       },
       brokers: [],
+      visitReviews: [],
+      pendingDeals: [],
       statusFilter: '',
       brokerFilter: '',
       commissionTypeFilter: '',
@@ -642,6 +680,82 @@ router.get('/commissions', async (req, res) => {
   }
 });
 
+// ========== COMMISSION PAYOUTS ==========
+// Pay approved commissions in one batch, one transfer per broker. Either
+// every selected commission is marked paid or none is.
+// GST, TDS and the net transfer per broker, before paying
+router.post('/api/commissions/payout-preview', async (req, res) => {
+  try {
+    const payouts = await payoutService.previewBatch(req.body.commissionIds);
+    
+    res.json({
+      success: true,
+      payouts
+    });
+  } catch (error) {
+    if (error.name === 'PayoutError') {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Payout preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to work out payouts'
+    });
+  }
+});
+
+router.post('/api/commissions/payout-batches', async (req, res) => {
+  try {
+    const { commissionIds, paymentMethod, transactionId, references, notes } = req.body;
+    
+    const batch = await payoutService.createBatch(req.user._id || req.user.id, {
+      commissionIds,
+      paymentMethod,
+      transactionId,
+      references,
+      notes
+    });
+    
+    res.json({
+      success: true,
+      message: `${batch.commission_count} commission(s) paid to ${batch.payouts.length} broker(s)`,
+      batch
+    });
+  } catch (error) {
+    if (error.name === 'PayoutError') {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pay commissions'
+    });
+  }
+});
+
+router.get('/api/payout-batches', async (req, res) => {
+  try {
+    const batches = await payoutService.getRecentBatches();
+    
+    res.json({
+      success: true,
+      batches
+    });
+  } catch (error) {
+    console.error('Payout batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load payout batches'
+    });
+  }
+});
+
 // ========== COMMISSION DETAIL VIEW ==========
 router.get('/commissions/:id', async (req, res) => {
   try {
@@ -704,6 +818,112 @@ router.get('/commissions/:id', async (req, res) => {
   }
 });
 
+// ========== VISIT CONFIRMATION REVIEW ==========
+// Visits confirmed without the buyer's check-in code. Approving records the
+// broker's commission; rejecting withholds it.
+router.get('/api/visit-reviews', async (req, res) => {
+  try {
+    const reviews = await visitVerificationService.getPendingReviews();
+    
+    res.json({
+      success: true,
+      reviews
+    });
+  } catch (error) {
+    console.error('Visit reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load visit reviews'
+    });
+  }
+});
+
+router.post('/api/visit-reviews/:cartId/:itemId/:decision(approve|reject)', async (req, res) => {
+  try {
+    const { cartId, itemId, decision } = req.params;
+    
+    const { commission } = await visitVerificationService.reviewManual(cartId, itemId, {
+      adminId: req.user._id || req.user.id,
+      approve: decision === 'approve',
+      reason: req.body.reason
+    });
+    
+    res.json({
+      success: true,
+      message: decision === 'reject' ? 'Confirmation rejected' :
+        commission ? 'Confirmation approved and commission recorded' : 'Confirmation approved',
+      commission
+    });
+  } catch (error) {
+    if (error.name === 'CheckInError') {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Review visit confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review visit confirmation'
+    });
+  }
+});
+
+// ========== DEAL CLOSING REVIEW ==========
+// Confirming a closing marks the property sold or rented, releases every
+// cart and waitlist on it and settles commissions on the final price.
+router.get('/api/deals', async (req, res) => {
+  try {
+    const deals = await dealService.getPendingDeals();
+    
+    res.json({
+      success: true,
+      deals
+    });
+  } catch (error) {
+    console.error('Pending deals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load deal closings'
+    });
+  }
+});
+
+router.post('/api/deals/:id/:decision(confirm|reject)', async (req, res) => {
+  try {
+    const adminId = req.user._id || req.user.id;
+    
+    if (req.params.decision === 'reject') {
+      const deal = await dealService.reject(req.params.id, adminId, req.body.reason);
+      return res.json({
+        success: true,
+        message: 'Closing rejected',
+        deal
+      });
+    }
+    
+    const { deal, commissions } = await dealService.confirm(req.params.id, adminId);
+    
+    res.json({
+      success: true,
+      message: `Property marked ${deal.outcome}; ${commissions.length} commission(s) settled`,
+      deal
+    });
+  } catch (error) {
+    if (error.name === 'DealError' || error.name === 'StatusTransitionError') {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Review deal closing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review deal closing'
+    });
+  }
+});
+
 // ========== ANALYTICS PAGE ==========
 router.get('/analytics', async (req, res) => {
   try {
@@ -794,7 +1014,7 @@ router.get('/analytics', async (req, res) => {
 // ========== REPORTS PAGE ==========
 router.get('/reports', async (req, res) => {
   try {
-    const { reportType = 'overview', startDate, endDate } = req.query;
+    const { reportType = 'overview', startDate, endDate, financialYear } = req.query;
     
     let filter = {};
     if (startDate || endDate) {
@@ -809,6 +1029,8 @@ router.get('/reports', async (req, res) => {
     let chartData = {};
     let topSellers = [];
     let topProperties = [];
+    let tdsSummary = null;
+    let financialYears = [];
     
     switch (reportType) {
       case 'users':
@@ -865,6 +1087,12 @@ router.get('/reports', async (req, res) => {
           .populate('property', 'title price')
           .sort({ created_at: -1 })
           .lean();
+        
+        // TDS withheld under section 194H, by quarter and broker PAN
+        financialYears = await commissionTaxService.getFinancialYears();
+        tdsSummary = await commissionTaxService.getQuarterlyTdsSummary(
+          financialYear || commissionTaxService.getPeriod().financial_year
+        );
         break;
         
       case 'performance':
@@ -1011,6 +1239,8 @@ router.get('/reports', async (req, res) => {
       chartData: chartData,
       topSellers: topSellers,
       topProperties: topProperties,
+      tdsSummary: tdsSummary,
+      financialYears: financialYears,
       startDate: startDate,
       endDate: endDate,
       activePage: 'reports'
@@ -1028,6 +1258,8 @@ router.get('/reports', async (req, res) => {
       chartData: {},
       topSellers: [],
       topProperties: [],
+      tdsSummary: null,
+      financialYears: [],
       startDate: '',
       endDate: '',
       activePage: 'reports'
@@ -1035,6 +1267,144 @@ router.get('/reports', async (req, res) => {
   }
 });
 
+// ========== DOCUMENT VERIFICATION QUEUE ==========
+router.get('/documents', async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const now = new Date();
+    
+    const documentFilters = {
+      pending: doc => !doc.verified && !doc.rejection_reason,
+      rejected: doc => !doc.verified && !!doc.rejection_reason,
+      verified: doc => doc.verified && (!doc.expires_on || doc.expires_on > now),
+      expired: doc => doc.verified && doc.expires_on && doc.expires_on <= now
+    };
+    const matches = documentFilters[status] || documentFilters.pending;
+    
+    const properties = await Property.find({ 'documents.0': { $exists: true } })
+      .populate('seller', 'name email phone')
+      .select('title property_type status is_verified seller documents')
+      .sort({ updatedAt: -1 })
+      .lean();
+    
+    // One queue entry per document, oldest upload first
+    const queue = [];
+    for (const property of properties) {
+      const requiredTypes = await documentVerificationService.getRequiredTypes(property.property_type);
+      (property.documents || []).filter(matches).forEach(doc => {
+        queue.push({
+          property,
+          document: doc,
+          required: requiredTypes.includes(doc.type)
+        });
+      });
+    }
+    queue.sort((a, b) => new Date(a.document.uploaded_at || 0) - new Date(b.document.uploaded_at || 0));
+    
+    const counts = Object.keys(documentFilters).reduce((acc, key) => {
+      acc[key] = properties.reduce((sum, property) =>
+        sum + (property.documents || []).filter(documentFilters[key]).length, 0);
+      return acc;
+    }, {});
+    
+    res.render('admin/documents', {
+      title: 'Document Verification',
+      user: req.user,
+      queue: queue,
+      counts: counts,
+      statusFilter: status,
+      activePage: 'documents'
+    });
+    
+  } catch (error) {
+    console.error('Document queue error:', error);
+    res.render('admin/documents', {
+      title: 'Document Verification',
+      user: req.user,
+      queue: [],
+      counts: { pending: 0, rejected: 0, verified: 0, expired: 0 },
+      statusFilter: 'pending',
+      activePage: 'documents'
+    });
+  }
+});
+
+router.post('/api/properties/:id/documents/:docId/verify', async (req, res) => {
+  try {
+    const { id, docId } = req.params;
+    const { expires_on } = req.body;
+    
+    let expiresOn;
+    if (expires_on) {
+      expiresOn = new Date(expires_on);
+      if (isNaN(expiresOn)) {
+        return res.status(400).json({ success: false, message: 'Invalid expiry date' });
+      }
+    }
+    
+    const property = await Property.findById(id);
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+    
+    if (!property.documents.id(docId)) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    
+    await documentVerificationService.verifyDocument(property, docId, req.user._id || req.user.id, expiresOn);
+    
+    res.json({ 
+      success: true, 
+      message: 'Document verified',
+      is_verified: property.is_verified
+    });
+    
+  } catch (error) {
+    console.error('Verify document error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to verify document',
+      error: error.message 
+    });
+  }
+});
+
+router.post('/api/properties/:id/documents/:docId/reject', async (req, res) => {
+  try {
+    const { id, docId } = req.params;
+    const { reason } = req.body;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ success: false, message: 'Rejection reason is required' });
+    }
+    
+    const property = await Property.findById(id);
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+    
+    if (!property.documents.id(docId)) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    
+    await documentVerificationService.rejectDocument(property, docId, req.user._id || req.user.id, reason);
+    
+    res.json({ 
+      success: true, 
+      message: 'Document rejected',
+      is_verified: property.is_verified
+    });
+    
+  } catch (error) {
+    console.error('Reject document error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to reject document',
+      error: error.message 
+    });
+  }
+});
+
 // ========== SETTINGS PAGE ==========
 router.get('/settings', async (req, res) => {
   try {
@@ -1104,16 +1474,7 @@ router.post('/api/properties/:id/approve', async (req, res) => {
       return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
     
-    property.status = 'approved';
-    property.approved_at = new Date();
-    property.approved_by = req.user._id;
-    
-    if (autoGoLive) {
-      property.status = 'live';
-      property.live_at = new Date();
-    }
-    
-    await property.save();
+    await property.approve(req.user._id || req.user.id, { autoGoLive });
     
     // Send notification to seller
     try {
@@ -1138,6 +1499,9 @@ router.post('/api/properties/:id/approve', async (req, res) => {
     
   } catch (error) {
     console.error('Approval error:', error);
+    if (error.name === 'StatusTransitionError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({ 
       success: false, 
       message: 'Failed to approve property',
@@ -1152,7 +1516,11 @@ router.post('/api/properties/:id/reject', async (req, res) => {
     const { reason } = req.body;
     
     console.log(`Rejecting property ${id}, reason: ${reason}`);
-    
+
+    if (!reason || reason.trim().length < 10) {
+      return res.status(400).json({ success: false, message: 'Rejection reason must be at least 10 characters' });
+    }
+
     const property = await Property.findById(id);
     if (!property) {
       return res.status(404).json({ success: false, message: 'Property not found' });
@@ -1163,12 +1531,7 @@ router.post('/api/properties/:id/reject', async (req, res) => {
       return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
     
-    property.status = 'rejected';
-    property.rejection_reason = reason;
-    property.rejected_at = new Date();
-    property.rejected_by = req.user._id;
-    
-    await property.save();
+    await property.reject(req.user._id || req.user.id, reason);
     
     // Send notification to seller
     try {
@@ -1192,6 +1555,9 @@ router.post('/api/properties/:id/reject', async (req, res) => {
     
   } catch (error) {
     console.error('Rejection error:', error);
+    if (error.name === 'StatusTransitionError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({ 
       success: false, 
       message: 'Failed to reject property',
@@ -1200,6 +1566,233 @@ router.post('/api/properties/:id/reject', async (req, res) => {
   }
 });
 
+router.post('/api/properties/:id/request-revision', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { comments, note } = req.body;
+    
+    if (!Array.isArray(comments) || comments.length === 0) {
+      return res.status(400).json({ success: false, message: 'Add at least one field comment' });
+    }
+    
+    const property = await Property.findById(id);
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+    
+    await property.requestRevision(req.user._id || req.user.id, comments, note);
+    
+    // Send notification to seller
+    try {
+      const Notification = require('../models/Notification');
+      await Notification.create({
+        user: property.seller,
+        title: 'Changes Requested',
+        message: `Your property "${property.title}" needs changes before it can be approved: ${property.revision_comments.map(c => c.field).join(', ')}`,
+        type: 'property_needs_revision',
+        data: {
+          property_id: property._id,
+          action_url: `/seller/properties/${property._id}/edit`
+        }
+      });
+    } catch (notifError) {
+      console.error('Failed to send notification:', notifError);
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Property sent back to seller for revision' 
+    });
+    
+  } catch (error) {
+    console.error('Request revision error:', error);
+    if (error.name === 'StatusTransitionError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to request revision',
+      error: error.message 
+    });
+  }
+});
+
+// ========== MEDIA MODERATION ==========
+router.post('/api/properties/:id/media/:kind/:mediaId/:action(approve|reject)', async (req, res) => {
+  try {
+    const { id, kind, mediaId, action } = req.params;
+    const { reason } = req.body;
+    
+    if (!['images', 'videos'].includes(kind)) {
+      return res.status(400).json({ success: false, message: 'Unknown media type' });
+    }
+    
+    if (action === 'reject' && (!reason || !reason.trim())) {
+      return res.status(400).json({ success: false, message: 'Rejection reason is required' });
+    }
+    
+    const property = await Property.findById(id);
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+    
+    if (!property[kind].id(mediaId)) {
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+    
+    const media = await property.moderateMedia(kind, mediaId, action === 'approve', req.user._id || req.user.id, reason);
+    
+    // Tell the seller about each rejected image or video
+    if (action === 'reject') {
+      try {
+        const Notification = require('../models/Notification');
+        const label = kind === 'images' ?
+          `Image ${property.images.indexOf(media) + 1}` :
+          `Video ${property.videos.indexOf(media) + 1}`;
+        await Notification.create({
+          user: property.seller,
+          title: `${label} Rejected`,
+          message: `${label} of your property "${property.title}" was rejected. Reason: ${media.rejection_reason}`,
+          type: 'media_rejected',
+          data: {
+            property_id: property._id,
+            action_url: `/seller/properties/${property._id}/edit`
+          }
+        });
+      } catch (notifError) {
+        console.error('Failed to send notification:', notifError);
+      }
+    }
+    
+    res.json({ 
+      success: true, 
+      message: action === 'approve' ? 'Media approved' : 'Media rejected',
+      media
+    });
+    
+  } catch (error) {
+    console.error('Media moderation error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to moderate media',
+      error: error.message 
+    });
+  }
+});
+
+router.post('/api/properties/:id/images/reorder', async (req, res) => {
+  try {
+    const { order } = req.body;
+    
+    if (!Array.isArray(order) || order.length === 0) {
+      return res.status(400).json({ success: false, message: 'Image order is required' });
+    }
+    
+    const property = await Property.findById(req.params.id);
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+    
+    const images = await property.reorderImages(order);
+    
+    res.json({ success: true, message: 'Images reordered', images });
+    
+  } catch (error) {
+    console.error('Reorder images error:', error);
+    res.status(400).json({ success: false, message: error.message || 'Failed to reorder images' });
+  }
+});
+
+router.post('/api/properties/:id/images/:imageId/primary', async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+    
+    await property.setPrimaryImage(req.params.imageId);
+    
+    res.json({ success: true, message: 'Primary image updated' });
+    
+  } catch (error) {
+    console.error('Set primary image error:', error);
+    res.status(400).json({ success: false, message: error.message || 'Failed to set primary image' });
+  }
+});
+
+// ========== SUSPENSION ACTIONS ==========
+router.post('/api/properties/:id/unsuspend', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    const property = await Property.findById(id);
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+    
+    if (property.status !== 'suspended') {
+      return res.status(400).json({ success: false, message: 'Property is not suspended' });
+    }
+    
+    await suspensionService.unsuspend(property, req.user._id || req.user.id, 'admin', reason);
+    
+    res.json({ 
+      success: true, 
+      message: `Property restored to ${property.status}`,
+      status: property.status
+    });
+    
+  } catch (error) {
+    console.error('Unsuspend error:', error);
+    if (error.name === 'StatusTransitionError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to unsuspend property',
+      error: error.message 
+    });
+  }
+});
+
+router.post('/api/properties/:id/extend-suspension', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { suspension_end, reason } = req.body;
+    
+    const suspensionEnd = new Date(suspension_end);
+    if (!suspension_end || isNaN(suspensionEnd) || suspensionEnd <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Suspension end must be a valid future date' });
+    }
+    
+    const property = await Property.findById(id);
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+    
+    if (property.status !== 'suspended') {
+      return res.status(400).json({ success: false, message: 'Property is not suspended' });
+    }
+    
+    await suspensionService.extendSuspension(property, req.user._id || req.user.id, suspensionEnd, reason);
+    
+    res.json({ 
+      success: true, 
+      message: 'Suspension extended successfully',
+      suspension_end: property.suspension_end
+    });
+    
+  } catch (error) {
+    console.error('Extend suspension error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to extend suspension',
+      error: error.message 
+    });
+  }
+});
+
 // ========== BULK APPROVAL ACTIONS ==========
 router.post('/api/properties/bulk-approve', async (req, res) => {
   try {
@@ -1220,16 +1813,7 @@ router.post('/api/properties/bulk-approve', async (req, res) => {
       try {
         const property = await Property.findById(id);
         if (property) {
-          property.status = 'approved';
-          property.approved_at = new Date();
-          property.approved_by = req.user._id;
-          
-          if (autoGoLive) {
-            property.status = 'live';
-            property.live_at = new Date();
-          }
-          
-          await property.save();
+          await property.approve(req.user._id || req.user.id, { autoGoLive });
           
           // Send notification
           try {
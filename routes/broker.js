@@ -2,22 +2,17 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
+const imagePipeline = require('../services/imagePipeline');
+const gazetteerService = require('../services/gazetteerService');
+const createDraftRouter = require('./listingDrafts');
+const ist = require('../utils/ist');
 
 // Apply broker auth middleware to all routes
 router.use(requireAuth('broker'));
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
 // Configure multer
-const storage = multer.memoryStorage();
 const upload = multer({ 
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024,
     files: 20
@@ -230,28 +225,13 @@ router.post('/properties/add', upload.array('images', 20), async (req, res) => {
     if (req.files && req.files.length > 0) {
       for (let i = 0; i < req.files.length; i++) {
         const file = req.files[i];
-        const result = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            {
-              folder: 'propbandhu/properties/broker',
-              public_id: `broker_${req.user.id}_${Date.now()}_${i}`,
-              transformation: [
-                { width: 1200, height: 800, crop: 'limit' },
-                { quality: 'auto' }
-              ]
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-          
-          uploadStream.end(file.buffer);
+        const result = await imagePipeline.uploadPropertyImage(file.buffer, {
+          folder: 'propbandhu/properties/broker',
+          publicId: `broker_${req.user.id}_${Date.now()}_${i}`
         });
         
         imageUploads.push({
-          url: result.secure_url,
-          public_id: result.public_id,
+          ...result,
           caption: `Image ${i + 1}`,
           is_primary: i === 0,
           order: i
@@ -290,6 +270,16 @@ router.post('/properties/add', upload.array('images', 20), async (req, res) => {
       });
     }
 
+    // Normalize the address against the pincode gazetteer
+    const resolvedAddress = await gazetteerService.resolveAddress(address);
+    if (Object.keys(resolvedAddress.errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: gazetteerService.firstError(resolvedAddress.errors),
+        errors: resolvedAddress.errors
+      });
+    }
+
     // Handle amenities
     let amenities = [];
     if (req.body.amenities) {
@@ -320,7 +310,7 @@ router.post('/properties/add', upload.array('images', 20), async (req, res) => {
       age_of_property: parseNumber(req.body.age_of_property),
       furnishing: req.body.furnishing || 'unfurnished',
       facing: req.body.facing || '',
-      address: address,
+      address: resolvedAddress.address,
       amenities: amenities,
       images: imageUploads,
       seller: req.body.seller,
@@ -333,10 +323,14 @@ router.post('/properties/add', upload.array('images', 20), async (req, res) => {
         adder_rate: 1.5, // Default adder rate for broker
         seller_rate: 2.5  // Default seller rate
       },
-      status: 'pending_approval'
+      status: 'draft'
     };
 
-    const property = await Property.create(propertyData);
+    // Save as draft, then submit through the status state machine
+    const property = new Property(propertyData);
+    property.setCoordinates(req.body.latitude, req.body.longitude);
+    await imagePipeline.flagDuplicates(property);
+    await property.submitForApproval(req.user.id, 'broker');
 
     res.json({
       success: true,
@@ -357,6 +351,39 @@ router.post('/properties/add', upload.array('images', 20), async (req, res) => {
   }
 });
 
+// ========== DRAFT WIZARD API ==========
+// Brokers list drafts for a seller they pick; the draft stays theirs to edit.
+
+router.use(createDraftRouter({
+  role: 'broker',
+  ownerField: 'added_by.user',
+  upload,
+  uploadFolder: 'propbandhu/properties/broker',
+  createOwner: async (req) => {
+    const User = require('../models/user');
+    
+    // Verify seller exists
+    const seller = await User.findOne({
+      _id: req.body.seller,
+      role: 'seller'
+    });
+    
+    if (!seller) {
+      return { errors: { seller: 'Invalid seller selected' } };
+    }
+    
+    return {
+      owner: {
+        user: req.user.id,
+        role: 'broker',
+        seller: seller._id,
+        broker: req.user.id,
+        commission: { adder_rate: 1.5, seller_rate: 2.5 }
+      }
+    };
+  }
+}));
+
 // ========== PROPERTY DETAILS ==========
 router.get('/properties/:id', async (req, res) => {
   try {
@@ -399,7 +426,8 @@ router.get('/properties/:id', async (req, res) => {
       isVisitPending: propertyObj.isVisitPending(),
       isBookingWindowActive: propertyObj.isBookingWindowActive(),
       isAvailableForSale: propertyObj.isAvailableForSale(),
-      addedByMe: property.added_by.user.toString() === req.user.id && property.added_by.role === 'broker'
+      addedByMe: property.added_by.user.toString() === req.user.id && property.added_by.role === 'broker',
+      assignedToMe: property.broker?.toString() === req.user.id
     };
 
     res.render('broker/property-details', {
@@ -426,6 +454,9 @@ router.get('/commissions', async (req, res) => {
   try {
     const Commission = require('../models/Commission');
     const Property = require('../models/Property');
+    const User = require('../models/user');
+    const payoutService = require('../services/payoutService');
+    const commissionTaxService = require('../services/commissionTaxService');
     
     // Get query parameters
     const { status, type, month, year, sort = 'createdAt', order = 'desc' } = req.query;
@@ -483,9 +514,12 @@ router.get('/commissions', async (req, res) => {
       paidCount: 0
     });
 
-    // Get monthly summary
-    const currentYear = new Date().getFullYear();
-    const monthlySummary = await Commission.getMonthlySummary(req.user.id, year || currentYear);
+    // Monthly statements: opening balance, earned, paid and closing balance
+    const currentYear = ist.monthOf().year;
+    const monthlySummary = await payoutService.getMonthlyStatements(req.user.id, year || currentYear);
+    
+    // PAN and GSTIN decide the TDS and GST on payouts
+    const broker = await User.findById(req.user.id).select('broker.pan_number broker.gstin');
 
     res.render('broker/commissions', {
       title: 'My Commissions',
@@ -493,6 +527,7 @@ router.get('/commissions', async (req, res) => {
       commissions: commissions,
       totals: totals,
       monthlySummary: monthlySummary,
+      taxProfile: commissionTaxService.getTaxProfile(broker),
       filters: { status, type, month, year, sort, order },
       token: req.session.token || '',
       activePage: 'broker'
@@ -514,6 +549,7 @@ router.get('/commissions', async (req, res) => {
         paidCount: 0
       },
       monthlySummary: [],
+      taxProfile: { pan: null, gstin: null },
       filters: {},
       token: req.session.token || '',
       activePage: 'broker'
@@ -521,6 +557,89 @@ router.get('/commissions', async (req, res) => {
   }
 });
 
+// PAN and GSTIN used for TDS and GST on commission payouts
+router.get('/api/tax-profile', async (req, res) => {
+  try {
+    const User = require('../models/user');
+    const commissionTaxService = require('../services/commissionTaxService');
+    
+    const broker = await User.findById(req.user.id).select('broker.pan_number broker.gstin');
+    
+    res.json({
+      success: true,
+      taxProfile: commissionTaxService.getTaxProfile(broker)
+    });
+  } catch (error) {
+    console.error('Tax profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load tax profile'
+    });
+  }
+});
+
+router.put('/api/tax-profile', async (req, res) => {
+  try {
+    const commissionTaxService = require('../services/commissionTaxService');
+    
+    const taxProfile = await commissionTaxService.updateTaxProfile(req.user.id, {
+      pan: req.body.pan,
+      gstin: req.body.gstin
+    });
+    
+    res.json({
+      success: true,
+      message: 'Tax profile saved',
+      taxProfile
+    });
+  } catch (error) {
+    if (error.name === 'TaxError') {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Save tax profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save tax profile'
+    });
+  }
+});
+
+// Download one month's commission statement as CSV or PDF
+router.get('/commissions/statement', async (req, res) => {
+  try {
+    const payoutService = require('../services/payoutService');
+    const now = ist.monthOf();
+    const { year = now.year, month = now.month, format = 'csv' } = req.query;
+    
+    const statement = await payoutService.getStatement(req.user.id, year, month);
+    
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${payoutService.statementFilename(statement, 'pdf')}"`);
+      return payoutService.renderStatementPdf(statement, res);
+    }
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${payoutService.statementFilename(statement, 'csv')}"`);
+    res.send(payoutService.renderStatementCsv(statement));
+  } catch (error) {
+    if (error.name === 'PayoutError') {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Commission statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export statement'
+    });
+  }
+});
+
 // ========== VISITS MANAGEMENT ==========
 router.get('/visits', async (req, res) => {
   try {
@@ -592,14 +711,15 @@ router.get('/visits', async (req, res) => {
 });
 
 // ========== CONFIRM VISIT (BROKER) ==========
+// Confirms without the buyer's check-in code; the commission waits for an
+// admin to approve the confirmation
 router.post('/api/visits/:propertyId/confirm', async (req, res) => {
   try {
     const Property = require('../models/Property');
-    const Cart = require('../models/Cart');
-    const Commission = require('../models/Commission');
+    const visitVerificationService = require('../services/visitVerificationService');
     
     const { propertyId } = req.params;
-    const { method = 'manual', notes } = req.body;
+    const { notes } = req.body;
     
     // Get property
     const property = await Property.findOne({
@@ -614,97 +734,366 @@ router.post('/api/visits/:propertyId/confirm', async (req, res) => {
       });
     }
     
-    // Find cart with this property
-    const cart = await Cart.findOne({
-      'items.property': propertyId,
-      'items.status': 'active'
+    const { bookingWindowEnd } = await visitVerificationService.confirmManually(property._id, {
+      userId: req.user.id,
+      role: 'broker',
+      notes
     });
     
-    if (!cart) {
-      return res.status(400).json({
-        success: false,
-        message: 'Property not found in any active cart'
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Visit confirmed. The commission will be recorded once an admin approves this manual confirmation.',
+      booking_window_end: bookingWindowEnd
+    });
     
-    const cartItem = cart.items.find(item => 
-      item.property.toString() === propertyId && item.status === 'active'
-    );
+  } catch (error) {
+    handleVisitError(res, error, 'Confirm visit');
+  }
+});
+
+// ========== VISIT CHECK-IN ==========
+
+// Confirm a visit with the OTP the buyer shows on site
+router.post('/api/visits/:propertyId/check-in', async (req, res) => {
+  try {
+    const visitVerificationService = require('../services/visitVerificationService');
     
-    if (!cartItem) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cart item not found'
-      });
+    const { commission, bookingWindowEnd } = await visitVerificationService.verify(req.params.propertyId, {
+      userId: req.user.id,
+      role: 'broker',
+      otp: String(req.body.otp || '').trim()
+    });
+    
+    res.json({
+      success: true,
+      message: commission ? 'Visit verified. Commission recorded.' : 'Visit verified.',
+      booking_window_end: bookingWindowEnd
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Verify visit');
+  }
+});
+
+// Landing page for a scanned check-in QR code
+router.get('/visits/check-in/:token', async (req, res) => {
+  try {
+    const visitVerificationService = require('../services/visitVerificationService');
+    
+    const { cart, item, property } = await visitVerificationService.findByToken(req.params.token);
+    
+    res.render('visit-check-in', {
+      title: 'Visit Check-in',
+      user: req.user,
+      property,
+      buyer: cart.buyer,
+      expiresAt: item.check_in.expires_at,
+      isHost: visitVerificationService.isHost(property, req.user.id, 'broker'),
+      confirmUrl: `/broker/api/visits/check-in/${req.params.token}`,
+      backUrl: '/broker/visits',
+      error: null
+    });
+  } catch (error) {
+    if (error.name !== 'CheckInError') {
+      console.error('Check-in page error:', error);
     }
+    res.status(error.status || 500).render('visit-check-in', {
+      title: 'Visit Check-in',
+      user: req.user,
+      property: null,
+      buyer: null,
+      expiresAt: null,
+      isHost: false,
+      confirmUrl: null,
+      backUrl: '/broker/visits',
+      error: error.name === 'CheckInError' ? error.message : 'Failed to load check-in'
+    });
+  }
+});
+
+router.post('/api/visits/check-in/:token', async (req, res) => {
+  try {
+    const visitVerificationService = require('../services/visitVerificationService');
     
-    // Check visit window
-    const addedDate = new Date(cartItem.added_at);
-    const visitExpiry = new Date(addedDate);
-    visitExpiry.setDate(visitExpiry.getDate() + 7);
+    const { item } = await visitVerificationService.findByToken(req.params.token);
+    const { commission, bookingWindowEnd } = await visitVerificationService.verify(item.property, {
+      userId: req.user.id,
+      role: 'broker',
+      token: req.params.token
+    });
     
-    if (new Date() > visitExpiry) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      message: commission ? 'Visit verified. Commission recorded.' : 'Visit verified.',
+      booking_window_end: bookingWindowEnd
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Verify visit');
+  }
+});
+
+// ========== OFFERS ==========
+
+// Responds for an offer action, turning known errors into 4xx
+const handleOfferError = (res, error, label) => {
+  if (['OfferError', 'DealError', 'StatusTransitionError'].includes(error.name)) {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+// Offers received on a property, newest first
+router.get('/api/properties/:id/offers', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const Deal = require('../models/Deal');
+    const offerService = require('../services/offerService');
+    
+    const property = await Property.findOne({ _id: req.params.id, broker: req.user.id }).select('title price price_type');
+    if (!property) {
+      return res.status(404).json({
         success: false,
-        message: 'Visit window has expired'
+        message: 'Property not found'
       });
     }
     
-    // Update cart item
-    cartItem.visit_status = 'confirmed';
-    cartItem.visit_confirmed_at = new Date();
-    cartItem.confirmed_by = req.user.id;
-    cartItem.confirmation_method = method;
-    cartItem.booking_window_start = new Date();
-    cartItem.booking_window_end = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000);
-    cartItem.notes = notes;
+    const offers = await offerService.getPropertyOffers(property._id);
+    const closing = await Deal.findOne({ property: property._id, status: 'pending' })
+      .select('outcome final_price createdAt')
+      .lean();
     
-    await cart.save();
+    res.json({
+      success: true,
+      property,
+      offers,
+      closing
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Load offers');
+  }
+});
+
+// Counter, accept or decline a buyer's offer
+router.post('/api/offers/:id/respond', async (req, res) => {
+  try {
+    const offerService = require('../services/offerService');
+    const { action, amount, message } = req.body;
     
-    // Update property
-    property.cart_status.visit_confirmed = true;
-    property.cart_status.visit_confirmed_at = new Date();
-    property.cart_status.booking_window_start = new Date();
-    property.cart_status.booking_window_end = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000);
+    const offer = await offerService.respond(req.params.id, {
+      userId: req.user.id,
+      role: 'broker',
+      action,
+      amount,
+      message
+    });
     
-    await property.save();
+    res.json({
+      success: true,
+      message: `Offer ${offer.status === 'open' ? 'countered' : offer.status}`,
+      offer
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Respond to offer');
+  }
+});
+
+// Record the token amount received for an accepted offer
+router.post('/api/offers/:id/token', async (req, res) => {
+  try {
+    const offerService = require('../services/offerService');
+    const { method, reference } = req.body;
     
-    // Create seller commission if broker sold the property
-    if (property.added_by.user.toString() !== req.user.id.toString() || 
-        property.added_by.role !== 'broker') {
-      
-      const commissionData = Commission.calculateCommission(
-        property.price,
-        'seller',
-        property.commission?.adder_rate || 1.5,
-        property.commission?.seller_rate || 2.5
-      );
-      
-      await Commission.create({
-        broker: req.user.id,
-        property: property._id,
-        property_price: property.price,
-        commission_type: 'seller',
-        rate: commissionData.rate,
-        amount: commissionData.amount,
-        status: 'pending',
-        notes: `Visit confirmed by broker for property sale`,
-        created_by: req.user.id
+    const offer = await offerService.recordToken(req.params.id, {
+      userId: req.user.id,
+      role: 'broker',
+      method,
+      reference
+    });
+    
+    res.json({
+      success: true,
+      message: 'Token recorded. The property is booked for this buyer.',
+      offer
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Record token');
+  }
+});
+
+// Report a booked property sold or rented to the buyer, for admin confirmation
+router.post('/api/offers/:id/finalize', async (req, res) => {
+  try {
+    const offerService = require('../services/offerService');
+    
+    const deal = await offerService.finalize(req.params.id, {
+      userId: req.user.id,
+      role: 'broker',
+      outcome: req.body.outcome
+    });
+    
+    res.json({
+      success: true,
+      message: `Closing as ${deal.outcome} sent for admin confirmation`,
+      deal
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Finalize booking');
+  }
+});
+
+// ========== DEAL CLOSING ==========
+
+// Responds for a closing action, turning known errors into 4xx
+const handleDealError = (res, error, label) => {
+  if (error.name === 'DealError') {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+// The latest closing, the booked offer and the buyers who visited
+router.get('/api/properties/:id/closing', async (req, res) => {
+  try {
+    const dealService = require('../services/dealService');
+    
+    const closing = await dealService.getClosing(req.params.id, {
+      userId: req.user.id,
+      role: 'broker'
+    });
+    
+    res.json({
+      success: true,
+      ...closing
+    });
+  } catch (error) {
+    handleDealError(res, error, 'Load closing');
+  }
+});
+
+// Report the property sold or rented; nothing changes until an admin confirms
+router.post('/api/properties/:id/closing', async (req, res) => {
+  try {
+    const dealService = require('../services/dealService');
+    const { buyerId, outcome, finalPrice, closingDate, notes } = req.body;
+    
+    const deal = await dealService.requestClosing(req.params.id, {
+      userId: req.user.id,
+      role: 'broker',
+      buyerId,
+      outcome,
+      finalPrice,
+      closingDate,
+      notes
+    });
+    
+    res.json({
+      success: true,
+      message: 'Closing sent for admin confirmation',
+      deal
+    });
+  } catch (error) {
+    handleDealError(res, error, 'Request closing');
+  }
+});
+
+// ========== VISIT AVAILABILITY ==========
+
+// Responds for an availability or visit action, turning known errors into 4xx
+const handleVisitError = (res, error, label) => {
+  if (['AvailabilityError', 'CartError', 'CheckInError'].includes(error.name)) {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+// Published visiting hours and upcoming visits for a property
+router.get('/api/properties/:id/availability', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const visitSlotService = require('../services/visitSlotService');
+    
+    const property = await Property.findOne({ _id: req.params.id, broker: req.user.id }).select('_id');
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
       });
     }
     
+    const [availability, visits, slotMinutes] = await Promise.all([
+      visitSlotService.getAvailability(property._id),
+      visitSlotService.getUpcomingBookings(property._id),
+      visitSlotService.getSlotMinutes()
+    ]);
+    
     res.json({
       success: true,
-      message: 'Visit confirmed successfully. Commission recorded.',
-      booking_window_end: cartItem.booking_window_end
+      availability,
+      slotMinutes,
+      visits
     });
+  } catch (error) {
+    handleVisitError(res, error, 'Load availability');
+  }
+});
+
+router.put('/api/properties/:id/availability', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const visitSlotService = require('../services/visitSlotService');
+    
+    const property = await Property.findOne({ _id: req.params.id, broker: req.user.id }).select('_id');
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
     
+    const availability = await visitSlotService.saveAvailability(property._id, req.user.id, 'broker', req.body);
+    
+    res.json({
+      success: true,
+      message: 'Visiting hours saved',
+      availability
+    });
   } catch (error) {
-    console.error('Confirm visit error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to confirm visit'
+    handleVisitError(res, error, 'Save availability');
+  }
+});
+
+// Cancel a buyer's booked visit, with a reason sent to the buyer
+router.post('/api/visits/bookings/:bookingId/cancel', async (req, res) => {
+  try {
+    const cartService = require('../services/cartService');
+    await cartService.cancelVisitByHost(req.params.bookingId, req.user.id, 'broker', req.body.reason);
+    
+    res.json({
+      success: true,
+      message: 'Visit cancelled. The buyer has been asked to pick another slot.'
     });
+  } catch (error) {
+    handleVisitError(res, error, 'Cancel visit');
   }
 });
 
@@ -758,10 +1147,12 @@ router.get('/visits/schedule/:propertyId', async (req, res) => {
       });
     }
     
+    const cartService = require('../services/cartService');
+    const cartSettings = await cartService.getSettings();
     // Calculate days left
     const addedDate = new Date(cartItem.added_at);
     const visitExpiry = new Date(addedDate);
-    visitExpiry.setDate(visitExpiry.getDate() + 7);
+    visitExpiry.setDate(visitExpiry.getDate() + cartSettings.visit_window_days);
     const daysLeft = Math.ceil((visitExpiry - new Date()) / (1000 * 60 * 60 * 24));
     
     res.render('broker/schedule-visit', {
@@ -786,6 +1177,47 @@ router.get('/visits/schedule/:propertyId', async (req, res) => {
   }
 });
 
+// ========== API: RENEW LISTING ==========
+router.post('/api/properties/:id/renew', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const listingExpiryService = require('../services/listingExpiryService');
+    
+    const property = await Property.findOne({
+      _id: req.params.id,
+      $or: [
+        { 'added_by.user': req.user.id, 'added_by.role': 'broker' },
+        { broker: req.user.id }
+      ]
+    });
+    
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found or you do not have access'
+      });
+    }
+    
+    await listingExpiryService.renewListing(property, req.user.id, 'broker');
+    
+    res.json({
+      success: true,
+      message: property.status === 'pending_approval' ?
+        'Listing renewed and sent for admin review' :
+        'Listing renewed successfully',
+      status: property.status,
+      expires_at: property.expires_at
+    });
+    
+  } catch (error) {
+    console.error('Renew listing error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to renew listing'
+    });
+  }
+});
+
 // ========== API: GET SELLERS FOR BROKER ==========
 router.get('/api/sellers', async (req, res) => {
   try {
@@ -84,6 +84,10 @@ router.get('/dashboard', async (req, res) => {
       };
     });
 
+    // Saved searches with their unseen match counts
+    const savedSearchService = require('../services/savedSearchService');
+    const savedSearches = await savedSearchService.getSearchesWithCounts(req.user.id);
+
     res.render('buyer/dashboard', {
       title: 'Buyer Dashboard',
       user: req.user,
@@ -92,6 +96,7 @@ router.get('/dashboard', async (req, res) => {
         settings: cart ? cart.settings : { max_properties: 5 }
       },
       recentProperties: formattedRecentProperties,
+      savedSearches,
       stats: stats,
       activePage: 'dashboard'
     });
@@ -102,6 +107,7 @@ router.get('/dashboard', async (req, res) => {
       user: req.user,
       cart: { items: [] },
       recentProperties: [],
+      savedSearches: [],
       stats: {
         cartCount: 0,
         visitsScheduled: 0,
@@ -165,6 +171,10 @@ router.get('/properties', async (req, res) => {
       .map(item => item.property?.toString())
       .filter(Boolean) : [];
     
+    const Shortlist = require('../models/Shortlist');
+    const shortlist = await Shortlist.findOne({ buyer: req.user.id }).select('items.property').lean();
+    const shortlistedIds = shortlist ? shortlist.items.map(item => item.property.toString()) : [];
+    
     // Format properties for display
     const formattedProperties = properties.map(property => {
       const propertyObj = new Property(property);
@@ -175,8 +185,10 @@ router.get('/properties', async (req, res) => {
         location: property.address ? 
           `${property.address.area || ''}, ${property.address.city || ''}`.trim() : 
           'Location not specified',
-        primary_image: property.images && property.images.length > 0 ? property.images[0].url : '/images/placeholder.jpg',
+        images: Property.getPublicImages(property.images),
+        primary_image: Property.getImageUrl(Property.getPublicImages(property.images)[0], 'card') || '/images/placeholder.jpg',
         isInCart: cartPropertyIds.includes(property._id.toString()),
+        isShortlisted: shortlistedIds.includes(property._id.toString()),
         isAvailable: !property.cart_status?.in_cart
       };
     });
@@ -244,7 +256,35 @@ router.get('/properties/:id', async (req, res) => {
       'items.status': 'active'
     });
 
-    const isInCart = !!cart || property.cart_status?.in_cart;
+    const isInCart = !!cart;
+
+    // Held by another buyer's cart, or offered to someone on its waitlist
+    const reservedFor = property.cart_status?.reserved_for;
+    const isHeldByOther = !isInCart && (Boolean(property.cart_status?.in_cart) ||
+      Boolean(reservedFor && reservedFor.toString() !== req.user.id.toString()));
+
+    const CartWaitlist = require('../models/CartWaitlist');
+    const waitlistEntry = await CartWaitlist.findActive(property._id, req.user.id);
+    const waitlist = waitlistEntry ? {
+      status: waitlistEntry.status,
+      position: await waitlistEntry.getPosition(),
+      offer_expires_at: waitlistEntry.offer_expires_at
+    } : null;
+
+    const Shortlist = require('../models/Shortlist');
+    const isShortlisted = await Shortlist.exists({ buyer: req.user.id, 'items.property': property._id });
+
+    // Distance from the buyer's saved reference point, when both have a location
+    const User = require('../models/user');
+    const buyer = await User.findById(req.user.id).select('buyer.reference_location').lean();
+    const referenceLocation = buyer?.buyer?.reference_location?.lat != null ?
+      buyer.buyer.reference_location : null;
+    const propertyLocation = Property.getLatLng(property);
+    const referenceDistanceKm = referenceLocation && propertyLocation ?
+      Property.distanceKm(referenceLocation, propertyLocation) : null;
+
+    const cartService = require('../services/cartService');
+    const cartSettings = await cartService.getSettings();
 
     // Check if property is available for cart
     const isAvailableForCart = !property.cart_status?.in_cart && 
@@ -259,19 +299,28 @@ router.get('/properties/:id', async (req, res) => {
       full_address: property.address ? 
         `${property.address.street || ''} ${property.address.area || ''}, ${property.address.city || ''}, ${property.address.state || ''} - ${property.address.pincode || ''}`.trim() : 
         'Address not specified',
-      primary_image: property.images && property.images.length > 0 ? property.images[0].url : null,
+      primary_image: Property.getPublicImages(property.images)[0]?.url || null,
       amenities: property.amenities || [],
       features: property.features || [],
+      // Buyers only see media approved by an admin
+      images: Property.getPublicImages(property.images),
+      videos: (property.videos || []).filter(video => video.approved),
       isInCart: isInCart,
+      isHeldByOther: isHeldByOther,
+      waitlist: waitlist,
+      isShortlisted: Boolean(isShortlisted),
       isAvailableForCart: isAvailableForCart,
       daysLeftInCart: property.cart_status?.in_cart ? 
-        Math.ceil((new Date(property.cart_status.added_at).getTime() + 7*24*60*60*1000 - Date.now()) / (1000*60*60*24)) : null
+        cartService.getVisitDaysLeft({ added_at: property.cart_status.added_at }, cartSettings) : null
     };
 
     res.render('buyer/property-details', {
       title: property.title,
       user: req.user,
       property: propertyData,
+      propertyLocation: propertyLocation,
+      referenceLocation: referenceLocation,
+      referenceDistanceKm: referenceDistanceKm,
       activePage: 'properties'
     });
   } catch (error) {
@@ -301,6 +350,8 @@ router.get('/cart', async (req, res) => {
       });
 
     const cartItems = cart ? cart.items.filter(item => item.status === 'active') : [];
+    const cartService = require('../services/cartService');
+    const cartSettings = await cartService.getSettings();
     
     // Format cart items
     const formattedCartItems = await Promise.all(cartItems.map(async (item) => {
@@ -315,20 +366,36 @@ router.get('/cart', async (req, res) => {
             full_address: property.address ? 
               `${property.address.area || ''}, ${property.address.city || ''}`.trim() : 
               'Location not specified',
-            primary_image: property.images && property.images.length > 0 ? property.images[0].url : null,
+            images: Property.getPublicImages(property.images),
+            primary_image: Property.getImageUrl(Property.getPublicImages(property.images)[0], 'card') || null,
             days_left: item.added_at ? 
-              Math.ceil((new Date(item.added_at).getTime() + 7*24*60*60*1000 - Date.now()) / (1000*60*60*24)) : 7
+              cartService.getVisitDaysLeft(item, cartSettings) : cartSettings.visit_window_days
           }
         };
       }
       return item;
     }));
 
+    // Properties the buyer is queued for behind someone else's cart
+    const waitlistService = require('../services/waitlistService');
+    const waitlistEntries = await waitlistService.getBuyerEntries(req.user.id);
+    const waitlist = waitlistEntries
+      .filter(({ entry }) => entry.property)
+      .map(({ entry, position }) => ({
+        property_id: entry.property._id.toString(),
+        title: entry.property.title,
+        formatted_price: new Property(entry.property).formatted_price,
+        status: entry.status,
+        position,
+        offer_expires_at: entry.offer_expires_at
+      }));
+
     res.render('buyer/cart', {
       title: 'My Cart',
       user: req.user,
       cartItems: formattedCartItems,
-      cartSettings: cart ? cart.settings : { max_properties: 5 },
+      cartSettings,
+      waitlist,
       activePage: 'cart'
     });
   } catch (error) {
@@ -338,11 +405,162 @@ router.get('/cart', async (req, res) => {
       user: req.user,
       cartItems: [],
       cartSettings: { max_properties: 5 },
+      waitlist: [],
       activePage: 'cart'
     });
   }
 });
 
+// ========== SHORTLIST ==========
+router.get('/shortlist', async (req, res) => {
+  try {
+    const Shortlist = require('../models/Shortlist');
+    const Property = require('../models/Property');
+    
+    const shortlist = await Shortlist.findOne({ buyer: req.user.id })
+      .populate('items.property', 'title price status address images bedrooms bathrooms expires_at cart_status.in_cart');
+    
+    const tag = (req.query.tag || '').trim().toLowerCase();
+    const items = shortlist ? shortlist.items
+      .filter(item => item.property)
+      .filter(item => !tag || item.tags.includes(tag))
+      .sort((a, b) => b.added_at - a.added_at) : [];
+    
+    const formattedItems = items.map(item => {
+      const property = item.property;
+      const publicImages = Property.getPublicImages(property.images);
+      return {
+        property_id: property._id.toString(),
+        title: property.title,
+        formatted_price: new Property(property).formatted_price,
+        location: property.address ? 
+          `${property.address.area || ''}, ${property.address.city || ''}`.trim() : 
+          'Location not specified',
+        primary_image: Property.getImageUrl(publicImages[0], 'card') || null,
+        bedrooms: property.bedrooms,
+        bathrooms: property.bathrooms,
+        notes: item.notes || '',
+        tags: item.tags || [],
+        added_at: item.added_at,
+        price_change: typeof item.price_at_add === 'number' ? property.price - item.price_at_add : 0,
+        is_live: property.status === 'live' && (!property.expires_at || property.expires_at > new Date()),
+        is_locked: Boolean(property.cart_status?.in_cart),
+        expires_at: property.expires_at
+      };
+    });
+    
+    res.render('buyer/shortlist', {
+      title: 'My Shortlist',
+      user: req.user,
+      items: formattedItems,
+      tags: shortlist ? shortlist.getTags() : [],
+      selectedTag: tag,
+      activePage: 'shortlist'
+    });
+  } catch (error) {
+    console.error('Shortlist error:', error);
+    res.render('buyer/shortlist', {
+      title: 'My Shortlist',
+      user: req.user,
+      items: [],
+      tags: [],
+      selectedTag: '',
+      activePage: 'shortlist'
+    });
+  }
+});
+
+// ========== PROPERTY COMPARISON ==========
+// ids=a,b,c compares an ad-hoc selection; source=cart compares the
+// buyer's cart (the most recently added properties when it holds more
+// than can be compared at once). unit picks the area unit.
+
+const getComparisonIds = async (req) => {
+  if (req.query.source !== 'cart') return req.query.ids;
+
+  const Cart = require('../models/Cart');
+  const propertyComparisonService = require('../services/propertyComparisonService');
+  const cart = await Cart.findOne({ buyer: req.user.id });
+  return cart ? cart.items
+    .filter(item => item.status === 'active')
+    .sort((a, b) => b.added_at - a.added_at)
+    .slice(0, propertyComparisonService.MAX_PROPERTIES)
+    .map(item => item.property.toString()) : [];
+};
+
+router.get('/compare', async (req, res) => {
+  const propertyComparisonService = require('../services/propertyComparisonService');
+  let comparison = null;
+  let errorMessage = null;
+  
+  try {
+    comparison = await propertyComparisonService.compare(await getComparisonIds(req), { unit: req.query.unit });
+  } catch (error) {
+    if (error.name !== 'ComparisonError') {
+      console.error('Compare properties error:', error);
+    }
+    errorMessage = error.name === 'ComparisonError' ? error.message : 'Failed to compare properties';
+  }
+  
+  res.render('buyer/compare', {
+    title: 'Compare Properties',
+    user: req.user,
+    comparison,
+    errorMessage,
+    unit: comparison ? comparison.unit : 'sqft',
+    units: Object.keys(require('../models/Property').SQFT_PER_UNIT),
+    activePage: 'properties'
+  });
+});
+
+router.get('/api/compare', async (req, res) => {
+  try {
+    const propertyComparisonService = require('../services/propertyComparisonService');
+    const comparison = await propertyComparisonService.compare(await getComparisonIds(req), { unit: req.query.unit });
+    
+    res.json({
+      success: true,
+      comparison
+    });
+  } catch (error) {
+    if (error.name === 'ComparisonError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Compare properties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare properties'
+    });
+  }
+});
+
+// Same comparison as a PDF to share
+router.get('/compare/pdf', async (req, res) => {
+  try {
+    const propertyComparisonService = require('../services/propertyComparisonService');
+    const comparison = await propertyComparisonService.compare(await getComparisonIds(req), { unit: req.query.unit });
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename="property-comparison.pdf"');
+    propertyComparisonService.renderPdf(comparison, res);
+  } catch (error) {
+    if (error.name === 'ComparisonError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Comparison PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export comparison'
+    });
+  }
+});
+
 // ========== MY VISITS ==========
 router.get('/visits', async (req, res) => {
   try {
@@ -375,7 +593,8 @@ router.get('/visits', async (req, res) => {
             full_address: property.address ? 
               `${property.address.area || ''}, ${property.address.city || ''}`.trim() : 
               'Location not specified',
-            primary_image: property.images && property.images.length > 0 ? property.images[0].url : null,
+            images: Property.getPublicImages(property.images),
+            primary_image: Property.getImageUrl(Property.getPublicImages(property.images)[0], 'card') || null,
             visit_status: item.visit_status || 'pending',
             visit_date: item.visit_date,
             visit_confirmed: item.visit_confirmed
@@ -448,9 +667,8 @@ router.get('/schedule-visit/:propertyId', async (req, res) => {
       });
     }
 
-    const cartItem = cart.items.find(item => 
-      item.property.toString() === property._id.toString()
-    );
+    const cartService = require('../services/cartService');
+    const cartItem = cartService.findActiveItem(cart, property._id);
 
     if (!cartItem) {
       return res.status(400).render('error', {
@@ -461,16 +679,15 @@ router.get('/schedule-visit/:propertyId', async (req, res) => {
       });
     }
 
-    // Check if 7-day window is still valid
-    const addedDate = new Date(cartItem.added_at);
-    const visitExpiry = new Date(addedDate);
-    visitExpiry.setDate(visitExpiry.getDate() + 7);
-    const daysLeft = Math.ceil((visitExpiry - new Date()) / (1000 * 60 * 60 * 24));
+    // Check if the visit window is still valid
+    const cartSettings = await cartService.getSettings();
+    const daysLeft = cartService.getVisitDaysLeft(cartItem, cartSettings);
     
     if (daysLeft <= 0) {
+      await cartService.releaseItem(req.user.id, property._id, 'expired');
       return res.status(400).render('error', {
         title: 'Visit Window Expired',
-        message: 'The 7-day visit window has expired. Property has been removed from your cart.',
+        message: `The ${cartSettings.visit_window_days}-day visit window has expired. Property has been removed from your cart.`,
         user: req.user,
         activePage: 'visits'
       });
@@ -483,7 +700,10 @@ router.get('/schedule-visit/:propertyId', async (req, res) => {
       full_address: property.address ? 
         `${property.address.area || ''}, ${property.address.city || ''}`.trim() : 
         'Location not specified',
+      images: Property.getPublicImages(property.images),
       daysLeft: daysLeft,
+      visitDeadline: cartService.getVisitDeadline(cartItem, cartSettings),
+      currentVisit: cartItem.visit_status === 'scheduled' ? cartItem.scheduled_date : null,
       seller: property.seller
     };
 
@@ -510,7 +730,7 @@ router.get('/schedule-visit/:propertyId', async (req, res) => {
 router.post('/api/cart/add', async (req, res) => {
   try {
     const Property = require('../models/Property');
-    const Cart = require('../models/Cart');
+    const cartService = require('../services/cartService');
     
     const { propertyId } = req.body;
     
@@ -521,111 +741,556 @@ router.post('/api/cart/add', async (req, res) => {
       });
     }
     
-    const property = await Property.findById(propertyId);
-    if (!property) {
-      return res.status(404).json({
+    const { cart, property, settings } = await cartService.addToCart(req.user.id, propertyId);
+    const activeItems = cart.items.filter(item => item.status === 'active');
+    
+    res.json({
+      success: true,
+      message: `Property added to cart. You have ${settings.visit_window_days} days to schedule a visit.`,
+      cartCount: activeItems.length,
+      property: {
+        id: property._id,
+        title: property.title,
+        price: new Property(property).formatted_price
+      }
+    });
+    
+  } catch (error) {
+    if (error.name === 'CartError') {
+      return res.status(error.status).json({
         success: false,
-        message: 'Property not found'
+        message: error.message,
+        canJoinWaitlist: Boolean(error.canJoinWaitlist)
       });
     }
+    console.error('Add to cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add to cart'
+    });
+  }
+});
+
+// Remove from cart
+router.post('/api/cart/remove', async (req, res) => {
+  try {
+    const cartService = require('../services/cartService');
     
-    // Check if property is available
-    if (property.cart_status?.in_cart) {
+    const { propertyId } = req.body;
+    
+    if (!propertyId) {
       return res.status(400).json({
         success: false,
-        message: 'Property is already in another buyer\'s cart'
+        message: 'Property ID is required'
       });
     }
     
-    if (property.status !== 'live') {
+    const { cart } = await cartService.removeFromCart(req.user.id, propertyId);
+    const activeItems = cart ? cart.items.filter(item => item.status === 'active') : [];
+    
+    res.json({
+      success: true,
+      message: 'Property removed from cart',
+      cartCount: activeItems.length
+    });
+    
+  } catch (error) {
+    if (error.name === 'CartError') {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Remove from cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove from cart'
+    });
+  }
+});
+
+// Responds for a visit action, turning known errors into 4xx
+const handleVisitError = (res, error, label) => {
+  if (error.name === 'CartError' || error.name === 'CheckInError') {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+// Open visit slots for a cart item, up to the end of its visit window
+router.get('/api/visit/slots/:propertyId', async (req, res) => {
+  try {
+    const cartService = require('../services/cartService');
+    const { slots, deadline, current } = await cartService.getVisitSlots(req.user.id, req.params.propertyId);
+    
+    res.json({
+      success: true,
+      slots,
+      deadline,
+      current
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Load visit slots');
+  }
+});
+
+// Schedule visit
+router.post('/api/visit/schedule', async (req, res) => {
+  try {
+    const cartService = require('../services/cartService');
+    
+    const { propertyId, slot, visitType, notes, phoneNumber, specialRequests } = req.body;
+    
+    if (!propertyId || !slot) {
       return res.status(400).json({
         success: false,
-        message: 'Property is not available for cart'
+        message: 'Please pick a visit slot'
       });
     }
     
-    let cart = await Cart.findOne({ buyer: req.user.id });
-    if (!cart) {
-      cart = new Cart({
-        buyer: req.user.id,
-        items: [],
-        settings: {
-          max_properties: 5,
-          visit_window_days: 7,
-          booking_window_days: 60
-        }
+    const { item } = await cartService.scheduleVisit(req.user.id, propertyId, {
+      start: slot,
+      visitType,
+      notes,
+      phoneNumber,
+      specialRequests
+    });
+    
+    res.json({
+      success: true,
+      message: 'Visit scheduled successfully',
+      visitDate: item.visit_date
+    });
+    
+  } catch (error) {
+    handleVisitError(res, error, 'Schedule visit');
+  }
+});
+
+router.post('/api/visit/reschedule', async (req, res) => {
+  try {
+    const cartService = require('../services/cartService');
+    const { propertyId, slot, reason } = req.body;
+    
+    const { item } = await cartService.rescheduleVisit(req.user.id, propertyId, { start: slot, reason });
+    
+    res.json({
+      success: true,
+      message: 'Visit rescheduled successfully',
+      visitDate: item.visit_date
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Reschedule visit');
+  }
+});
+
+router.post('/api/visit/cancel', async (req, res) => {
+  try {
+    const cartService = require('../services/cartService');
+    const { propertyId, reason } = req.body;
+    
+    await cartService.cancelVisit(req.user.id, propertyId, reason);
+    
+    res.json({
+      success: true,
+      message: 'Visit cancelled. You can book another slot within your visit window.'
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Cancel visit');
+  }
+});
+
+// One-time check-in code to show the broker or seller at the visit. Issuing
+// a new code replaces the previous one.
+router.post('/api/visit/check-in-code', async (req, res) => {
+  try {
+    const visitVerificationService = require('../services/visitVerificationService');
+    
+    const { otp, qrCode, expiresAt, minutes } = await visitVerificationService.issueCode(
+      req.user.id,
+      req.body.propertyId,
+      { baseUrl: `${req.protocol}://${req.get('host')}` }
+    );
+    
+    res.json({
+      success: true,
+      otp,
+      qrCode,
+      expiresAt,
+      message: `Show this code to the broker or seller at the visit. It expires in ${minutes} minutes.`
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Generate check-in code');
+  }
+});
+
+// ========== OFFERS ==========
+
+// Responds for an offer action, turning known errors into 4xx
+const handleOfferError = (res, error, label) => {
+  if (error.name === 'OfferError' || error.name === 'CartError') {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+router.get('/api/offers', async (req, res) => {
+  try {
+    const offerService = require('../services/offerService');
+    const offers = await offerService.getBuyerOffers(req.user.id);
+    
+    res.json({
+      success: true,
+      offers
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Load offers');
+  }
+});
+
+// The buyer's offers on one property, with what the listing accepts
+router.get('/api/properties/:id/offers', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const offerService = require('../services/offerService');
+    
+    const property = await Property.findById(req.params.id).select('title price price_type');
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
       });
     }
     
-    // Check cart limit
-    const activeItems = cart.items.filter(item => item.status === 'active');
-    if (activeItems.length >= cart.settings.max_properties) {
-      return res.status(400).json({
+    const offers = await offerService.getPropertyOffers(property._id, { buyerId: req.user.id });
+    
+    res.json({
+      success: true,
+      property,
+      offers
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Load offers');
+  }
+});
+
+router.post('/api/offers', async (req, res) => {
+  try {
+    const offerService = require('../services/offerService');
+    const { propertyId, amount, message } = req.body;
+    
+    const offer = await offerService.makeOffer(req.user.id, propertyId, { amount, message });
+    
+    res.json({
+      success: true,
+      message: 'Offer sent to the seller',
+      offer
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Make offer');
+  }
+});
+
+// Counter, accept, decline or withdraw
+router.post('/api/offers/:id/respond', async (req, res) => {
+  try {
+    const offerService = require('../services/offerService');
+    const { action, amount, message } = req.body;
+    
+    const offer = await offerService.respond(req.params.id, {
+      userId: req.user.id,
+      role: 'buyer',
+      action,
+      amount,
+      message
+    });
+    
+    res.json({
+      success: true,
+      message: `Offer ${offer.status === 'open' ? 'countered' : offer.status}`,
+      offer
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Respond to offer');
+  }
+});
+
+// ========== AUCTIONS ==========
+
+// Responds for an auction action, turning known errors into 4xx
+const handleAuctionError = (res, error, label) => {
+  if (error.name === 'AuctionError') {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+// Auction state with the buyer's own bids and whether they may bid
+router.get('/api/properties/:id/auction', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const auctionService = require('../services/auctionService');
+    
+    const property = await Property.findById(req.params.id).select('title price price_type status auction');
+    if (!property || property.price_type !== 'auction') {
+      return res.status(404).json({
         success: false,
-        message: `Cart limit reached (max ${cart.settings.max_properties} properties)`
+        message: 'Auction not found'
       });
     }
     
-    // Check if already in cart
-    const alreadyInCart = activeItems.find(item => 
-      item.property.toString() === propertyId
-    );
+    const auction = await auctionService.getAuction(property, { buyerId: req.user.id });
+    
+    res.json({
+      success: true,
+      auction
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Load auction');
+  }
+});
+
+router.post('/api/properties/:id/bids', async (req, res) => {
+  try {
+    const auctionService = require('../services/auctionService');
+    
+    const { bid, extended, auction } = await auctionService.placeBid(req.user.id, req.params.id, req.body.amount);
     
-    if (alreadyInCart) {
+    res.json({
+      success: true,
+      message: extended ?
+        `Bid placed. Bidding now ends ${auction.ends_at.toLocaleString('en-IN')}.` :
+        'Bid placed. You hold the highest bid.',
+      bid
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Place bid');
+  }
+});
+
+// ========== CART WAITLIST ==========
+
+// Responds for a waitlist action, turning known errors into 4xx
+const handleWaitlistError = (res, error, label) => {
+  if (error.name === 'WaitlistError' || error.name === 'CartError') {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+router.get('/api/waitlist', async (req, res) => {
+  try {
+    const waitlistService = require('../services/waitlistService');
+    const entries = await waitlistService.getBuyerEntries(req.user.id);
+    
+    res.json({
+      success: true,
+      waitlist: entries.map(({ entry, position }) => ({
+        ...entry.toObject(),
+        position
+      }))
+    });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Load waitlist');
+  }
+});
+
+// Queue behind the buyer currently holding the property
+router.post('/api/waitlist/join', async (req, res) => {
+  try {
+    const waitlistService = require('../services/waitlistService');
+    const { propertyId } = req.body;
+    
+    if (!propertyId) {
       return res.status(400).json({
         success: false,
-        message: 'Property is already in your cart'
+        message: 'Property ID is required'
       });
     }
     
-    // Add to property cart status
-    property.cart_status = {
-      in_cart: true,
-      buyer_id: req.user.id,
-      added_at: new Date(),
-      visit_confirmed: false
-    };
-    await property.save();
+    const { position } = await waitlistService.join(req.user.id, propertyId);
     
-    // Add to cart
-    cart.items.push({
-      property: propertyId,
-      added_at: new Date(),
-      status: 'active',
-      visit_status: 'pending'
+    res.json({
+      success: true,
+      message: `You are number ${position} on the waitlist. We will notify you when it is your turn.`,
+      position
     });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Join waitlist');
+  }
+});
+
+router.post('/api/waitlist/leave', async (req, res) => {
+  try {
+    const waitlistService = require('../services/waitlistService');
+    await waitlistService.leave(req.user.id, req.body.propertyId);
     
-    await cart.save();
+    res.json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Leave waitlist');
+  }
+});
+
+// Accept an open offer by adding the property to the cart
+router.post('/api/waitlist/claim', async (req, res) => {
+  try {
+    const waitlistService = require('../services/waitlistService');
+    const { cart, settings } = await waitlistService.claim(req.user.id, req.body.propertyId);
     
-    const updatedActiveItems = cart.items.filter(item => item.status === 'active');
+    res.json({
+      success: true,
+      message: `Property added to cart. You have ${settings.visit_window_days} days to schedule a visit.`,
+      cartCount: cart.items.filter(item => item.status === 'active').length
+    });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Claim property');
+  }
+});
+
+router.post('/api/waitlist/decline', async (req, res) => {
+  try {
+    const waitlistService = require('../services/waitlistService');
+    await waitlistService.decline(req.user.id, req.body.propertyId);
     
     res.json({
       success: true,
-      message: 'Property added to cart. You have 7 days to schedule a visit.',
-      cartCount: updatedActiveItems.length,
-      property: {
-        id: property._id,
-        title: property.title,
-        price: new Property(property).formatted_price
+      message: 'Offer declined. It has passed to the next buyer.'
+    });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Decline offer');
+  }
+});
+
+// Save the point listings are measured against; empty lat/lng clears it
+router.put('/api/reference-location', async (req, res) => {
+  try {
+    const User = require('../models/user');
+    const { label, lat, lng } = req.body;
+    
+    const blank = (value) => value === undefined || value === null || value === '';
+    let referenceLocation;
+    if (!(blank(lat) && blank(lng))) {
+      referenceLocation = {
+        label: (label || '').trim() || 'My location',
+        lat: Number(lat),
+        lng: Number(lng)
+      };
+      if (!Number.isFinite(referenceLocation.lat) || Math.abs(referenceLocation.lat) > 90 ||
+          !Number.isFinite(referenceLocation.lng) || Math.abs(referenceLocation.lng) > 180) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enter a valid latitude and longitude'
+        });
       }
+    }
+    
+    await User.findByIdAndUpdate(req.user.id, referenceLocation ?
+      { $set: { 'buyer.reference_location': referenceLocation } } :
+      { $unset: { 'buyer.reference_location': '' } });
+    
+    res.json({
+      success: true,
+      message: referenceLocation ? 'Reference location saved' : 'Reference location cleared',
+      reference_location: referenceLocation || null
+    });
+  } catch (error) {
+    console.error('Reference location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save reference location'
     });
+  }
+});
+
+// ========== PROPERTY SEARCH API ==========
+// Full-text search with filters, cursor pagination and facet counts.
+// Query: q, location, city, locality, locality_id, property_type, sub_type, bedrooms, min_bedrooms,
+// furnishing, facing, amenities, min_price, max_price, min_area, max_area,
+// lat, lng, radius_km, polygon, sort, limit, cursor (list filters accept
+// comma-separated values; sort=distance needs lat and lng)
+router.get('/api/properties/search', async (req, res) => {
+  try {
+    const propertySearchService = require('../services/propertySearchService');
+    const result = await propertySearchService.search(req.query);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.name === 'SearchQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Property search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search properties'
+    });
+  }
+});
+
+// ========== SHORTLIST API ==========
+// Shortlisting does not lock the listing; use the cart for that
+router.get('/api/shortlist', async (req, res) => {
+  try {
+    const Shortlist = require('../models/Shortlist');
+    const shortlist = await Shortlist.findOne({ buyer: req.user.id })
+      .populate('items.property', 'title price status address expires_at cart_status.in_cart');
     
+    res.json({
+      success: true,
+      items: shortlist ? shortlist.items : [],
+      tags: shortlist ? shortlist.getTags() : []
+    });
   } catch (error) {
-    console.error('Add to cart error:', error);
+    console.error('Get shortlist error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to add to cart'
+      message: 'Failed to load shortlist'
     });
   }
 });
 
-// Remove from cart
-router.post('/api/cart/remove', async (req, res) => {
+router.post('/api/shortlist/add', async (req, res) => {
   try {
-    const Cart = require('../models/Cart');
+    const Shortlist = require('../models/Shortlist');
     const Property = require('../models/Property');
     
-    const { propertyId } = req.body;
+    const { propertyId, notes, tags } = req.body;
     
     if (!propertyId) {
       return res.status(400).json({
@@ -634,115 +1299,253 @@ router.post('/api/cart/remove', async (req, res) => {
       });
     }
     
-    const cart = await Cart.findOne({ buyer: req.user.id });
-    if (!cart) {
-      return res.status(400).json({
+    const property = await Property.findById(propertyId);
+    if (!property || property.status !== 'live') {
+      return res.status(404).json({
         success: false,
-        message: 'Cart not found'
+        message: 'Property not found'
       });
     }
     
-    const itemIndex = cart.items.findIndex(item => 
-      item.property.toString() === propertyId && item.status === 'active'
-    );
+    let shortlist = await Shortlist.findOne({ buyer: req.user.id });
+    if (!shortlist) {
+      shortlist = new Shortlist({ buyer: req.user.id, items: [] });
+    }
+    
+    await shortlist.addItem(property, { notes, tags });
     
-    if (itemIndex === -1) {
+    res.json({
+      success: true,
+      message: 'Property added to your shortlist',
+      shortlistCount: shortlist.items.length
+    });
+  } catch (error) {
+    if (error.name === 'ShortlistError' || error.name === 'ValidationError') {
       return res.status(400).json({
         success: false,
-        message: 'Property not found in cart'
+        message: error.name === 'ValidationError' ?
+          Object.values(error.errors)[0].message :
+          error.message
       });
     }
+    console.error('Add to shortlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add to shortlist'
+    });
+  }
+});
+
+// Update notes and tags (tags as an array or comma-separated string)
+router.patch('/api/shortlist/:propertyId', async (req, res) => {
+  try {
+    const Shortlist = require('../models/Shortlist');
+    const shortlist = await Shortlist.findOne({ buyer: req.user.id });
     
-    // Mark as removed
-    cart.items[itemIndex].status = 'removed';
-    await cart.save();
+    if (!shortlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found in shortlist'
+      });
+    }
     
-    // Update property status
-    const property = await Property.findById(propertyId);
-    if (property) {
-      property.cart_status = {
-        in_cart: false,
-        buyer_id: null,
-        added_at: null,
-        visit_confirmed: false
-      };
-      await property.save();
+    await shortlist.updateItem(req.params.propertyId, {
+      notes: req.body.notes,
+      tags: req.body.tags
+    });
+    
+    res.json({
+      success: true,
+      message: 'Shortlist updated',
+      item: shortlist.findItem(req.params.propertyId)
+    });
+  } catch (error) {
+    if (error.name === 'ShortlistError' || error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.name === 'ValidationError' ?
+          Object.values(error.errors)[0].message :
+          error.message
+      });
     }
+    console.error('Update shortlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shortlist'
+    });
+  }
+});
+
+router.post('/api/shortlist/remove', async (req, res) => {
+  try {
+    const Shortlist = require('../models/Shortlist');
+    const { propertyId } = req.body;
     
-    const activeItems = cart.items.filter(item => item.status === 'active');
+    const shortlist = await Shortlist.findOne({ buyer: req.user.id });
+    if (!shortlist || !propertyId || !shortlist.hasProperty(propertyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Property not found in shortlist'
+      });
+    }
+    
+    await shortlist.removeItem(propertyId);
     
     res.json({
       success: true,
-      message: 'Property removed from cart',
-      cartCount: activeItems.length
+      message: 'Property removed from shortlist',
+      shortlistCount: shortlist.items.length
+    });
+  } catch (error) {
+    console.error('Remove from shortlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove from shortlist'
     });
+  }
+});
+
+// ========== SAVED SEARCHES ==========
+// Filters use the search API parameter names; the browse page's
+// price_range is accepted too
+router.get('/api/saved-searches', async (req, res) => {
+  try {
+    const savedSearchService = require('../services/savedSearchService');
+    const savedSearches = await savedSearchService.getSearchesWithCounts(req.user.id);
     
+    res.json({
+      success: true,
+      saved_searches: savedSearches
+    });
   } catch (error) {
-    console.error('Remove from cart error:', error);
+    console.error('Saved searches error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to remove from cart'
+      message: 'Failed to load saved searches'
     });
   }
 });
 
-// Schedule visit
-router.post('/api/visit/schedule', async (req, res) => {
+router.post('/api/saved-searches', async (req, res) => {
   try {
-    const Cart = require('../models/Cart');
-    const Property = require('../models/Property');
+    const savedSearchService = require('../services/savedSearchService');
+    const { name, filters, frequency } = req.body;
     
-    const { propertyId, visitDate, visitTime, notes } = req.body;
+    const savedSearch = await savedSearchService.createSearch(req.user.id, {
+      name,
+      filters: filters || {},
+      frequency
+    });
     
-    if (!propertyId || !visitDate || !visitTime) {
+    res.json({
+      success: true,
+      message: 'Search saved. We will let you know about new matching listings.',
+      saved_search: savedSearch
+    });
+  } catch (error) {
+    if (error.name === 'SearchQueryError' || error.name === 'ValidationError') {
       return res.status(400).json({
         success: false,
-        message: 'Visit date and time are required'
+        message: error.name === 'ValidationError' ?
+          Object.values(error.errors)[0].message :
+          error.message
       });
     }
+    console.error('Save search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save search'
+    });
+  }
+});
+
+// Rename, change frequency or pause/resume alerts
+router.patch('/api/saved-searches/:id', async (req, res) => {
+  try {
+    const SavedSearch = require('../models/SavedSearch');
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, buyer: req.user.id });
     
-    const cart = await Cart.findOne({ buyer: req.user.id });
-    if (!cart) {
-      return res.status(400).json({
+    if (!savedSearch) {
+      return res.status(404).json({
         success: false,
-        message: 'Cart not found'
+        message: 'Saved search not found'
       });
     }
     
-    const cartItem = cart.items.find(item => 
-      item.property.toString() === propertyId && item.status === 'active'
-    );
+    ['name', 'frequency', 'is_active'].forEach(field => {
+      if (req.body[field] !== undefined) savedSearch[field] = req.body[field];
+    });
+    await savedSearch.save();
     
-    if (!cartItem) {
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      saved_search: savedSearch
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'Property not found in cart'
+        message: error.name === 'ValidationError' ?
+          Object.values(error.errors)[0].message :
+          'Invalid saved search'
       });
     }
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update saved search'
+    });
+  }
+});
+
+router.delete('/api/saved-searches/:id', async (req, res) => {
+  try {
+    const SavedSearch = require('../models/SavedSearch');
+    const SavedSearchMatch = require('../models/SavedSearchMatch');
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, buyer: req.user.id });
     
-    // Schedule the visit
-    cartItem.visit_scheduled = true;
-    cartItem.visit_date = new Date(`${visitDate}T${visitTime}`);
-    cartItem.visit_notes = notes;
-    cartItem.visit_status = 'scheduled';
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
     
-    await cart.save();
+    await SavedSearchMatch.deleteMany({ saved_search: savedSearch._id });
     
     res.json({
       success: true,
-      message: 'Visit scheduled successfully',
-      visitDate: cartItem.visit_date
+      message: 'Saved search deleted'
     });
-    
   } catch (error) {
-    console.error('Schedule visit error:', error);
+    console.error('Delete saved search error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to schedule visit'
+      message: 'Failed to delete saved search'
     });
   }
 });
 
+// Open a saved search: clears its new-match count and shows the results
+router.get('/saved-searches/:id', async (req, res) => {
+  try {
+    const SavedSearch = require('../models/SavedSearch');
+    const savedSearchService = require('../services/savedSearchService');
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, buyer: req.user.id });
+    
+    if (!savedSearch) {
+      return res.redirect('/buyer/dashboard');
+    }
+    
+    await savedSearchService.markSeen(savedSearch);
+    res.redirect(savedSearch.getBrowseUrl());
+  } catch (error) {
+    console.error('Open saved search error:', error);
+    res.redirect('/buyer/dashboard');
+  }
+});
+
 // Get cart count
 router.get('/api/cart/count', async (req, res) => {
   try {
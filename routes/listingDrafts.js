@@ -0,0 +1,270 @@
+const express = require('express');
+const Property = require('../models/Property');
+const listingDraftService = require('../services/listingDraftService');
+
+// Draft wizard API shared by the seller and broker dashboards. Listings are
+// created as drafts and filled in section by section (basics, location,
+// specs, amenities, media), then submitted for approval. Mounted inside the
+// role's router, which has already authenticated the user.
+//
+// role         - 'seller' or 'broker', recorded as the listing's adder
+// ownerField   - field holding the user's id on the drafts they may edit
+// upload       - the role's multer instance for image uploads
+// uploadFolder - storage folder for draft images
+// createOwner  - (req) => { owner } or { errors } for a new draft
+const createDraftRouter = ({ role, ownerField, upload, uploadFolder, createOwner }) => {
+  const router = express.Router();
+
+  const findOwnDraft = (req) => Property.findOne({
+    _id: req.params.id,
+    [ownerField]: req.user.id
+  });
+
+  router.get('/api/drafts', async (req, res) => {
+    try {
+      const drafts = await Property.find({ [ownerField]: req.user.id, status: 'draft' })
+        .sort({ updatedAt: -1 });
+
+      const minImages = await listingDraftService.getMinImages();
+
+      res.json({
+        success: true,
+        drafts: drafts.map(draft => ({
+          id: draft._id,
+          title: draft.title,
+          updatedAt: draft.updatedAt,
+          progress: draft.getWizardProgress(minImages)
+        }))
+      });
+    } catch (error) {
+      console.error('List drafts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch drafts'
+      });
+    }
+  });
+
+  router.post('/api/drafts', async (req, res) => {
+    try {
+      const { owner, errors: ownerErrors } = await createOwner(req);
+      if (!owner) {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(ownerErrors)[0],
+          errors: ownerErrors
+        });
+      }
+
+      const { property, errors } = await listingDraftService.createDraft(owner, req.body);
+
+      if (!property) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please fix the highlighted fields',
+          errors
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Draft saved',
+        property: {
+          id: property._id,
+          title: property.title,
+          status: property.status
+        },
+        progress: await listingDraftService.getProgress(property)
+      });
+    } catch (error) {
+      console.error('Create draft error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create draft'
+      });
+    }
+  });
+
+  router.get('/api/drafts/:id', async (req, res) => {
+    try {
+      const property = await findOwnDraft(req);
+      if (!property || property.status !== 'draft') {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        property,
+        progress: await listingDraftService.getProgress(property)
+      });
+    } catch (error) {
+      console.error('Get draft error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch draft'
+      });
+    }
+  });
+
+  router.patch('/api/drafts/:id/:step', async (req, res) => {
+    try {
+      if (!Property.WIZARD_STEPS[req.params.step] || req.params.step === 'media') {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown step: ${req.params.step}`
+        });
+      }
+
+      const property = await findOwnDraft(req);
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      const { errors } = await listingDraftService.saveStep(property, req.params.step, req.body);
+
+      if (Object.keys(errors).length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please fix the highlighted fields',
+          errors
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Draft saved',
+        savedAt: property.updatedAt,
+        progress: await listingDraftService.getProgress(property)
+      });
+    } catch (error) {
+      console.error('Save draft step error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to save draft'
+      });
+    }
+  });
+
+  router.post('/api/drafts/:id/media', upload.array('images', 20), async (req, res) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No images uploaded'
+        });
+      }
+
+      const property = await findOwnDraft(req);
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      const { uploaded, failed } = await listingDraftService.addImages(property, req.files, uploadFolder);
+
+      res.status(uploaded.length > 0 ? 200 : 502).json({
+        success: failed.length === 0,
+        message: failed.length === 0 ?
+          `${uploaded.length} image(s) uploaded` :
+          `${uploaded.length} image(s) uploaded, ${failed.length} failed. Please retry the failed images.`,
+        uploaded,
+        failed,
+        images: property.images,
+        progress: await listingDraftService.getProgress(property)
+      });
+    } catch (error) {
+      console.error('Upload draft media error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to upload images'
+      });
+    }
+  });
+
+  router.delete('/api/drafts/:id/media/:imageId', async (req, res) => {
+    try {
+      const property = await findOwnDraft(req);
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      const removed = await listingDraftService.removeImage(property, req.params.imageId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Image not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Image removed',
+        images: property.images,
+        progress: await listingDraftService.getProgress(property)
+      });
+    } catch (error) {
+      console.error('Remove draft media error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to remove image'
+      });
+    }
+  });
+
+  router.post('/api/drafts/:id/submit', async (req, res) => {
+    try {
+      const property = await findOwnDraft(req);
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      const { submitted, progress } = await listingDraftService.submit(property, req.user.id, role);
+
+      if (!submitted) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please complete all steps before submitting',
+          progress
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Property submitted successfully! It will be reviewed by admin.',
+        property: {
+          id: property._id,
+          title: property.title,
+          status: property.status
+        }
+      });
+    } catch (error) {
+      console.error('Submit draft error:', error);
+      let message = error.message || 'Failed to submit property';
+      if (error.name === 'ValidationError') {
+        message = 'Validation error: ' + Object.values(error.errors).map(e => e.message).join(', ');
+      }
+      res.status(400).json({
+        success: false,
+        message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDraftRouter;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const Locality = require('../models/Locality');
+
+// Address autocomplete backed by the pincode gazetteer; any signed-in role
+router.use(requireAuth());
+
+// Suggestions by pincode prefix or locality name prefix
+router.get('/', async (req, res) => {
+  try {
+    const { q, district, state, limit } = req.query;
+    const localities = await Locality.autocomplete(q, {
+      district,
+      state,
+      limit: parseInt(limit) || 10
+    }).lean();
+
+    res.json({
+      success: true,
+      localities: localities.map(locality => ({
+        id: locality._id,
+        name: locality.name,
+        pincode: locality.pincode,
+        district: locality.district,
+        state: locality.state
+      }))
+    });
+  } catch (error) {
+    console.error('Locality autocomplete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load localities'
+    });
+  }
+});
+
+// District, state and localities of one pincode, used to prefill address forms
+router.get('/pincode/:pincode', async (req, res) => {
+  try {
+    if (!/^\d{6}$/.test(req.params.pincode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pincode must be 6 digits'
+      });
+    }
+
+    const localities = await Locality.findByPincode(req.params.pincode).lean();
+    if (localities.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pincode not found in the gazetteer'
+      });
+    }
+
+    res.json({
+      success: true,
+      pincode: req.params.pincode,
+      district: localities[0].district,
+      state: localities[0].state,
+      localities: localities.map(locality => ({
+        id: locality._id,
+        name: locality.name
+      }))
+    });
+  } catch (error) {
+    console.error('Pincode lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up pincode'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../services/storage');
+
+const DOCUMENT_FOLDER = 'propbandhu/documents/';
+
+// Property documents (ownership papers, tax receipts...) are private to the
+// listing's seller, its assigned broker or whoever added it, and admins.
+// Photos and videos stay open to any logged-in user.
+const canRead = async (user, publicId) => {
+  const Property = require('../models/Property');
+  const property = await Property.findOne({ 'documents.public_id': publicId })
+    .select('seller broker added_by.user')
+    .lean();
+
+  if (!property && !publicId.startsWith(DOCUMENT_FOLDER)) return true;
+  if (user.role === 'admin') return true;
+  if (!property) return false;
+
+  const userId = (user._id || user.id).toString();
+  return [property.seller, property.broker, property.added_by?.user]
+    .some(owner => owner && owner.toString() === userId);
+};
+
+// Serves files stored by the local storage adapter. Requires a signed URL
+// from storage.getSignedUrl() or a logged-in session allowed to read the file.
+router.get('/*', async (req, res) => {
+  const { adapter } = storage;
+  if (adapter.name !== 'local') {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+
+  const publicId = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!adapter.verifySignature(publicId, expires, signature)) {
+    const user = req.session?.user;
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    try {
+      if (!await canRead(user, publicId)) {
+        return res.status(403).json({ success: false, message: 'Access denied' });
+      }
+    } catch (error) {
+      console.error('Media access check error:', error);
+      return res.status(500).json({ success: false, message: 'Failed to load file' });
+    }
+  }
+
+  let filePath;
+  try {
+    filePath = adapter.resolve(publicId);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  res.sendFile(filePath, { dotfiles: 'deny' }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode || 404).json({ success: false, message: 'File not found' });
+    }
+  });
+});
+
+module.exports = router;
@@ -2,21 +2,17 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
+const storage = require('../services/storage');
+const imagePipeline = require('../services/imagePipeline');
+const gazetteerService = require('../services/gazetteerService');
+const createDraftRouter = require('./listingDrafts');
 
 // Apply seller auth middleware to all routes
 router.use(requireAuth('seller'));
 
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
 // Configure multer for memory storage
-const storage = multer.memoryStorage();
 const upload = multer({ 
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
     files: 20 // Max 20 files
@@ -212,6 +208,16 @@ router.post('/properties/add', upload.array('images', 10), async (req, res) => {
       pincode: req.body['address[pincode]'] || req.body.pincode || ''
     };
 
+    // Normalize the address against the pincode gazetteer
+    const resolvedAddress = await gazetteerService.resolveAddress(address);
+    if (Object.keys(resolvedAddress.errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: gazetteerService.firstError(resolvedAddress.errors),
+        errors: resolvedAddress.errors
+      });
+    }
+
     // Handle amenities
     let amenities = [];
     if (req.body.amenities) {
@@ -232,8 +238,9 @@ router.post('/properties/add', upload.array('images', 10), async (req, res) => {
       }
     }
 
-    // Handle MULTIPLE image uploads to Cloudinary
+    // Handle MULTIPLE image uploads
     const imageUploads = [];
+    const failedUploads = [];
     if (req.files && req.files.length > 0) {
       console.log(`Processing ${req.files.length} image(s)...`);
       
@@ -242,21 +249,15 @@ router.post('/properties/add', upload.array('images', 10), async (req, res) => {
         try {
           console.log(`Uploading image ${i+1}: ${file.originalname} (${file.mimetype})`);
           
-          // Upload to Cloudinary
-          const result = await cloudinary.uploader.upload(file.path, {
+          const result = await imagePipeline.uploadPropertyImage(file.buffer, {
             folder: 'propbandhu/properties',
-            public_id: `property_${req.user.id}_${Date.now()}_${i}`,
-            transformation: [
-              { width: 1200, height: 800, crop: 'limit' },
-              { quality: 'auto' }
-            ]
+            publicId: `property_${req.user.id}_${Date.now()}_${i}`
           });
           
-          console.log(`✅ Image ${i+1} uploaded: ${result.secure_url}`);
+          console.log(`✅ Image ${i+1} uploaded: ${result.url}`);
           
           imageUploads.push({
-            url: result.secure_url,
-            public_id: result.public_id,
+            ...result,
             caption: `Property Image ${i + 1}`,
             is_primary: i === 0, // First image is primary
             order: i
@@ -264,6 +265,7 @@ router.post('/properties/add', upload.array('images', 10), async (req, res) => {
           
         } catch (uploadError) {
           console.error(`❌ Failed to upload image ${i+1}:`, uploadError.message);
+          failedUploads.push(file.originalname);
         }
       }
     } else {
@@ -286,7 +288,7 @@ router.post('/properties/add', upload.array('images', 10), async (req, res) => {
       short_description: (req.body.short_description || '').trim(),
       property_type: req.body.property_type || 'Residential',
       sub_type: req.body.sub_type || 'Apartment',
-      status: 'pending_approval',
+      status: 'draft',
       approval_status: 'pending',
       price: parseFloat(req.body.price),
       price_type: req.body.price_type || 'fixed',
@@ -301,7 +303,7 @@ router.post('/properties/add', upload.array('images', 10), async (req, res) => {
       age_of_property: parseNumber(req.body.age_of_property),
       furnishing: req.body.furnishing || 'unfurnished',
       facing: req.body.facing || '',
-      address: address,
+      address: resolvedAddress.address,
       amenities: amenities,
       features: features,
       images: imageUploads,
@@ -332,8 +334,11 @@ router.post('/properties/add', upload.array('images', 10), async (req, res) => {
 
     console.log('💾 Saving property to database...');
     
-    // Save to database
-    const property = await Property.create(propertyData);
+    // Save as draft, then submit through the status state machine
+    const property = new Property(propertyData);
+    property.setCoordinates(req.body.latitude, req.body.longitude);
+    await imagePipeline.flagDuplicates(property);
+    await property.submitForApproval(req.user.id, 'seller');
     
     console.log(`✅ Property created: ${property._id}`);
     console.log(`✅ Property Status: ${property.status}`);
@@ -349,13 +354,16 @@ router.post('/properties/add', upload.array('images', 10), async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Property submitted successfully! It will be reviewed by admin.',
+      message: failedUploads.length > 0 ?
+        `Property submitted, but ${failedUploads.length} image(s) failed to upload. Please add them again from the edit page.` :
+        'Property submitted successfully! It will be reviewed by admin.',
       property: {
         id: property._id,
         title: property.title,
         status: property.status,
         images: property.images.length
-      }
+      },
+      failedUploads
     });
 
   } catch (error) {
@@ -376,6 +384,24 @@ router.post('/properties/add', upload.array('images', 10), async (req, res) => {
     });
   }
 });
+
+// ========== DRAFT WIZARD API ==========
+
+router.use(createDraftRouter({
+  role: 'seller',
+  ownerField: 'seller',
+  upload,
+  uploadFolder: 'propbandhu/properties',
+  createOwner: (req) => ({
+    owner: {
+      user: req.user.id,
+      role: 'seller',
+      seller: req.user.id,
+      commission: { adder_rate: 0, seller_rate: 0 }
+    }
+  })
+}));
+
 // ========== EDIT PROPERTY ==========
 router.get('/properties/:id/edit', async (req, res) => {
   try {
@@ -463,13 +489,18 @@ router.post('/properties/:id/update', upload.array('images', 20), async (req, re
       // Filter only allowed fields
       const updates = {};
       Object.keys(req.body).forEach(field => {
-        if (allowedFields.includes(field)) {
+        // Status changes only go through the status state machine
+        if (allowedFields.includes(field) && field !== 'status') {
           updates[field] = req.body[field];
         }
       });
       
       // Apply updates
       Object.assign(property, updates);
+      if (allowedFields.includes('address.coordinates') &&
+          (req.body.latitude !== undefined || req.body.longitude !== undefined)) {
+        property.setCoordinates(req.body.latitude, req.body.longitude);
+      }
     } else {
       // Handle image uploads if any
       if (req.files && req.files.length > 0) {
@@ -477,24 +508,13 @@ router.post('/properties/:id/update', upload.array('images', 20), async (req, re
         
         for (let i = 0; i < req.files.length; i++) {
           const file = req.files[i];
-          const result = await new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-              {
-                folder: 'propbandhu/properties',
-                public_id: `property_${property._id}_${Date.now()}_${i}`
-              },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-              }
-            );
-            
-            uploadStream.end(file.buffer);
+          const result = await imagePipeline.uploadPropertyImage(file.buffer, {
+            folder: 'propbandhu/properties',
+            publicId: `property_${property._id}_${Date.now()}_${i}`
           });
 
           imageUploads.push({
-            url: result.secure_url,
-            public_id: result.public_id,
+            ...result,
             caption: `Image ${property.images.length + i + 1}`,
             is_primary: property.images.length === 0 && i === 0,
             order: property.images.length + i
@@ -503,6 +523,7 @@ router.post('/properties/:id/update', upload.array('images', 20), async (req, re
 
         // Add new images to existing ones
         property.images = [...property.images, ...imageUploads];
+        await imagePipeline.flagDuplicates(property);
       }
 
       // Update other fields
@@ -526,8 +547,24 @@ router.post('/properties/:id/update', upload.array('images', 20), async (req, re
       if (req.body['address[city]']) property.address.city = req.body['address[city]'];
       if (req.body['address[state]']) property.address.state = req.body['address[state]'];
       if (req.body['address[pincode]']) property.address.pincode = req.body['address[pincode]'];
+      
+      if (property.isModified('address')) {
+        const resolvedAddress = await gazetteerService.resolveAddress(property.toObject().address);
+        if (Object.keys(resolvedAddress.errors).length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: gazetteerService.firstError(resolvedAddress.errors),
+            errors: resolvedAddress.errors
+          });
+        }
+        property.set('address', resolvedAddress.address);
+      }
+      if (req.body.latitude !== undefined || req.body.longitude !== undefined) {
+        property.setCoordinates(req.body.latitude, req.body.longitude);
+      }
     }
 
+    property.last_edited_at = new Date();
     await property.save();
 
     res.json({
@@ -573,20 +610,8 @@ router.post('/properties/:id/delete', async (req, res) => {
       });
     }
 
-    // Delete images from Cloudinary
-    if (property.images && property.images.length > 0) {
-      for (const image of property.images) {
-        if (image.public_id) {
-          try {
-            await cloudinary.uploader.destroy(image.public_id);
-          } catch (error) {
-            console.error('Failed to delete image from Cloudinary:', error);
-          }
-        }
-      }
-    }
-
-    // Delete property from database
+    // Delete property from database; stored images and documents are
+    // removed by the Property delete hook
     await Property.findByIdAndDelete(req.params.id);
 
     res.json({
@@ -676,10 +701,12 @@ router.get('/properties/:id', async (req, res) => {
     // Calculate cart lock countdown
     let daysLeft = 0;
     let bookingWindowEnd = null;
+    const cartService = require('../services/cartService');
+    const cartSettings = await cartService.getSettings();
     if (property.cart_status?.in_cart) {
       const addedDate = new Date(property.cart_status.added_at);
       const visitExpiry = new Date(addedDate);
-      visitExpiry.setDate(visitExpiry.getDate() + 7);
+      visitExpiry.setDate(visitExpiry.getDate() + cartSettings.visit_window_days);
       const now = new Date();
       daysLeft = Math.ceil((visitExpiry - now) / (1000 * 60 * 60 * 24));
       
@@ -688,10 +715,6 @@ router.get('/properties/:id', async (req, res) => {
       }
     }
 
-    // Calculate expiry date (30 days from creation)
-    const expiresAt = new Date(property.createdAt);
-    expiresAt.setDate(expiresAt.getDate() + 30);
-
     // Format property data for template
     const propertyData = {
       ...property.toObject(),
@@ -721,11 +744,14 @@ router.get('/properties/:id', async (req, res) => {
       documents: property.documents || [],
       images: property.images || [],
       status: property.status || 'draft',
+      approval_status: property.approval_status,
+      rejection_reason: property.rejection_reason,
+      revision_comments: property.revision_comments || [],
       createdAt: property.createdAt,
       updatedAt: property.updatedAt,
       approved_at: property.approved_at,
       live_at: property.live_at,
-      expires_at: expiresAt,
+      expires_at: property.expires_at,
       views: property.views || 0,
       inquiries: property.inquiries || 0,
       cart_status: property.cart_status || { in_cart: false },
@@ -787,10 +813,12 @@ router.get('/properties/:id/cart-details', async (req, res) => {
       });
     }
 
+    const cartService = require('../services/cartService');
+    const cartSettings = await cartService.getSettings();
     // Calculate countdown times
     const addedDate = new Date(property.cart_status.added_at);
     const visitExpiry = new Date(addedDate);
-    visitExpiry.setDate(visitExpiry.getDate() + 7);
+    visitExpiry.setDate(visitExpiry.getDate() + cartSettings.visit_window_days);
     const now = new Date();
     const daysLeft = Math.ceil((visitExpiry - now) / (1000 * 60 * 60 * 24));
     
@@ -1031,57 +1059,517 @@ router.get('/api/properties/status', async (req, res) => {
 
 // Unlock property from cart (admin/seller request)
 router.post('/api/properties/:id/unlock', async (req, res) => {
+  try {
+    const cartService = require('../services/cartService');
+    
+    await cartService.unlockProperty(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Property unlocked successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'CartError') {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Unlock property error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock property'
+    });
+  }
+});
+
+// ========== VISIT AVAILABILITY ==========
+
+// Responds for an availability or visit action, turning known errors into 4xx
+const handleVisitError = (res, error, label) => {
+  if (['AvailabilityError', 'CartError', 'CheckInError'].includes(error.name)) {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+// Published visiting hours and upcoming visits for a property
+router.get('/api/properties/:id/availability', async (req, res) => {
   try {
     const Property = require('../models/Property');
+    const visitSlotService = require('../services/visitSlotService');
     
-    const property = await Property.findOne({
-      _id: req.params.id,
-      seller: req.user.id
+    const property = await Property.findOne({ _id: req.params.id, seller: req.user.id }).select('_id');
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+    
+    const [availability, visits, slotMinutes] = await Promise.all([
+      visitSlotService.getAvailability(property._id),
+      visitSlotService.getUpcomingBookings(property._id),
+      visitSlotService.getSlotMinutes()
+    ]);
+    
+    res.json({
+      success: true,
+      availability,
+      slotMinutes,
+      visits
     });
+  } catch (error) {
+    handleVisitError(res, error, 'Load availability');
+  }
+});
 
+router.put('/api/properties/:id/availability', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const visitSlotService = require('../services/visitSlotService');
+    
+    const property = await Property.findOne({ _id: req.params.id, seller: req.user.id }).select('_id');
     if (!property) {
       return res.status(404).json({
         success: false,
         message: 'Property not found'
       });
     }
+    
+    const availability = await visitSlotService.saveAvailability(property._id, req.user.id, 'seller', req.body);
+    
+    res.json({
+      success: true,
+      message: 'Visiting hours saved',
+      availability
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Save availability');
+  }
+});
+
+// Cancel a buyer's booked visit, with a reason sent to the buyer
+router.post('/api/visits/bookings/:bookingId/cancel', async (req, res) => {
+  try {
+    const cartService = require('../services/cartService');
+    await cartService.cancelVisitByHost(req.params.bookingId, req.user.id, 'seller', req.body.reason);
+    
+    res.json({
+      success: true,
+      message: 'Visit cancelled. The buyer has been asked to pick another slot.'
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Cancel visit');
+  }
+});
+
+// ========== VISIT CHECK-IN ==========
+
+// Confirm a visit with the OTP the buyer shows on site
+router.post('/api/visits/:propertyId/check-in', async (req, res) => {
+  try {
+    const visitVerificationService = require('../services/visitVerificationService');
+    
+    const { bookingWindowEnd } = await visitVerificationService.verify(req.params.propertyId, {
+      userId: req.user.id,
+      role: 'seller',
+      otp: String(req.body.otp || '').trim()
+    });
+    
+    res.json({
+      success: true,
+      message: bookingWindowEnd ?
+        'Visit verified. The buyer\'s booking window has started.' :
+        'Visit verified. The buyer can now bid in the auction.',
+      booking_window_end: bookingWindowEnd
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Verify visit');
+  }
+});
+
+// Landing page for a scanned check-in QR code
+router.get('/visits/check-in/:token', async (req, res) => {
+  try {
+    const visitVerificationService = require('../services/visitVerificationService');
+    
+    const { cart, item, property } = await visitVerificationService.findByToken(req.params.token);
+    
+    res.render('visit-check-in', {
+      title: 'Visit Check-in',
+      user: req.user,
+      property,
+      buyer: cart.buyer,
+      expiresAt: item.check_in.expires_at,
+      isHost: visitVerificationService.isHost(property, req.user.id, 'seller'),
+      confirmUrl: `/seller/api/visits/check-in/${req.params.token}`,
+      backUrl: `/seller/properties/${property._id}`,
+      error: null
+    });
+  } catch (error) {
+    if (error.name !== 'CheckInError') {
+      console.error('Check-in page error:', error);
+    }
+    res.status(error.status || 500).render('visit-check-in', {
+      title: 'Visit Check-in',
+      user: req.user,
+      property: null,
+      buyer: null,
+      expiresAt: null,
+      isHost: false,
+      confirmUrl: null,
+      backUrl: '/seller/dashboard',
+      error: error.name === 'CheckInError' ? error.message : 'Failed to load check-in'
+    });
+  }
+});
 
-    if (!property.cart_status?.in_cart) {
-      return res.status(400).json({
+router.post('/api/visits/check-in/:token', async (req, res) => {
+  try {
+    const visitVerificationService = require('../services/visitVerificationService');
+    
+    const { item } = await visitVerificationService.findByToken(req.params.token);
+    const { bookingWindowEnd } = await visitVerificationService.verify(item.property, {
+      userId: req.user.id,
+      role: 'seller',
+      token: req.params.token
+    });
+    
+    res.json({
+      success: true,
+      message: bookingWindowEnd ?
+        'Visit verified. The buyer\'s booking window has started.' :
+        'Visit verified. The buyer can now bid in the auction.',
+      booking_window_end: bookingWindowEnd
+    });
+  } catch (error) {
+    handleVisitError(res, error, 'Verify visit');
+  }
+});
+
+// ========== OFFERS ==========
+
+// Responds for an offer action, turning known errors into 4xx
+const handleOfferError = (res, error, label) => {
+  if (['OfferError', 'DealError', 'StatusTransitionError'].includes(error.name)) {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+// Offers received on a property, newest first
+router.get('/api/properties/:id/offers', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const Deal = require('../models/Deal');
+    const offerService = require('../services/offerService');
+    
+    const property = await Property.findOne({ _id: req.params.id, seller: req.user.id }).select('title price price_type');
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+    
+    const offers = await offerService.getPropertyOffers(property._id);
+    const closing = await Deal.findOne({ property: property._id, status: 'pending' })
+      .select('outcome final_price createdAt')
+      .lean();
+    
+    res.json({
+      success: true,
+      property,
+      offers,
+      closing
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Load offers');
+  }
+});
+
+// Counter, accept or decline a buyer's offer
+router.post('/api/offers/:id/respond', async (req, res) => {
+  try {
+    const offerService = require('../services/offerService');
+    const { action, amount, message } = req.body;
+    
+    const offer = await offerService.respond(req.params.id, {
+      userId: req.user.id,
+      role: 'seller',
+      action,
+      amount,
+      message
+    });
+    
+    res.json({
+      success: true,
+      message: `Offer ${offer.status === 'open' ? 'countered' : offer.status}`,
+      offer
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Respond to offer');
+  }
+});
+
+// Record the token amount received for an accepted offer
+router.post('/api/offers/:id/token', async (req, res) => {
+  try {
+    const offerService = require('../services/offerService');
+    const { method, reference } = req.body;
+    
+    const offer = await offerService.recordToken(req.params.id, {
+      userId: req.user.id,
+      role: 'seller',
+      method,
+      reference
+    });
+    
+    res.json({
+      success: true,
+      message: 'Token recorded. The property is booked for this buyer.',
+      offer
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Record token');
+  }
+});
+
+// Report a booked property sold or rented to the buyer, for admin confirmation
+router.post('/api/offers/:id/finalize', async (req, res) => {
+  try {
+    const offerService = require('../services/offerService');
+    
+    const deal = await offerService.finalize(req.params.id, {
+      userId: req.user.id,
+      role: 'seller',
+      outcome: req.body.outcome
+    });
+    
+    res.json({
+      success: true,
+      message: `Closing as ${deal.outcome} sent for admin confirmation`,
+      deal
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Finalize booking');
+  }
+});
+
+// ========== AUCTIONS ==========
+
+// Responds for an auction action, turning known errors into 4xx
+const handleAuctionError = (res, error, label) => {
+  if (error.name === 'AuctionError') {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+// Auction state with the reserve and the bidders
+router.get('/api/properties/:id/auction', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const auctionService = require('../services/auctionService');
+    
+    const property = await Property.findOne({ _id: req.params.id, seller: req.user.id })
+      .select('title price price_type status auction');
+    if (!property) {
+      return res.status(404).json({
         success: false,
-        message: 'Property is not locked in cart'
+        message: 'Property not found'
       });
     }
+    
+    const auction = await auctionService.getAuction(property, { forSeller: true });
+    
+    res.json({
+      success: true,
+      auction
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Load auction');
+  }
+});
 
-    // Check if visit window expired or booking window expired
-    const propertyObj = new Property(property);
-    if (propertyObj.isVisitPending() || propertyObj.isBookingWindowActive()) {
-      return res.status(400).json({
+// Set the reserve, increment, timing and anti-sniping extension; allowed
+// until the first bid, or for a new round after one closed without a sale
+router.put('/api/properties/:id/auction', async (req, res) => {
+  try {
+    const auctionService = require('../services/auctionService');
+    const { reservePrice, minIncrement, startsAt, endsAt, extensionMinutes } = req.body;
+    
+    const property = await auctionService.configure(req.params.id, req.user.id, {
+      reservePrice,
+      minIncrement,
+      startsAt,
+      endsAt,
+      extensionMinutes
+    });
+    
+    res.json({
+      success: true,
+      message: 'Auction saved',
+      auction: property.auction
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Save auction');
+  }
+});
+
+// ========== DEAL CLOSING ==========
+
+// Responds for a closing action, turning known errors into 4xx
+const handleDealError = (res, error, label) => {
+  if (error.name === 'DealError') {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${label.toLowerCase()}`
+  });
+};
+
+// The latest closing, the booked offer and the buyers who visited
+router.get('/api/properties/:id/closing', async (req, res) => {
+  try {
+    const dealService = require('../services/dealService');
+    
+    const closing = await dealService.getClosing(req.params.id, {
+      userId: req.user.id,
+      role: 'seller'
+    });
+    
+    res.json({
+      success: true,
+      ...closing
+    });
+  } catch (error) {
+    handleDealError(res, error, 'Load closing');
+  }
+});
+
+// Report the property sold or rented; nothing changes until an admin confirms
+router.post('/api/properties/:id/closing', async (req, res) => {
+  try {
+    const dealService = require('../services/dealService');
+    const { buyerId, outcome, finalPrice, closingDate, notes } = req.body;
+    
+    const deal = await dealService.requestClosing(req.params.id, {
+      userId: req.user.id,
+      role: 'seller',
+      buyerId,
+      outcome,
+      finalPrice,
+      closingDate,
+      notes
+    });
+    
+    res.json({
+      success: true,
+      message: 'Closing sent for admin confirmation',
+      deal
+    });
+  } catch (error) {
+    handleDealError(res, error, 'Request closing');
+  }
+});
+
+// Resubmit a rejected listing for review
+router.post('/api/properties/:id/resubmit', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    
+    const property = await Property.findOne({
+      _id: req.params.id,
+      seller: req.user.id
+    });
+
+    if (!property) {
+      return res.status(404).json({
         success: false,
-        message: 'Cannot unlock property while visit/booking window is active'
+        message: 'Property not found'
       });
     }
 
-    // Unlock property
-    property.cart_status = {
-      in_cart: false,
-      buyer_id: null,
-      added_at: null,
-      visit_confirmed: false
-    };
+    await property.resubmit(req.user.id, 'seller');
 
-    await property.save();
+    res.json({
+      success: true,
+      message: 'Property resubmitted for admin review',
+      status: property.status
+    });
+
+  } catch (error) {
+    console.error('Resubmit property error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to resubmit property'
+    });
+  }
+});
+
+// Renew listing
+router.post('/api/properties/:id/renew', async (req, res) => {
+  try {
+    const Property = require('../models/Property');
+    const listingExpiryService = require('../services/listingExpiryService');
+    
+    const property = await Property.findOne({
+      _id: req.params.id,
+      seller: req.user.id
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    await listingExpiryService.renewListing(property, req.user.id, 'seller');
 
     res.json({
       success: true,
-      message: 'Property unlocked successfully'
+      message: property.status === 'pending_approval' ?
+        'Listing renewed and sent for admin review' :
+        'Listing renewed successfully',
+      status: property.status,
+      expires_at: property.expires_at
     });
 
   } catch (error) {
-    console.error('Unlock property error:', error);
-    res.status(500).json({
+    console.error('Renew listing error:', error);
+    res.status(400).json({
       success: false,
-      message: 'Failed to unlock property'
+      message: error.message || 'Failed to renew listing'
     });
   }
 });
@@ -1110,28 +1598,20 @@ router.post('/api/properties/:id/documents/upload', upload.single('document'), a
       });
     }
 
-    // Upload document to Cloudinary
-    const result = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          folder: 'propbandhu/documents',
-          resource_type: 'auto',
-          public_id: `doc_${property._id}_${Date.now()}`
-        },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      );
-      
-      uploadStream.end(req.file.buffer);
+    const result = await storage.upload(req.file.buffer, {
+      folder: 'propbandhu/documents',
+      publicId: `doc_${property._id}_${Date.now()}`,
+      originalName: req.file.originalname,
+      resourceType: 'auto'
     });
 
     // Add document to property
     property.documents = property.documents || [];
     property.documents.push({
       name: req.body.name || req.file.originalname,
-      url: result.secure_url,
+      url: result.url,
+      public_id: result.public_id,
+      resource_type: result.resource_type,
       type: req.body.type || 'other',
       uploaded_at: new Date()
     });
@@ -1143,7 +1623,7 @@ router.post('/api/properties/:id/documents/upload', upload.single('document'), a
       message: 'Document uploaded successfully',
       document: {
         name: req.body.name || req.file.originalname,
-        url: result.secure_url,
+        url: result.url,
         type: req.body.type || 'other'
       }
     });
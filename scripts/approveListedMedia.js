@@ -0,0 +1,54 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+
+// Buyers only see images and videos marked approved. Listings approved
+// before media review existed never had that flag set, so their photos
+// disappeared from the public pages. This one-off migration approves the
+// media of every listing that has passed review, skipping anything an admin
+// has already reviewed or rejected.
+//
+//   npm run migrate:listed-media
+
+// Statuses a listing can only reach after admin approval
+const REVIEWED_STATUSES = ['approved', 'live', 'suspended', 'expired', 'sold', 'rented'];
+
+const UNREVIEWED = {
+  approved: { $ne: true },
+  reviewed_at: { $exists: false },
+  rejection_reason: { $exists: false }
+};
+
+const approveField = async (field) => {
+  const result = await Property.collection.updateMany(
+    {
+      status: { $in: REVIEWED_STATUSES },
+      [field]: { $elemMatch: UNREVIEWED }
+    },
+    { $set: { [`${field}.$[item].approved`]: true } },
+    {
+      arrayFilters: [{
+        'item.approved': UNREVIEWED.approved,
+        'item.reviewed_at': UNREVIEWED.reviewed_at,
+        'item.rejection_reason': UNREVIEWED.rejection_reason
+      }]
+    }
+  );
+  return result.modifiedCount;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/propbandhu');
+
+  console.log('🔄 Approving media on reviewed listings...');
+  const images = await approveField('images');
+  const videos = await approveField('videos');
+  console.log(`✅ Approved images on ${images} listings and videos on ${videos} listings`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Media migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,203 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const Locality = require('../models/Locality');
+const Property = require('../models/Property');
+const gazetteerService = require('../services/gazetteerService');
+
+// Imports the pincode gazetteer from a CSV in the India Post "All India
+// Pincode Directory" layout (officename, pincode, district, statename,
+// latitude, longitude; other columns are ignored), plain or gzipped.
+// Re-running updates existing localities in place, so their ids stay stable.
+//
+//   npm run import:pincodes -- [file.csv[.gz]] [--backfill]
+//
+// Without a file the bundled directory in data/pincodes.csv.gz is used
+// (see data/README.md). --backfill links existing listings to their
+// canonical locality afterwards.
+
+const BATCH_SIZE = 1000;
+const DEFAULT_FILE = path.join(__dirname, '../data/pincodes.csv.gz');
+
+// The directory writes 'NA' for unknown districts, states and coordinates
+const MISSING = 'NA';
+
+// Rough bounding box of India; the directory has offices at 0,0 and a few
+// with latitude and longitude swapped or mistyped
+const BOUNDS = { minLat: 6, maxLat: 38, minLng: 68, maxLng: 98 };
+
+// Split one CSV line, honouring double-quoted fields
+const parseLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+};
+
+const toCoordinate = (value) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : undefined;
+};
+
+// { latitude, longitude } when both are usable, otherwise both undefined
+const toLocation = (row) => {
+  const latitude = toCoordinate(row.latitude);
+  const longitude = toCoordinate(row.longitude);
+  const inIndia = latitude >= BOUNDS.minLat && latitude <= BOUNDS.maxLat &&
+    longitude >= BOUNDS.minLng && longitude <= BOUNDS.maxLng;
+  return inIndia ? { latitude, longitude } : { latitude: undefined, longitude: undefined };
+};
+
+const known = (value) => !!value && value.toUpperCase() !== MISSING;
+
+const openFile = (file) => {
+  const input = fs.createReadStream(file);
+  return file.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input;
+};
+
+const importFile = async (file) => {
+  const lines = readline.createInterface({ input: openFile(file), crlfDelay: Infinity });
+
+  let columns = null;
+  let batch = [];
+  let imported = 0;
+  let skipped = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Locality.bulkWrite(batch, { ordered: false });
+    imported += batch.length;
+    batch = [];
+    console.log(`  ${imported} localities imported...`);
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    if (!columns) {
+      columns = parseLine(line).map(column => column.toLowerCase());
+      const missing = ['officename', 'pincode', 'district', 'statename'].filter(column => !columns.includes(column));
+      if (missing.length > 0) {
+        throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+      }
+      continue;
+    }
+
+    const values = parseLine(line);
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = values[index];
+    });
+
+    const name = Locality.cleanName(row.officename);
+    if (!/^\d{6}$/.test(row.pincode || '') || !name || !known(row.district) || !known(row.statename)) {
+      skipped++;
+      continue;
+    }
+
+    // bulkWrite skips middleware, so name_key is set here
+    batch.push({
+      updateOne: {
+        filter: { pincode: row.pincode, name_key: Locality.normalizeKey(name) },
+        update: {
+          $set: {
+            name,
+            district: Locality.titleCase(row.district),
+            state: Locality.titleCase(row.statename),
+            ...toLocation(row)
+          },
+          $setOnInsert: { createdAt: new Date() },
+          $currentDate: { updatedAt: true }
+        },
+        upsert: true
+      }
+    });
+
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { imported, skipped };
+};
+
+// Link listings that have a pincode but no canonical locality yet. Listings
+// whose city or state contradict the pincode are left for their owners to fix.
+const backfillProperties = async () => {
+  const cursor = Property.find({
+    'address.pincode': { $regex: /^\d{6}$/ },
+    'address.locality': { $exists: false }
+  }).select('address').cursor();
+
+  let linked = 0;
+  let conflicts = 0;
+  for await (const property of cursor) {
+    const { address, locality, errors } = await gazetteerService.resolveAddress(property.toObject().address);
+    if (Object.keys(errors).length > 0) {
+      conflicts++;
+      continue;
+    }
+    if (!locality) continue;
+
+    await Property.updateOne({ _id: property._id }, {
+      $set: {
+        'address.locality': locality._id,
+        'address.area': address.area,
+        'address.city': address.city,
+        'address.state': address.state
+      }
+    });
+    linked++;
+  }
+
+  return { linked, conflicts };
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const file = path.resolve(args.find(arg => !arg.startsWith('--')) || DEFAULT_FILE);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/propbandhu');
+  await Locality.syncIndexes();
+
+  console.log(`📥 Importing localities from ${file}`);
+  const { imported, skipped } = await importFile(file);
+  console.log(`✅ Imported ${imported} localities (${skipped} rows skipped)`);
+
+  if (args.includes('--backfill')) {
+    console.log('🔄 Linking existing listings to localities...');
+    const { linked, conflicts } = await backfillProperties();
+    console.log(`✅ Linked ${linked} listings (${conflicts} with a city or state that contradicts the pincode)`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Pincode import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
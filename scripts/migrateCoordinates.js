@@ -0,0 +1,44 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+
+// Converts listings saved with { lat, lng } coordinates to the GeoJSON
+// points the geo queries need. Listings with only one of the two values
+// lose the unusable location. Safe to re-run; converted listings are left
+// alone.
+//
+//   npm run migrate:coordinates
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/propbandhu');
+
+  console.log('🔄 Converting listing locations to GeoJSON...');
+  const converted = await Property.collection.updateMany(
+    {
+      'address.coordinates.lat': { $type: 'number' },
+      'address.coordinates.lng': { $type: 'number' }
+    },
+    [{
+      $set: {
+        'address.coordinates': {
+          type: 'Point',
+          coordinates: ['$address.coordinates.lng', '$address.coordinates.lat']
+        }
+      }
+    }]
+  );
+
+  const cleared = await Property.collection.updateMany(
+    { 'address.coordinates': { $exists: true }, 'address.coordinates.type': { $ne: 'Point' } },
+    { $unset: { 'address.coordinates': '' } }
+  );
+
+  console.log(`✅ Converted ${converted.modifiedCount} listings (${cleared.modifiedCount} incomplete locations cleared)`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Coordinate migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
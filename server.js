@@ -7,6 +7,15 @@ const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const cartCleanupService = require('./services/cartCleanupService');
 const simpleCleanupService = require('./services/simpleCleanupService');
+const listingExpiryService = require('./services/listingExpiryService');
+const suspensionService = require('./services/suspensionService');
+const documentVerificationService = require('./services/documentVerificationService');
+const savedSearchService = require('./services/savedSearchService');
+const shortlistAlertService = require('./services/shortlistAlertService');
+const cartLockReconciliationService = require('./services/cartLockReconciliationService');
+const waitlistService = require('./services/waitlistService');
+const offerService = require('./services/offerService');
+const auctionService = require('./services/auctionService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -93,11 +102,29 @@ process.on('SIGINT', () => {
 
 if (process.env.NODE_ENV !== 'test') {
   cartCleanupService.start();
+  listingExpiryService.start();
+  suspensionService.start();
+  documentVerificationService.start();
+  savedSearchService.start();
+  shortlistAlertService.start();
+  cartLockReconciliationService.start();
+  waitlistService.start();
+  offerService.start();
+  auctionService.start();
 }
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   cartCleanupService.stop();
+  listingExpiryService.stop();
+  suspensionService.stop();
+  documentVerificationService.stop();
+  savedSearchService.stop();
+  shortlistAlertService.stop();
+  cartLockReconciliationService.stop();
+  waitlistService.stop();
+  offerService.stop();
+  auctionService.stop();
   process.exit(0);
 });
 
@@ -315,8 +342,12 @@ const buyerRoutes = require('./routes/buyer');
 const brokerRoutes = require('./routes/broker');
 const adminViewRoutes = require('./routes/adminViewRoutes');
 const adminApiRoutes = require('./routes/admin'); // Your existing API routes
+const mediaRoutes = require('./routes/media');
+const localityRoutes = require('./routes/localities');
 
 // Mount route files
+app.use('/media', mediaRoutes);
+app.use('/api/localities', localityRoutes);
 app.use('/seller', sellerRoutes);
 app.use('/buyer', buyerRoutes);
 app.use('/broker', brokerRoutes);
@@ -0,0 +1,413 @@
+const cron = require('node-cron');
+const Bid = require('../models/Bid');
+const Cart = require('../models/Cart');
+const Property = require('../models/Property');
+const Notification = require('../models/Notification');
+const cartService = require('./cartService');
+const offerService = require('./offerService');
+const { errorFactory, sameId, formatAmount } = require('../utils/serviceHelpers');
+const { notifyPropertyOwners } = require('../utils/notifications');
+
+const MINUTE_MS = 60 * 1000;
+
+// Used when the seller does not set an anti-sniping extension
+const DEFAULT_EXTENSION_MINUTES = 5;
+// Times a bid is retried when other bids keep getting in first
+const MAX_BID_ATTEMPTS = 5;
+// Bids shown with the auction, newest first
+const RECENT_BIDS = 20;
+
+const auctionError = errorFactory('AuctionError');
+
+// Timed auctions for listings priced as 'auction'. The seller sets the
+// reserve, minimum increment, start and end; buyers who added the property
+// to their cart and had their visit confirmed can bid. A bid is accepted
+// only if no other bid got in since it was priced, and a bid close to the
+// end extends the auction so late bids can be answered. A job settles
+// ended auctions: the winner is locked in with an accepted offer at the
+// winning bid and goes on to pay the token as in any other booking.
+class AuctionService {
+  constructor() {
+    this.task = null;
+  }
+
+  start() {
+    // Run every minute so auctions are settled soon after they end
+    this.task = cron.schedule('* * * * *', async () => {
+      await this.settleEndedAuctions();
+    });
+
+    console.log('✅ Auction service started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Auction service stopped');
+    }
+  }
+
+  // not_configured, scheduled, open, closing (ended, not yet settled) or settled
+  getPhase(auction, now = new Date()) {
+    if (!auction?.ends_at) return 'not_configured';
+    if (auction.settled_at) return 'settled';
+    if (now < auction.starts_at) return 'scheduled';
+    if (now < auction.ends_at) return 'open';
+    return 'closing';
+  }
+
+  // The opening bid (the listing price) until someone bids, then the
+  // current bid plus the minimum increment
+  getMinimumBid(property) {
+    const auction = property.auction || {};
+    return auction.current_bid ? auction.current_bid + (auction.min_increment || 1) : property.price;
+  }
+
+  parseAmount(amount, label) {
+    const value = Math.round(Number(amount));
+    if (!Number.isFinite(value) || value <= 0) {
+      throw auctionError(`Enter a valid ${label}`);
+    }
+    return value;
+  }
+
+  // Only buyers whose visit to the property is confirmed may bid
+  isEligible(buyerId, propertyId) {
+    return Cart.exists({
+      buyer: buyerId,
+      items: { $elemMatch: { property: propertyId, status: 'active', visit_status: 'confirmed' } }
+    });
+  }
+
+  // Set up the next round. Settings can change until the first bid; a
+  // round that closed without a sale can be followed by a new one.
+  async configure(propertyId, sellerId, settings = {}) {
+    const property = await Property.findOne({ _id: propertyId, seller: sellerId });
+    if (!property) {
+      throw auctionError('Property not found', 404);
+    }
+    if (property.price_type !== 'auction') {
+      throw auctionError('Set the price type to auction before setting up an auction');
+    }
+    if (['sold', 'rented'].includes(property.status)) {
+      throw auctionError('This property is no longer available');
+    }
+    if (!property.price) {
+      throw auctionError('Set the listing price first; it is the opening bid');
+    }
+
+    const current = property.auction || {};
+    const settled = Boolean(current.settled_at);
+    if (settled && current.outcome === 'won') {
+      throw auctionError('This auction has a winner and cannot be run again');
+    }
+    if (!settled && current.bid_count > 0) {
+      throw auctionError('Auction settings cannot change once bidding has started');
+    }
+
+    const reservePrice = this.parseAmount(settings.reservePrice, 'reserve price');
+    if (reservePrice < property.price) {
+      throw auctionError(`Reserve price cannot be below the opening bid of ${formatAmount(property.price)}`);
+    }
+    const minIncrement = this.parseAmount(settings.minIncrement, 'minimum increment');
+
+    const now = new Date();
+    const startsAt = settings.startsAt ? new Date(settings.startsAt) : now;
+    const endsAt = new Date(settings.endsAt);
+    if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+      throw auctionError('Enter a valid start and end time');
+    }
+    if (endsAt <= startsAt || endsAt <= now) {
+      throw auctionError('The auction must end in the future and after it starts');
+    }
+
+    const extensionMinutes = settings.extensionMinutes === undefined || settings.extensionMinutes === '' ?
+      DEFAULT_EXTENSION_MINUTES : Math.round(Number(settings.extensionMinutes));
+    if (!Number.isFinite(extensionMinutes) || extensionMinutes < 0 || extensionMinutes > 60) {
+      throw auctionError('Anti-sniping extension must be between 0 and 60 minutes');
+    }
+
+    // Conditional on the round read above, so a bid or settlement that got
+    // in meanwhile is not overwritten
+    const updated = await Property.findOneAndUpdate(
+      {
+        _id: property._id,
+        'auction.round': current.round ?? null,
+        'auction.bid_count': current.bid_count ?? null,
+        'auction.settled_at': current.settled_at ?? null
+      },
+      {
+        $set: {
+          auction: {
+            reserve_price: reservePrice,
+            min_increment: minIncrement,
+            starts_at: startsAt,
+            ends_at: endsAt,
+            extension_minutes: extensionMinutes,
+            round: settled ? (current.round || 0) + 1 : (current.round || 1),
+            sequence: 0,
+            bid_count: 0
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw auctionError('The auction changed while saving. Please reload and try again.', 409);
+    }
+    return updated;
+  }
+
+  // Auction state for a buyer (their own bids marked, reserve hidden) or
+  // for the seller side (reserve and bidders shown)
+  async getAuction(property, { buyerId, forSeller = false } = {}) {
+    const auction = property.auction || {};
+
+    let bids = [];
+    if (auction.round) {
+      const query = Bid.find({ property: property._id, round: auction.round })
+        .sort({ sequence: -1 })
+        .limit(RECENT_BIDS);
+      if (forSeller) query.populate('bidder', 'name phone');
+      bids = await query.lean();
+    }
+
+    return {
+      phase: this.getPhase(auction),
+      opening_bid: property.price,
+      reserve_price: forSeller ? auction.reserve_price : undefined,
+      reserve_met: !!auction.current_bid && auction.current_bid >= (auction.reserve_price || 0),
+      min_increment: auction.min_increment,
+      extension_minutes: auction.extension_minutes,
+      starts_at: auction.starts_at,
+      ends_at: auction.ends_at,
+      current_bid: auction.current_bid,
+      bid_count: auction.bid_count || 0,
+      minimum_bid: this.getMinimumBid(property),
+      outcome: auction.outcome,
+      leading: buyerId ? sameId(auction.current_bidder, buyerId) : undefined,
+      eligible: buyerId ? Boolean(await this.isEligible(buyerId, property._id)) : undefined,
+      bids: bids.map(bid => ({
+        amount: bid.amount,
+        at: bid.createdAt,
+        extended: bid.extended,
+        mine: buyerId ? sameId(bid.bidder, buyerId) : undefined,
+        bidder: forSeller ? bid.bidder : undefined
+      }))
+    };
+  }
+
+  // Accept a bid if it still beats the auction as last read. Bids that
+  // lose the race are re-priced against the new state and retried, so
+  // accepted bids are strictly increasing and numbered without gaps.
+  async placeBid(buyerId, propertyId, amount) {
+    const value = this.parseAmount(amount, 'bid amount');
+    if (!await this.isEligible(buyerId, propertyId)) {
+      throw auctionError('Only buyers whose visit to this property is confirmed can bid', 403);
+    }
+
+    for (let attempt = 0; attempt < MAX_BID_ATTEMPTS; attempt++) {
+      const property = await Property.findById(propertyId).select('title seller broker price price_type status auction');
+      if (!property || property.price_type !== 'auction') {
+        throw auctionError('Auction not found', 404);
+      }
+      if (property.status !== 'live') {
+        throw auctionError('This property is no longer available');
+      }
+
+      const { auction } = property;
+      const now = new Date();
+      const phase = this.getPhase(auction, now);
+      if (phase === 'not_configured') {
+        throw auctionError('Bidding has not been scheduled yet');
+      }
+      if (phase === 'scheduled') {
+        throw auctionError(`Bidding opens on ${auction.starts_at.toLocaleString('en-IN')}`);
+      }
+      if (phase !== 'open') {
+        throw auctionError('Bidding has closed');
+      }
+      if (sameId(auction.current_bidder, buyerId)) {
+        throw auctionError('You already hold the highest bid');
+      }
+
+      const minimum = this.getMinimumBid(property);
+      if (value < minimum) {
+        throw auctionError(`Your bid must be at least ${formatAmount(minimum)}`);
+      }
+
+      const extensionMs = (auction.extension_minutes || 0) * MINUTE_MS;
+      const extended = auction.ends_at - now < extensionMs;
+      const endsAt = extended ? new Date(now.getTime() + extensionMs) : auction.ends_at;
+      const sequence = auction.sequence + 1;
+
+      const updated = await Property.findOneAndUpdate(
+        {
+          _id: property._id,
+          status: 'live',
+          'auction.round': auction.round,
+          'auction.sequence': auction.sequence,
+          'auction.settled_at': null,
+          'auction.ends_at': { $gt: now }
+        },
+        {
+          $set: {
+            'auction.current_bid': value,
+            'auction.current_bidder': buyerId,
+            'auction.ends_at': endsAt,
+            'auction.sequence': sequence
+          },
+          $inc: { 'auction.bid_count': 1 }
+        },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      let bid;
+      try {
+        bid = await Bid.create({
+          property: property._id,
+          bidder: buyerId,
+          round: auction.round,
+          sequence,
+          amount: value,
+          ends_at: endsAt,
+          extended
+        });
+      } catch (error) {
+        // Put the auction back so the bid does not stand without a record
+        const restore = {
+          'auction.ends_at': auction.ends_at,
+          'auction.sequence': auction.sequence,
+          'auction.bid_count': auction.bid_count
+        };
+        await Property.updateOne(
+          { _id: property._id, 'auction.round': auction.round, 'auction.sequence': sequence },
+          auction.current_bidder ?
+            { $set: { ...restore, 'auction.current_bid': auction.current_bid, 'auction.current_bidder': auction.current_bidder } } :
+            { $set: restore, $unset: { 'auction.current_bid': '', 'auction.current_bidder': '' } }
+        );
+        throw error;
+      }
+
+      if (auction.current_bidder) {
+        await Notification.createNotification(
+          auction.current_bidder,
+          'auction_outbid',
+          'You Have Been Outbid',
+          `Someone bid ${formatAmount(value)} on "${property.title}". Bidding ends ${endsAt.toLocaleString('en-IN')}.`,
+          { property_id: property._id, action_url: `/buyer/properties/${property._id}` }
+        );
+      }
+
+      return { bid, auction: updated.auction, extended };
+    }
+
+    throw auctionError('Other bids got in first. Please check the latest bid and try again.', 409);
+  }
+
+  // Close one ended auction. Claiming settled_at first stops any further
+  // bids and makes sure only one run settles it.
+  async settle(propertyId) {
+    const now = new Date();
+    const property = await Property.findOneAndUpdate(
+      { _id: propertyId, price_type: 'auction', 'auction.settled_at': null, 'auction.ends_at': { $lte: now } },
+      { $set: { 'auction.settled_at': now } },
+      { new: true }
+    );
+    if (!property) return null;
+
+    const { auction } = property;
+    const winnerId = auction.current_bidder;
+    let outcome;
+    if (property.status !== 'live') {
+      outcome = 'cancelled';
+    } else if (!winnerId) {
+      outcome = 'no_bids';
+    } else if (auction.current_bid < (auction.reserve_price || 0)) {
+      outcome = 'reserve_not_met';
+    } else {
+      outcome = 'won';
+    }
+
+    let offer = null;
+    if (outcome === 'won') {
+      try {
+        const { item } = await cartService.lockForAuctionWinner(winnerId, property._id);
+        offer = await offerService.createFromAuction(property, winnerId, item, auction.current_bid);
+      } catch (error) {
+        if (error.name !== 'CartError') throw error;
+        console.error(`❌ Could not hand auction for property ${property._id} to its winner:`, error.message);
+        outcome = 'cancelled';
+      }
+    }
+    await Property.updateOne({ _id: property._id }, { $set: { 'auction.outcome': outcome } });
+
+    // Everyone else who carted the property for this auction is let go
+    const carts = await Cart.find({ items: { $elemMatch: { property: property._id, status: 'active' } } }).select('buyer');
+    for (const cart of carts) {
+      if (outcome === 'won' && sameId(cart.buyer, winnerId)) continue;
+      await cartService.releaseItem(cart.buyer, property._id, 'expired');
+      await Notification.createNotification(
+        cart.buyer,
+        outcome === 'won' ? 'auction_lost' : 'auction_ended',
+        'Auction Closed',
+        outcome === 'won' ?
+          `The auction for "${property.title}" was won by another bidder.` :
+          `The auction for "${property.title}" closed without a sale.`,
+        { property_id: property._id }
+      );
+    }
+
+    const closingBid = auction.current_bid ? formatAmount(auction.current_bid) : null;
+    if (outcome === 'won') {
+      await Notification.createNotification(
+        winnerId,
+        'auction_won',
+        'You Won the Auction',
+        `You won the auction for "${property.title}" at ${closingBid}. Pay the token of ${formatAmount(offer.token.amount)} by ${offer.token.due_at.toLocaleDateString('en-IN')} to book it.`,
+        { property_id: property._id, expiry_date: offer.token.due_at }
+      );
+    }
+
+    const sellerMessages = {
+      won: `The auction for "${property.title}" closed at ${closingBid}. The winning bidder's token is due by ${offer?.token.due_at.toLocaleDateString('en-IN')}.`,
+      reserve_not_met: `The auction for "${property.title}" closed at ${closingBid}, below your reserve price. You can set up a new round.`,
+      no_bids: `The auction for "${property.title}" closed without any bids. You can set up a new round.`,
+      cancelled: `The auction for "${property.title}" closed without a sale.`
+    };
+    await notifyPropertyOwners(property, 'auction_ended', 'Auction Closed', sellerMessages[outcome]);
+
+    return { property, outcome, offer };
+  }
+
+  async settleEndedAuctions() {
+    try {
+      const ended = await Property.find({
+        price_type: 'auction',
+        'auction.settled_at': null,
+        'auction.ends_at': { $lte: new Date() }
+      }).select('_id');
+
+      let settledCount = 0;
+      for (const property of ended) {
+        try {
+          if (await this.settle(property._id)) settledCount++;
+        } catch (error) {
+          console.error(`❌ Failed to settle auction for property ${property._id}:`, error.message);
+        }
+      }
+
+      if (settledCount > 0) {
+        console.log(`✅ Auction settlement completed: ${settledCount} auctions settled`);
+      }
+      return settledCount;
+
+    } catch (error) {
+      console.error('❌ Auction settlement error:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = new AuctionService();
@@ -1,6 +1,5 @@
 const cron = require('node-cron');
-const Cart = require('../models/Cart');
-const Property = require('../models/Property');
+const cartService = require('./cartService');
 
 class CartCleanupService {
   constructor() {
@@ -26,28 +25,16 @@ class CartCleanupService {
 
   async cleanupExpiredItems() {
     try {
-      // Clean expired items from carts
-      const updatedCarts = await Cart.cleanExpiredItems();
+      // Expires cart items and unlocks their properties together, using the
+      // windows from Rule
+      const expiredItems = await cartService.expireItems();
       
-      // Also update properties that are still marked as in_cart but should be expired
-      const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-      const expiredProperties = await Property.find({
-        'cart_status.in_cart': true,
-        'cart_status.visit_confirmed': false,
-        'cart_status.added_at': { $lt: sevenDaysAgo }
-      });
-      
-      for (const property of expiredProperties) {
-        property.cart_status.in_cart = false;
-        property.cart_status.buyer_id = null;
-        await property.save();
-        console.log(`✅ Property ${property._id} unlocked after 7-day expiry`);
-      }
-      
-      console.log(`✅ Cart cleanup completed: ${updatedCarts} carts updated, ${expiredProperties.length} properties unlocked`);
+      console.log(`✅ Cart cleanup completed: ${expiredItems} cart items expired and their properties unlocked`);
+      return expiredItems;
       
     } catch (error) {
       console.error('❌ Cart cleanup error:', error);
+      return 0;
     }
   }
 }
@@ -0,0 +1,84 @@
+const cron = require('node-cron');
+const Cart = require('../models/Cart');
+const Property = require('../models/Property');
+const waitlistService = require('./waitlistService');
+
+// Locks younger than this are left alone: an add may still be between
+// taking the property lock and writing the cart item
+const GRACE_PERIOD_MINUTES = 5;
+
+class CartLockReconciliationService {
+  constructor() {
+    this.task = null;
+  }
+
+  start() {
+    // Run every 15 minutes to release locks no cart refers to
+    this.task = cron.schedule('*/15 * * * *', async () => {
+      console.log('🔄 Running cart lock reconciliation job...');
+      await this.releaseOrphanedLocks();
+    });
+
+    console.log('✅ Cart lock reconciliation service started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Cart lock reconciliation service stopped');
+    }
+  }
+
+  // A lock is orphaned when the property is marked in_cart but the locking
+  // buyer's cart has no active item for it (e.g. the process died between
+  // the two writes of an add)
+  async findOrphanedLocks() {
+    const cutoff = new Date(Date.now() - GRACE_PERIOD_MINUTES * 60 * 1000);
+    const locked = await Property.find({
+      'cart_status.in_cart': true,
+      $or: [
+        { 'cart_status.added_at': { $lt: cutoff } },
+        { 'cart_status.added_at': null }
+      ]
+    })
+      .select('title cart_status.buyer_id cart_status.added_at')
+      .lean();
+
+    const orphaned = [];
+    for (const property of locked) {
+      const buyerId = property.cart_status?.buyer_id;
+      const referenced = buyerId && await Cart.exists({
+        buyer: buyerId,
+        items: { $elemMatch: { property: property._id, status: 'active' } }
+      });
+      if (!referenced) orphaned.push(property);
+    }
+    return orphaned;
+  }
+
+  async releaseOrphanedLocks() {
+    try {
+      const orphaned = await this.findOrphanedLocks();
+
+      let releasedCount = 0;
+      for (const property of orphaned) {
+        // Conditional on the same holder, so a lock re-taken meanwhile survives
+        const result = await Property.releaseCartLock(property._id, property.cart_status?.buyer_id || null);
+        if (result.modifiedCount > 0) {
+          releasedCount++;
+          console.log(`✅ Released orphaned cart lock on property ${property._id}`);
+          await waitlistService.offerNext(property._id);
+        }
+      }
+
+      console.log(`✅ Cart lock reconciliation completed: ${releasedCount} of ${orphaned.length} orphaned locks released`);
+      return releasedCount;
+
+    } catch (error) {
+      console.error('❌ Cart lock reconciliation error:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = new CartLockReconciliationService();
@@ -0,0 +1,698 @@
+const Cart = require('../models/Cart');
+const Property = require('../models/Property');
+const Shortlist = require('../models/Shortlist');
+const Notification = require('../models/Notification');
+const Rule = require('../models/Rule');
+const VisitBooking = require('../models/VisitBooking');
+const Offer = require('../models/Offer');
+const waitlistService = require('./waitlistService');
+const visitSlotService = require('./visitSlotService');
+const { errorFactory, ruleValue } = require('../utils/serviceHelpers');
+const { notifyPropertyOwners } = require('../utils/notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when the matching Rule is missing or inactive
+const DEFAULT_SETTINGS = {
+  max_properties: 5,
+  visit_window_days: 7,
+  booking_window_days: 60
+};
+
+const cartError = errorFactory('CartError');
+
+// The property is held by another buyer; the route offers the waitlist
+const lockedError = (message) => {
+  const error = cartError(message, 409);
+  error.canJoinWaitlist = true;
+  return error;
+};
+
+// Owns every cart rule: adding and removing items, scheduling and
+// confirming visits, expiring windows and unlocking. Each operation keeps
+// Cart.items and Property.cart_status in step, and hands released locks to
+// the waitlist; routes only translate requests and CartErrors into responses.
+class CartService {
+  async getSettings() {
+    const [maxRule, visitRule, bookingRule] = await Promise.all([
+      Rule.getRule('cart_max_properties', { userType: 'buyer' }),
+      Rule.getRule('visit_window_days', { userType: 'buyer' }),
+      Rule.getRule('booking_window_days', { userType: 'buyer' })
+    ]);
+
+    return {
+      max_properties: ruleValue(maxRule, DEFAULT_SETTINGS.max_properties),
+      visit_window_days: ruleValue(visitRule, DEFAULT_SETTINGS.visit_window_days),
+      booking_window_days: ruleValue(bookingRule, DEFAULT_SETTINGS.booking_window_days)
+    };
+  }
+
+  // The buyer's cart, created on first use, with its settings brought in
+  // line with the current rules
+  async getCart(buyerId) {
+    const settings = await this.getSettings();
+    const cart = await Cart.findOrCreate(buyerId, settings);
+
+    const changed = Object.keys(settings).some(key => cart.settings[key] !== settings[key]);
+    if (changed) {
+      await Cart.updateOne({ _id: cart._id }, {
+        $set: Object.fromEntries(Object.entries(settings).map(([key, value]) => [`settings.${key}`, value]))
+      });
+      Object.assign(cart.settings, settings);
+    }
+    return cart;
+  }
+
+  getVisitDeadline(item, settings) {
+    return new Date(new Date(item.added_at).getTime() + settings.visit_window_days * DAY_MS);
+  }
+
+  // Whole days left to schedule a visit for a cart item (0 once passed)
+  getVisitDaysLeft(item, settings) {
+    return Math.max(Math.ceil((this.getVisitDeadline(item, settings) - Date.now()) / DAY_MS), 0);
+  }
+
+  findActiveItem(cart, propertyId) {
+    return cart.items.find(item =>
+      item.property && (item.property._id || item.property).toString() === propertyId.toString() &&
+      item.status === 'active');
+  }
+
+  // Auction listings stay open to every buyer until bidding closes: their
+  // cart items only let buyers visit and qualify to bid, and only the
+  // winner is locked in when the auction is settled
+  isOpenAuction(property) {
+    const auction = property.auction;
+    return property.price_type === 'auction' && !!auction?.ends_at &&
+      !auction.settled_at && new Date() < auction.ends_at;
+  }
+
+  // Lock a live listing into the buyer's cart. The lock and the cart item
+  // are both conditional updates, so concurrent adds cannot double-book;
+  // a crash between them leaves an orphaned lock for the reconciliation job.
+  async addToCart(buyerId, propertyId) {
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      throw cartError('Property not found', 404);
+    }
+
+    // Friendly messages for the common cases; the atomic updates below are
+    // what actually guard against races
+    if (property.status !== 'live') {
+      throw cartError('Property is not available for cart');
+    }
+    const isAuction = property.price_type === 'auction';
+    if (isAuction && !this.isOpenAuction(property)) {
+      throw cartError('This auction is not open for bidders');
+    }
+    if (!isAuction && property.cart_status?.in_cart) {
+      throw property.cart_status.buyer_id?.toString() === buyerId.toString() ?
+        cartError('Property is already in your cart') :
+        lockedError('Property is already in another buyer\'s cart');
+    }
+    const reservedFor = property.cart_status?.reserved_for;
+    if (!isAuction && reservedFor && reservedFor.toString() !== buyerId.toString()) {
+      throw lockedError('Property is reserved for the next buyer on its waitlist');
+    }
+
+    const cart = await this.getCart(buyerId);
+    const activeItems = cart.items.filter(item => item.status === 'active');
+    if (activeItems.length >= cart.settings.max_properties) {
+      throw cartError(`Cart limit reached (max ${cart.settings.max_properties} properties)`);
+    }
+    if (this.findActiveItem(cart, property._id)) {
+      throw cartError('Property is already in your cart');
+    }
+
+    // Take the lock first: only one buyer can win it
+    const lockedProperty = isAuction ? property : await Property.acquireCartLock(property._id, buyerId);
+    if (!lockedProperty) {
+      throw lockedError('Property was just added to another buyer\'s cart');
+    }
+
+    // Then record it in the cart, giving the lock back if that fails
+    let updatedCart;
+    try {
+      updatedCart = await Cart.pushActiveItem(buyerId, property._id);
+    } catch (error) {
+      await Property.releaseCartLock(property._id, buyerId);
+      throw error;
+    }
+    if (!updatedCart) {
+      await Property.releaseCartLock(property._id, buyerId);
+      throw cartError('Your cart changed while adding this property. Please try again.', 409);
+    }
+
+    // A carted property no longer needs to sit on the shortlist or waitlist
+    await Shortlist.updateOne({ buyer: buyerId }, { $pull: { items: { property: property._id } } });
+    await waitlistService.markClaimed(buyerId, property._id);
+
+    const days = cart.settings.visit_window_days;
+    await Notification.createNotification(
+      buyerId,
+      'property_added_to_cart',
+      'Property Added to Cart',
+      isAuction ?
+        `"${property.title}" is in your cart. Visit it within ${days} days to bid before the auction closes.` :
+        `"${property.title}" is in your cart. Schedule a visit within ${days} days.`,
+      { property_id: property._id, expiry_date: new Date(Date.now() + days * DAY_MS) }
+    );
+    if (isAuction) {
+      return { cart: updatedCart, property: lockedProperty, settings: cart.settings };
+    }
+    await notifyPropertyOwners(
+      property,
+      'property_lock',
+      'Property Locked',
+      `"${property.title}" has been added to a buyer's cart and is locked for ${days} days.`
+    );
+
+    return { cart: updatedCart, property: lockedProperty, settings: cart.settings };
+  }
+
+  // Take an active item out of a cart and unlock the property. status is
+  // 'removed' for buyer/seller actions and 'expired' for lapsed windows.
+  async releaseItem(buyerId, propertyId, status = 'removed') {
+    const result = await Cart.updateOne(
+      { buyer: buyerId, items: { $elemMatch: { property: propertyId, status: 'active' } } },
+      {
+        $set: {
+          'items.$.status': status,
+          ...(status === 'expired' ? { 'items.$.visit_status': 'expired' } : {}),
+          last_updated: new Date()
+        }
+      }
+    );
+
+    // Booked visit slots go back to the host's calendar
+    await visitSlotService.closeBookingsFor(propertyId, buyerId,
+      status === 'expired' ? 'Cart item expired' : 'Removed from cart');
+
+    // Offers cannot outlive the lock. Required lazily: offerService depends
+    // on this service.
+    await require('./offerService').cancelForItem(propertyId, buyerId,
+      status === 'expired' ? 'Cart item expired' : 'Removed from cart');
+
+    // Only unlocks while this buyer still holds the lock; a released lock
+    // goes to the next buyer on the waitlist
+    const released = await Property.releaseCartLock(propertyId, buyerId);
+    if (released.modifiedCount > 0) {
+      await waitlistService.offerNext(propertyId);
+    }
+    return result.modifiedCount > 0;
+  }
+
+  async removeFromCart(buyerId, propertyId) {
+    const booked = await Offer.exists({ property: propertyId, buyer: buyerId, status: 'booked' });
+    if (booked) {
+      throw cartError('This property is booked with your token. Contact the seller to cancel the booking.');
+    }
+    const leading = await Property.exists({ _id: propertyId, 'auction.current_bidder': buyerId, 'auction.settled_at': null });
+    if (leading) {
+      throw cartError('You hold the highest bid in this auction. It cannot be removed until bidding closes.');
+    }
+
+    const removed = await this.releaseItem(buyerId, propertyId, 'removed');
+    if (!removed) {
+      throw cartError('Property not found in cart');
+    }
+
+    const property = await Property.findById(propertyId).select('title seller broker');
+    if (property) {
+      await notifyPropertyOwners(
+        property,
+        'property_unlock',
+        'Property Unlocked',
+        `"${property.title}" was removed from a buyer's cart and is available again.`
+      );
+    }
+
+    const cart = await Cart.findOne({ buyer: buyerId });
+    return { cart, property };
+  }
+
+  // Active cart item still inside its visit window; an item whose window
+  // has passed is expired on the spot
+  async getSchedulableItem(buyerId, propertyId) {
+    const cart = await this.getCart(buyerId);
+    const item = this.findActiveItem(cart, propertyId);
+    if (!item) {
+      throw cartError('Property not found in cart');
+    }
+
+    const deadline = this.getVisitDeadline(item, cart.settings);
+    if (new Date() > deadline) {
+      await this.releaseItem(buyerId, propertyId, 'expired');
+      throw cartError('Visit window has expired');
+    }
+
+    const property = await Property.findById(propertyId).select('title seller broker');
+    if (!property) {
+      throw cartError('Property not found', 404);
+    }
+    return { cart, item, deadline, property };
+  }
+
+  // Slots the buyer can pick from, up to the end of the visit window
+  async getVisitSlots(buyerId, propertyId) {
+    const { item, deadline, property } = await this.getSchedulableItem(buyerId, propertyId);
+    const slots = await visitSlotService.getSlots(property, new Date(), deadline, {
+      excludeBookingId: item.visit_booking
+    });
+
+    return {
+      slots,
+      deadline,
+      current: item.visit_status === 'scheduled' ?
+        { start: item.scheduled_date, booking: item.visit_booking } : null
+    };
+  }
+
+  applyBooking(item, booking) {
+    item.visit_status = 'scheduled';
+    item.visit_booking = booking._id;
+    item.scheduled_date = booking.start;
+    item.scheduled_time = `${String(booking.start.getHours()).padStart(2, '0')}:${String(booking.start.getMinutes()).padStart(2, '0')}`;
+  }
+
+  clearBooking(item) {
+    item.visit_status = 'cancelled';
+    item.visit_booking = undefined;
+    item.scheduled_date = undefined;
+    item.scheduled_time = undefined;
+  }
+
+  // Rescheduling and cancelling must say why; the reason is kept on the booking
+  requireReason(reason) {
+    const text = String(reason || '').trim();
+    if (!text) {
+      throw cartError('Please give a reason');
+    }
+    return text.slice(0, 500);
+  }
+
+  // Book one of the property's published slots for a cart item
+  async scheduleVisit(buyerId, propertyId, visit = {}) {
+    const { start, visitType, notes, phoneNumber, specialRequests } = visit;
+    if (!start) {
+      throw cartError('Please pick a visit slot');
+    }
+
+    const { cart, item, deadline, property } = await this.getSchedulableItem(buyerId, propertyId);
+    if (item.visit_status === 'scheduled') {
+      throw cartError('A visit is already scheduled. Reschedule or cancel it instead.');
+    }
+    if (!['pending', 'cancelled'].includes(item.visit_status)) {
+      throw cartError('A visit can no longer be scheduled for this property');
+    }
+
+    const slot = await visitSlotService.findSlot(property, start, new Date(), deadline);
+    if (!slot) {
+      throw cartError('That slot is not available. Please pick another.', 409);
+    }
+    const booking = await visitSlotService.book(property, buyerId, slot);
+    if (!booking) {
+      throw cartError('That slot was just booked. Please pick another.', 409);
+    }
+
+    this.applyBooking(item, booking);
+    if (visitType) item.visit_type = visitType;
+    if (notes !== undefined) item.notes = notes;
+    if (phoneNumber !== undefined) item.phone_number = phoneNumber;
+    if (specialRequests !== undefined) item.special_requests = specialRequests;
+    try {
+      await cart.save();
+    } catch (error) {
+      await visitSlotService.closeBooking(booking._id, 'cancelled', { reason: 'Cart update failed', role: 'system' });
+      throw error;
+    }
+
+    await notifyPropertyOwners(
+      property,
+      'visit_scheduled',
+      'Visit Scheduled',
+      `A buyer booked a visit to "${property.title}" on ${booking.start.toLocaleString('en-IN')}.`
+    );
+
+    return { cart, item, booking };
+  }
+
+  // Move a scheduled visit to another open slot
+  async rescheduleVisit(buyerId, propertyId, { start, reason } = {}) {
+    const why = this.requireReason(reason);
+    if (!start) {
+      throw cartError('Please pick a new visit slot');
+    }
+
+    const { cart, item, deadline, property } = await this.getSchedulableItem(buyerId, propertyId);
+    if (item.visit_status !== 'scheduled' || !item.visit_booking) {
+      throw cartError('There is no scheduled visit to reschedule');
+    }
+    if (new Date(start).getTime() === item.scheduled_date?.getTime()) {
+      throw cartError('Please pick a different slot');
+    }
+
+    const slot = await visitSlotService.findSlot(property, start, new Date(), deadline);
+    if (!slot) {
+      throw cartError('That slot is not available. Please pick another.', 409);
+    }
+    const booking = await visitSlotService.book(property, buyerId, slot);
+    if (!booking) {
+      throw cartError('That slot was just booked. Please pick another.', 409);
+    }
+
+    const previousStart = item.scheduled_date;
+    await visitSlotService.closeBooking(item.visit_booking, 'rescheduled', {
+      reason: why,
+      userId: buyerId,
+      role: 'buyer',
+      rescheduledTo: booking._id
+    });
+    this.applyBooking(item, booking);
+    await cart.save();
+
+    await notifyPropertyOwners(
+      property,
+      'visit_rescheduled',
+      'Visit Rescheduled',
+      `The visit to "${property.title}" moved from ${previousStart.toLocaleString('en-IN')} to ${booking.start.toLocaleString('en-IN')}. Reason: ${why}`
+    );
+
+    return { cart, item, booking };
+  }
+
+  // Buyer cancels a scheduled visit; the item stays in the cart so another
+  // slot can be booked inside the same window
+  async cancelVisit(buyerId, propertyId, reason) {
+    const why = this.requireReason(reason);
+
+    const { cart, item, property } = await this.getSchedulableItem(buyerId, propertyId);
+    if (item.visit_status !== 'scheduled' || !item.visit_booking) {
+      throw cartError('There is no scheduled visit to cancel');
+    }
+
+    await visitSlotService.closeBooking(item.visit_booking, 'cancelled', {
+      reason: why,
+      userId: buyerId,
+      role: 'buyer'
+    });
+    this.clearBooking(item);
+    await cart.save();
+
+    await notifyPropertyOwners(
+      property,
+      'visit_cancelled',
+      'Visit Cancelled',
+      `The buyer cancelled their visit to "${property.title}". Reason: ${why}`
+    );
+
+    return { cart, item };
+  }
+
+  // The seller or broker cancels a booked visit, e.g. when they cannot make
+  // it; the buyer is asked to pick another slot
+  async cancelVisitByHost(bookingId, userId, role, reason) {
+    const why = this.requireReason(reason);
+
+    const booking = await VisitBooking.findById(bookingId).populate('property', 'title seller broker');
+    const property = booking?.property;
+    const canManage = property && [property.seller, property.broker]
+      .some(id => id && id.toString() === userId.toString());
+    if (!canManage) {
+      throw cartError('Visit not found', 404);
+    }
+
+    const closed = await visitSlotService.closeBooking(booking._id, 'cancelled', { reason: why, userId, role });
+    if (!closed) {
+      throw cartError('This visit is no longer booked');
+    }
+
+    await Cart.updateOne(
+      { buyer: booking.buyer, items: { $elemMatch: { visit_booking: booking._id, status: 'active' } } },
+      {
+        $set: { 'items.$.visit_status': 'cancelled', last_updated: new Date() },
+        $unset: { 'items.$.visit_booking': '', 'items.$.scheduled_date': '', 'items.$.scheduled_time': '' }
+      }
+    );
+
+    await Notification.createNotification(
+      booking.buyer,
+      'visit_cancelled',
+      'Visit Cancelled',
+      `Your visit to "${property.title}" on ${booking.start.toLocaleString('en-IN')} was cancelled by the ${role}. Reason: ${why}. Please pick another slot.`,
+      { property_id: property._id, action_url: `/buyer/schedule-visit/${property._id}` }
+    );
+
+    return closed;
+  }
+
+  // Record that the visit happened and open the booking window. The cart is
+  // found through the property's lock holder, or buyerId when given; open
+  // auctions have no holder, so there buyerId is required and the visit only
+  // qualifies the buyer to bid.
+  async confirmVisit(propertyId, options = {}) {
+    const { buyerId, confirmedBy, role, method = 'manual', notes } = options;
+
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      throw cartError('Property not found', 404);
+    }
+
+    const isAuction = this.isOpenAuction(property);
+    const holderId = isAuction ? buyerId :
+      (property.cart_status?.in_cart ? property.cart_status.buyer_id : null);
+    if (!holderId || (buyerId && holderId.toString() !== buyerId.toString())) {
+      throw cartError('Property not found in any active cart');
+    }
+
+    const cart = await this.getCart(holderId);
+    const item = this.findActiveItem(cart, propertyId);
+    if (!item) {
+      throw cartError('Cart item not found');
+    }
+    if (item.visit_status === 'confirmed') {
+      throw cartError('Visit already confirmed');
+    }
+    if (new Date() > this.getVisitDeadline(item, cart.settings)) {
+      await this.releaseItem(holderId, propertyId, 'expired');
+      throw cartError('Visit window has expired');
+    }
+
+    const now = new Date();
+    item.visit_status = 'confirmed';
+    item.visit_confirmed_at = now;
+    item.confirmed_by = confirmedBy;
+    item.confirmation_method = method;
+    if (notes !== undefined) item.notes = notes;
+
+    // Bidders get no booking window: the winner's starts when the auction
+    // is settled and everyone else's item is released then
+    if (isAuction) {
+      await cart.save();
+      await Notification.createNotification(
+        holderId,
+        'visit_confirmed',
+        'Visit Confirmed',
+        `Your visit to "${property.title}" is confirmed. You can now bid until the auction closes.`,
+        { property_id: property._id, expiry_date: property.auction.ends_at }
+      );
+      return { cart, item, property, buyerId: holderId, bookingWindowEnd: null };
+    }
+
+    const bookingWindowEnd = new Date(now.getTime() + cart.settings.booking_window_days * DAY_MS);
+    item.booking_window_start = now;
+    item.booking_window_end = bookingWindowEnd;
+    await cart.save();
+
+    await Property.updateOne(
+      { _id: property._id, 'cart_status.buyer_id': holderId },
+      {
+        $set: {
+          'cart_status.visit_confirmed': true,
+          'cart_status.visit_confirmed_at': now,
+          'cart_status.confirmed_by': role ? { user: confirmedBy, role, method } : { user: confirmedBy, method },
+          'cart_status.booking_window_start': now,
+          'cart_status.booking_window_end': bookingWindowEnd
+        }
+      }
+    );
+
+    await Notification.createNotification(
+      holderId,
+      'visit_confirmed',
+      'Visit Confirmed',
+      `Your visit to "${property.title}" is confirmed. Your ${cart.settings.booking_window_days}-day booking window has started.`,
+      { property_id: property._id, expiry_date: bookingWindowEnd }
+    );
+    await notifyPropertyOwners(
+      property,
+      'visit_confirmed',
+      'Visit Confirmed',
+      `The buyer's visit to "${property.title}" has been confirmed.`
+    );
+
+    return { cart, item, property, buyerId: holderId, bookingWindowEnd };
+  }
+
+  // Push the booking window of an active item (and its lock) out to until;
+  // never shortens it
+  async extendBookingWindow(buyerId, propertyId, until) {
+    await Cart.updateOne(
+      {
+        buyer: buyerId,
+        items: { $elemMatch: { property: propertyId, status: 'active', booking_window_end: { $lt: until } } }
+      },
+      { $set: { 'items.$.booking_window_end': until, last_updated: new Date() } }
+    );
+    await Property.updateOne(
+      { _id: propertyId, 'cart_status.buyer_id': buyerId, 'cart_status.booking_window_end': { $lt: until } },
+      { $set: { 'cart_status.booking_window_end': until } }
+    );
+  }
+
+  // Lock a settled auction to its winning bidder. Their visit is already
+  // confirmed, so the booking window starts straight away.
+  async lockForAuctionWinner(buyerId, propertyId) {
+    const lockedProperty = await Property.acquireCartLock(propertyId, buyerId);
+    if (!lockedProperty) {
+      throw cartError('Property could not be locked for the winning bidder', 409);
+    }
+
+    const settings = await this.getSettings();
+    const now = new Date();
+    const bookingWindowEnd = new Date(now.getTime() + settings.booking_window_days * DAY_MS);
+    const cart = await Cart.findOneAndUpdate(
+      {
+        buyer: buyerId,
+        items: { $elemMatch: { property: propertyId, status: 'active', visit_status: 'confirmed' } }
+      },
+      {
+        $set: {
+          'items.$.booking_window_start': now,
+          'items.$.booking_window_end': bookingWindowEnd,
+          last_updated: now
+        }
+      },
+      { new: true }
+    );
+    if (!cart) {
+      await Property.releaseCartLock(propertyId, buyerId);
+      throw cartError('The winning bidder no longer has the property in their cart');
+    }
+
+    const item = this.findActiveItem(cart, propertyId);
+    await Property.updateOne(
+      { _id: propertyId, 'cart_status.buyer_id': buyerId },
+      {
+        $set: {
+          'cart_status.visit_confirmed': true,
+          'cart_status.visit_confirmed_at': item.visit_confirmed_at,
+          'cart_status.confirmed_by': { user: item.confirmed_by, method: item.confirmation_method },
+          'cart_status.booking_window_start': now,
+          'cart_status.booking_window_end': bookingWindowEnd
+        }
+      }
+    );
+
+    return { cart, item, bookingWindowEnd };
+  }
+
+  // The buyer bought or rented the property: the item is closed as
+  // purchased and the lock released without offering it to the waitlist
+  async completePurchase(buyerId, propertyId) {
+    await Cart.updateOne(
+      { buyer: buyerId, items: { $elemMatch: { property: propertyId, status: 'active' } } },
+      { $set: { 'items.$.status': 'purchased', 'items.$.visit_status': 'completed', last_updated: new Date() } }
+    );
+    await Property.releaseCartLock(propertyId, buyerId);
+  }
+
+  // The listing left the market without a sale, e.g. it expired. The
+  // waitlist is closed first so no released lock is offered on, then every
+  // buyer holding it has their item expired and is told why.
+  async releaseProperty(property, message) {
+    await waitlistService.closeForProperty(property._id);
+
+    const carts = await Cart.find({ items: { $elemMatch: { property: property._id, status: 'active' } } }).select('buyer');
+    for (const cart of carts) {
+      await this.releaseItem(cart.buyer, property._id, 'expired');
+      await Notification.createNotification(
+        cart.buyer,
+        'cart_item_expired',
+        'Property No Longer Available',
+        message,
+        { property_id: property._id }
+      );
+    }
+    return carts.length;
+  }
+
+  // Seller-initiated unlock, allowed once the visit or booking window lapsed
+  async unlockProperty(propertyId, sellerId) {
+    const property = await Property.findOne({ _id: propertyId, seller: sellerId });
+    if (!property) {
+      throw cartError('Property not found', 404);
+    }
+    if (!property.cart_status?.in_cart) {
+      throw cartError('Property is not locked in cart');
+    }
+    const settings = await this.getSettings();
+    if (property.isVisitPending(settings.visit_window_days) || property.isBookingWindowActive()) {
+      throw cartError('Cannot unlock property while visit/booking window is active');
+    }
+
+    const buyerId = property.cart_status.buyer_id;
+    await this.releaseItem(buyerId, property._id, 'expired');
+    if (buyerId) {
+      await Notification.createNotification(
+        buyerId,
+        'cart_item_expired',
+        'Cart Item Expired',
+        `"${property.title}" was removed from your cart because its window ended.`,
+        { property_id: property._id }
+      );
+    }
+    return property;
+  }
+
+  // Expire cart items whose visit window (not yet confirmed) or booking
+  // window (confirmed) has passed, and unlock their properties
+  async expireItems() {
+    const now = new Date();
+    const settings = await this.getSettings();
+    const carts = await Cart.find({ 'items.status': 'active' });
+
+    let expiredCount = 0;
+    for (const cart of carts) {
+      for (const item of cart.items.filter(cartItem => cartItem.status === 'active')) {
+        const lapsed = item.visit_status === 'confirmed' ?
+          item.booking_window_end && now > item.booking_window_end :
+          now > this.getVisitDeadline(item, settings);
+        if (!lapsed) continue;
+
+        try {
+          const expired = await this.releaseItem(cart.buyer, item.property, 'expired');
+          if (!expired) continue;
+          expiredCount++;
+
+          await Notification.createNotification(
+            cart.buyer,
+            'cart_item_expired',
+            'Cart Item Expired',
+            item.visit_status === 'confirmed' ?
+              'A property in your cart was released because its booking window ended.' :
+              'A property in your cart was released because no visit was confirmed in time.',
+            { property_id: item.property }
+          );
+        } catch (error) {
+          console.error(`❌ Failed to expire cart item for property ${item.property}:`, error.message);
+        }
+      }
+    }
+
+    return expiredCount;
+  }
+}
+
+module.exports = new CartService();
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Commission = require('../models/Commission');
+const Rule = require('../models/Rule');
+const User = require('../models/user');
+const { errorFactory, ruleValue } = require('../utils/serviceHelpers');
+const ist = require('../utils/ist');
+
+// Section 194H rates: 2% with a PAN, 20% without one (section 206AA), once
+// a broker's commissions in the financial year pass the threshold. From
+// then on TDS is due on the year's whole amount, including the payments
+// made below the threshold.
+const DEFAULT_TDS_PERCENT = 2;
+const DEFAULT_TDS_NO_PAN_PERCENT = 20;
+const DEFAULT_TDS_THRESHOLD = 20000;
+const DEFAULT_GST_PERCENT = 18;
+
+const TDS_SECTION = '194H';
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const taxError = errorFactory('TaxError');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Tax on broker commissions. GST is added when the broker has a GSTIN; TDS
+// under section 194H is withheld once the year's commissions to the broker
+// cross the threshold. Both are worked out when a commission is paid and
+// kept on it, so a later rate change does not rewrite past payouts.
+class CommissionTaxService {
+  async getRates() {
+    const [tds, tdsNoPan, threshold, gst] = await Promise.all([
+      Rule.getRule('commission_tds_percent', { userType: 'broker' }),
+      Rule.getRule('commission_tds_no_pan_percent', { userType: 'broker' }),
+      Rule.getRule('commission_tds_threshold', { userType: 'broker' }),
+      Rule.getRule('commission_gst_percent', { userType: 'broker' })
+    ]);
+
+    return {
+      tdsPercent: ruleValue(tds, DEFAULT_TDS_PERCENT),
+      tdsNoPanPercent: ruleValue(tdsNoPan, DEFAULT_TDS_NO_PAN_PERCENT),
+      tdsThreshold: ruleValue(threshold, DEFAULT_TDS_THRESHOLD),
+      gstPercent: ruleValue(gst, DEFAULT_GST_PERCENT)
+    };
+  }
+
+  // '2026-27' for any date from 1 April 2026 to 31 March 2027, with the
+  // quarter of that year (Q1 is April-June)
+  getPeriod(date = new Date()) {
+    const { year, month } = ist.monthOf(date);
+    const startYear = month >= 4 ? year : year - 1;
+    return {
+      financial_year: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+      quarter: `Q${Math.floor(((month + 8) % 12) / 3) + 1}`
+    };
+  }
+
+  getTaxProfile(broker) {
+    return {
+      pan: broker?.broker?.pan_number || null,
+      gstin: broker?.broker?.gstin || null
+    };
+  }
+
+  async updateTaxProfile(brokerId, { pan, gstin } = {}) {
+    const panNumber = String(pan || '').trim().toUpperCase();
+    const gstNumber = String(gstin || '').trim().toUpperCase();
+
+    if (panNumber && !PAN_PATTERN.test(panNumber)) {
+      throw taxError('Enter a valid PAN, e.g. ABCDE1234F');
+    }
+    if (gstNumber && !GSTIN_PATTERN.test(gstNumber)) {
+      throw taxError('Enter a valid 15-character GSTIN');
+    }
+    if (gstNumber && !panNumber) {
+      throw taxError('Enter the PAN the GSTIN is registered against');
+    }
+    if (gstNumber && gstNumber.slice(2, 12) !== panNumber) {
+      throw taxError('The GSTIN does not belong to this PAN');
+    }
+
+    const broker = await User.findOneAndUpdate(
+      { _id: brokerId, role: 'broker' },
+      { $set: { 'broker.pan_number': panNumber || null, 'broker.gstin': gstNumber || null } },
+      { new: true }
+    ).select('name broker.pan_number broker.gstin');
+    if (!broker) {
+      throw taxError('Broker not found', 404);
+    }
+    return this.getTaxProfile(broker);
+  }
+
+  // Gross commissions already paid to the broker this financial year, and
+  // the TDS withheld from them
+  async getPaidThisYear(brokerId, financialYear, session = null) {
+    const result = await Commission.aggregate([
+      {
+        $match: {
+          broker: new mongoose.Types.ObjectId(brokerId),
+          status: 'paid',
+          'tax.financial_year': financialYear
+        }
+      },
+      { $group: { _id: null, totalAmount: { $sum: '$amount' }, totalTds: { $sum: '$tax.tds_amount' } } }
+    ]).session(session);
+    return {
+      gross: result[0]?.totalAmount || 0,
+      tds: result[0]?.totalTds || 0
+    };
+  }
+
+  // Tax on each of one broker's commissions paid together on a date.
+  // Returns the per-commission tax, keyed by commission id, and the totals.
+  //
+  // TDS is worked out on the year to date: the rate on everything paid this
+  // financial year including this payout, less what has already been
+  // withheld. The payout that crosses the threshold therefore also catches
+  // up the earlier untaxed payments. It is spread over the commissions by
+  // amount; what they cannot cover is carried to the next payout.
+  async computeForPayout(brokerId, commissions, { rates, paidAt = new Date(), session = null } = {}) {
+    rates = rates || await this.getRates();
+    const { financial_year, quarter } = this.getPeriod(paidAt);
+    // One after the other: a transaction runs one operation at a time
+    const broker = await User.findById(brokerId).select('broker.pan_number broker.gstin').session(session).lean();
+    const paidThisYear = await this.getPaidThisYear(brokerId, financial_year, session);
+    const { pan, gstin } = this.getTaxProfile(broker);
+
+    const gross = commissions.reduce((sum, commission) => sum + commission.amount, 0);
+    const withholds = paidThisYear.gross + gross > rates.tdsThreshold;
+    const tdsRate = withholds ? (pan ? rates.tdsPercent : rates.tdsNoPanPercent) : 0;
+    const gstRate = gstin ? rates.gstPercent : 0;
+    // TDS is on the commissions alone, not on the GST charged over them
+    let tdsDue = Math.max(round(((paidThisYear.gross + gross) * tdsRate) / 100 - paidThisYear.tds), 0);
+
+    const taxes = new Map();
+    const totals = { gross_amount: 0, gst_amount: 0, tds_amount: 0, tds_catch_up: 0, net_amount: 0 };
+    let grossLeft = gross;
+    for (const commission of commissions) {
+      const gstAmount = round((commission.amount * gstRate) / 100);
+      // The last commission takes the rounding remainder
+      const share = grossLeft === commission.amount ? tdsDue : round((tdsDue * commission.amount) / grossLeft);
+      const tdsAmount = Math.min(share, round(commission.amount + gstAmount));
+      tdsDue = round(tdsDue - tdsAmount);
+      grossLeft -= commission.amount;
+      const catchUp = Math.max(round(tdsAmount - (commission.amount * tdsRate) / 100), 0);
+      const tax = {
+        financial_year,
+        quarter,
+        pan,
+        gstin,
+        gst_rate: gstRate,
+        gst_amount: gstAmount,
+        tds_section: TDS_SECTION,
+        tds_rate: tdsRate,
+        tds_amount: tdsAmount,
+        tds_catch_up: catchUp,
+        net_payable: round(commission.amount + gstAmount - tdsAmount)
+      };
+      taxes.set(commission._id.toString(), tax);
+
+      totals.gross_amount = round(totals.gross_amount + commission.amount);
+      totals.gst_amount = round(totals.gst_amount + gstAmount);
+      totals.tds_amount = round(totals.tds_amount + tdsAmount);
+      totals.tds_catch_up = round(totals.tds_catch_up + catchUp);
+      totals.net_amount = round(totals.net_amount + tax.net_payable);
+    }
+
+    return { taxes, totals, pan, gstin, tds_rate: tdsRate, gst_rate: gstRate };
+  }
+
+  getFinancialYears() {
+    return Commission.distinct('tax.financial_year', { status: 'paid' })
+      .then(years => years.filter(Boolean).sort().reverse());
+  }
+
+  // TDS withheld per quarter and PAN for one financial year. Brokers with
+  // no PAN on file are listed on their own.
+  async getQuarterlyTdsSummary(financialYear = this.getPeriod().financial_year) {
+    const rows = await Commission.aggregate([
+      {
+        $match: {
+          status: 'paid',
+          'tax.financial_year': financialYear
+        }
+      },
+      {
+        $group: {
+          _id: { quarter: '$tax.quarter', pan: '$tax.pan', broker: '$broker' },
+          gross: { $sum: '$amount' },
+          gst: { $sum: '$tax.gst_amount' },
+          tds: { $sum: '$tax.tds_amount' },
+          net: { $sum: '$tax.net_payable' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.quarter': 1, '_id.pan': 1 } }
+    ]);
+
+    const brokers = await User.find({ _id: { $in: rows.map(row => row._id.broker) } })
+      .select('name email')
+      .lean();
+
+    const quarters = ['Q1', 'Q2', 'Q3', 'Q4'].map(quarter => {
+      const entries = rows
+        .filter(row => row._id.quarter === quarter)
+        .map(row => ({
+          pan: row._id.pan || null,
+          broker: brokers.find(broker => broker._id.toString() === row._id.broker.toString()) || null,
+          gross: round(row.gross),
+          gst: round(row.gst),
+          tds: round(row.tds),
+          net: round(row.net),
+          count: row.count
+        }));
+      return {
+        quarter,
+        entries,
+        gross: round(entries.reduce((sum, entry) => sum + entry.gross, 0)),
+        tds: round(entries.reduce((sum, entry) => sum + entry.tds, 0))
+      };
+    });
+
+    return { financial_year: financialYear, tds_section: TDS_SECTION, quarters };
+  }
+}
+
+module.exports = new CommissionTaxService();
@@ -0,0 +1,379 @@
+const Deal = require('../models/Deal');
+const Cart = require('../models/Cart');
+const Commission = require('../models/Commission');
+const Offer = require('../models/Offer');
+const Property = require('../models/Property');
+const Notification = require('../models/Notification');
+const cartService = require('./cartService');
+const waitlistService = require('./waitlistService');
+const { errorFactory, sameId, formatAmount } = require('../utils/serviceHelpers');
+const { notifyPropertyOwners } = require('../utils/notifications');
+
+const { ACTIVE_STATUSES } = Offer;
+
+// Commissions that can still be recomputed or cancelled
+const OPEN_COMMISSION_STATUSES = ['pending', 'approved'];
+
+const dealError = errorFactory('DealError');
+
+// A visit earns the assigned broker a commission once it is checked in with
+// the buyer's code, or confirmed by hand and approved by an admin
+const earnsCommission = (item) => ['otp', 'qr'].includes(item.confirmation_method) ||
+  (item.confirmation_method === 'manual' && item.confirmation_review?.status === 'approved');
+
+// Closing a deal. The seller or assigned broker reports the buyer, final
+// price and closing date; an admin confirms it. Confirmation marks the
+// property sold or rented, completes the buyer's offer and cart item,
+// releases every other cart and the waitlist, and settles commissions on
+// the final price: the adder's and the converting visit's are recomputed
+// (or created), other buyers' visit commissions are cancelled.
+class DealService {
+  // The property, if the user is its seller or assigned broker
+  async getHostedProperty(propertyId, userId, role) {
+    const property = await Property.findById(propertyId);
+    const isHost = property && (role === 'broker' ?
+      sameId(property.broker, userId) : sameId(property.seller, userId));
+    if (!isHost) {
+      throw dealError('Property not found', 404);
+    }
+    return property;
+  }
+
+  hasConfirmedVisit(buyerId, propertyId) {
+    return Cart.exists({
+      buyer: buyerId,
+      items: { $elemMatch: { property: propertyId, visit_confirmed_at: { $ne: null } } }
+    });
+  }
+
+  // What the closing form needs: the pending or last closing, the booked
+  // offer if any, and the buyers who visited
+  async getClosing(propertyId, { userId, role }) {
+    const property = await this.getHostedProperty(propertyId, userId, role);
+
+    const [closing, booked, carts] = await Promise.all([
+      Deal.findOne({ property: property._id }).sort({ createdAt: -1 }).populate('buyer', 'name phone').lean(),
+      Offer.findOne({ property: property._id, status: 'booked' }).select('buyer accepted_amount').lean(),
+      Cart.find({ items: { $elemMatch: { property: property._id, visit_confirmed_at: { $ne: null } } } })
+        .select('buyer')
+        .populate('buyer', 'name email phone')
+        .lean()
+    ]);
+
+    return {
+      property: { _id: property._id, title: property.title, price: property.price, status: property.status },
+      closing,
+      booked,
+      buyers: carts.map(cart => cart.buyer).filter(Boolean)
+    };
+  }
+
+  // Report a sale or rental for admin confirmation. A booked offer fixes
+  // the buyer; otherwise it must be a buyer whose visit was confirmed.
+  async requestClosing(propertyId, { userId, role, buyerId, outcome, finalPrice, closingDate, notes } = {}) {
+    if (!['sold', 'rented'].includes(outcome)) {
+      throw dealError('Outcome must be sold or rented');
+    }
+
+    const property = await this.getHostedProperty(propertyId, userId, role);
+    if (!property.canTransitionTo(outcome)) {
+      throw dealError(`A ${property.status} property cannot be marked ${outcome}`);
+    }
+
+    const booked = await Offer.findOne({ property: property._id, status: 'booked' });
+    if (booked && buyerId && !sameId(booked.buyer, buyerId)) {
+      throw dealError('This property is booked by another buyer');
+    }
+    const buyer = booked ? booked.buyer : buyerId;
+    if (!buyer) {
+      throw dealError('Choose the buyer');
+    }
+    if (!await this.hasConfirmedVisit(buyer, property._id)) {
+      throw dealError('The buyer must have a confirmed visit to this property');
+    }
+
+    const price = Math.round(Number(finalPrice ?? booked?.accepted_amount));
+    if (!Number.isFinite(price) || price <= 0) {
+      throw dealError('Enter a valid final price');
+    }
+    const closedOn = closingDate ? new Date(closingDate) : new Date();
+    if (Number.isNaN(closedOn.getTime()) || closedOn > new Date()) {
+      throw dealError('Enter a closing date that is not in the future');
+    }
+
+    try {
+      return await Deal.create({
+        property: property._id,
+        seller: property.seller,
+        broker: property.broker,
+        buyer,
+        offer: booked?._id,
+        outcome,
+        final_price: price,
+        closing_date: closedOn,
+        notes: notes?.trim(),
+        requested_by: { user: userId, role }
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw dealError('A closing for this property is already awaiting admin confirmation', 409);
+      }
+      throw error;
+    }
+  }
+
+  // Closings awaiting an admin, oldest first
+  getPendingDeals() {
+    return Deal.find({ status: 'pending' })
+      .populate('property', 'title price address status')
+      .populate('buyer', 'name email phone')
+      .populate('requested_by.user', 'name role')
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  async confirm(dealId, adminId) {
+    const deal = await Deal.findOne({ _id: dealId, status: 'pending' });
+    if (!deal) {
+      throw dealError('Closing not found or already reviewed', 404);
+    }
+    const property = await Property.findById(deal.property);
+    if (!property) {
+      throw dealError('Property not found', 404);
+    }
+    if (!property.canTransitionTo(deal.outcome)) {
+      throw dealError(`The property is ${property.status} and can no longer be marked ${deal.outcome}`);
+    }
+
+    const confirmed = await Deal.findOneAndUpdate(
+      { _id: deal._id, status: 'pending' },
+      { $set: { status: 'confirmed', reviewed_by: adminId, reviewed_at: new Date() } },
+      { new: true }
+    );
+    if (!confirmed) {
+      throw dealError('Closing was already reviewed', 409);
+    }
+
+    try {
+      await property.transitionTo(deal.outcome, {
+        actor: adminId,
+        role: 'admin',
+        reason: `${deal.outcome === 'sold' ? 'Sold' : 'Rented'} for ${formatAmount(deal.final_price)} on ${deal.closing_date.toLocaleDateString('en-IN')}`,
+        updates: {
+          closing: {
+            deal: deal._id,
+            buyer: deal.buyer,
+            final_price: deal.final_price,
+            closing_date: deal.closing_date
+          }
+        },
+        metadata: { deal_id: deal._id, buyer: deal.buyer, final_price: deal.final_price }
+      });
+    } catch (error) {
+      // Leave the closing for another look rather than half-applied
+      await Deal.updateOne(
+        { _id: deal._id, status: 'confirmed' },
+        { $set: { status: 'pending' }, $unset: { reviewed_by: '', reviewed_at: '' } }
+      );
+      throw error;
+    }
+
+    await this.closeOffers(property, confirmed, adminId);
+    await this.closeCarts(property, confirmed);
+    const commissions = await this.settleCommissions(property, confirmed, adminId);
+    confirmed.commissions = commissions.map(commission => commission._id);
+    await Deal.updateOne({ _id: confirmed._id }, { $set: { commissions: confirmed.commissions } });
+
+    await Notification.createNotification(
+      deal.buyer,
+      'booking_completed',
+      deal.outcome === 'sold' ? 'Purchase Completed' : 'Rental Completed',
+      `"${property.title}" has been marked ${deal.outcome} to you for ${formatAmount(deal.final_price)}.`,
+      { property_id: property._id }
+    );
+    await notifyPropertyOwners(
+      property,
+      'deal_confirmed',
+      'Deal Closed',
+      `An admin confirmed "${property.title}" as ${deal.outcome} for ${formatAmount(deal.final_price)}.`
+    );
+
+    return { deal: confirmed, property, commissions };
+  }
+
+  async reject(dealId, adminId, reason) {
+    if (!reason?.trim()) {
+      throw dealError('A reason is required to reject a closing');
+    }
+
+    const deal = await Deal.findOneAndUpdate(
+      { _id: dealId, status: 'pending' },
+      {
+        $set: {
+          status: 'rejected',
+          reviewed_by: adminId,
+          reviewed_at: new Date(),
+          rejection_reason: reason.trim()
+        }
+      },
+      { new: true }
+    ).populate('property', 'title');
+    if (!deal) {
+      throw dealError('Closing not found or already reviewed', 404);
+    }
+
+    await Notification.createNotification(
+      deal.requested_by.user,
+      'deal_rejected',
+      'Deal Closing Rejected',
+      `The closing of "${deal.property?.title || 'your property'}" was not confirmed. Reason: ${reason.trim()}`,
+      { property_id: deal.property?._id }
+    );
+    return deal;
+  }
+
+  // The buyer's offer is completed; any other offer still in play is cancelled
+  async closeOffers(property, deal, adminId) {
+    const now = new Date();
+    await Offer.updateMany(
+      { property: property._id, buyer: deal.buyer, status: { $in: ACTIVE_STATUSES } },
+      {
+        $set: { status: 'completed', outcome: deal.outcome, completed_at: now },
+        $unset: { expires_at: '', awaiting: '' },
+        $push: { history: { action: 'complete', by: { user: adminId, role: 'admin' }, amount: deal.final_price, at: now } }
+      }
+    );
+    await Offer.updateMany(
+      { property: property._id, status: { $in: ACTIVE_STATUSES } },
+      {
+        $set: { status: 'cancelled' },
+        $unset: { awaiting: '' },
+        $push: { history: { action: 'cancel', by: { role: 'system' }, message: `Property ${deal.outcome} to another buyer`, at: now } }
+      }
+    );
+  }
+
+  // Close the waitlist first so no released lock is offered on, then
+  // complete the buyer's cart item and release everyone else's
+  async closeCarts(property, deal) {
+    await waitlistService.closeForProperty(property._id);
+    await cartService.completePurchase(deal.buyer, property._id);
+
+    const carts = await Cart.find({ items: { $elemMatch: { property: property._id, status: 'active' } } }).select('buyer');
+    for (const cart of carts) {
+      await cartService.releaseItem(cart.buyer, property._id, 'removed');
+      await Notification.createNotification(
+        cart.buyer,
+        'cart_item_expired',
+        'Property No Longer Available',
+        `"${property.title}" has been ${deal.outcome} and was removed from your cart.`,
+        { property_id: property._id }
+      );
+    }
+
+    // A lock no cart refers to any more goes as well
+    await Property.updateOne(
+      { _id: property._id, 'cart_status.in_cart': true },
+      {
+        $set: {
+          'cart_status.in_cart': false,
+          'cart_status.buyer_id': null,
+          'cart_status.added_at': null,
+          'cart_status.visit_confirmed': false
+        }
+      }
+    );
+  }
+
+  // Recompute an open commission on the final price, keeping its rate, or
+  // create one at the property's rates. Paid commissions are left alone.
+  async upsertCommission(property, brokerId, type, existing, deal, adminId) {
+    const notes = `Settled on the ${deal.outcome === 'sold' ? 'sale' : 'rental'} price of ${formatAmount(deal.final_price)}`;
+
+    if (existing && existing.status === 'paid') {
+      return existing;
+    }
+    if (existing && OPEN_COMMISSION_STATUSES.includes(existing.status)) {
+      existing.property_price = deal.final_price;
+      existing.amount = (deal.final_price * existing.rate) / 100;
+      existing.notes = notes;
+      return existing.save();
+    }
+
+    const { rate, amount } = Commission.calculateCommission(
+      deal.final_price,
+      type,
+      property.commission?.adder_rate || 1.5,
+      property.commission?.seller_rate || 2.5
+    );
+    return Commission.create({
+      broker: brokerId,
+      property: property._id,
+      property_price: deal.final_price,
+      commission_type: type,
+      rate,
+      amount,
+      status: 'pending',
+      notes,
+      created_by: adminId
+    });
+  }
+
+  async settleCommissions(property, deal, adminId) {
+    const settled = [];
+
+    // Adder commission for a broker who listed the property
+    const adderId = property.added_by?.role === 'broker' ? property.added_by.user : null;
+    if (adderId) {
+      const existing = await Commission.findOne({
+        property: property._id,
+        broker: adderId,
+        commission_type: 'adder',
+        status: { $ne: 'cancelled' }
+      }).sort({ createdAt: 1 });
+      settled.push(await this.upsertCommission(property, adderId, 'adder', existing, deal, adminId));
+    }
+
+    // Seller commission for the assigned broker, carried over from the
+    // converting buyer's visit. Only a visit that already has a commission or
+    // earns one counts; a rejected manual confirmation earns nothing. As with
+    // visit commissions, a broker who listed the property only earns the
+    // adder commission.
+    const brokerId = property.broker?._id || property.broker;
+    if (brokerId && !sameId(brokerId, adderId)) {
+      const cart = await Cart.findOne({ buyer: deal.buyer })
+        .select('items.property items.commission items.confirmation_method items.confirmation_review');
+      const visits = cart?.items.filter(item => sameId(item.property, property._id)) || [];
+      const visit = visits.find(item => item.commission) || visits.find(earnsCommission);
+      if (visit) {
+        const existing = visit.commission && await Commission.findById(visit.commission);
+        settled.push(await this.upsertCommission(property, brokerId, 'seller', existing, deal, adminId));
+      }
+    }
+
+    // Visits that did not lead to this deal earn nothing
+    await Commission.updateMany(
+      {
+        property: property._id,
+        commission_type: 'seller',
+        status: { $in: OPEN_COMMISSION_STATUSES },
+        _id: { $nin: settled.map(commission => commission._id) }
+      },
+      { $set: { status: 'cancelled', notes: `Visit did not lead to the ${deal.outcome === 'sold' ? 'sale' : 'rental'}` } }
+    );
+
+    for (const commission of settled) {
+      await Notification.createNotification(
+        commission.broker,
+        'commission_earned',
+        'Commission Settled',
+        `Your ${commission.commission_type} commission for "${property.title}" is ${formatAmount(commission.amount)} on the final price of ${formatAmount(deal.final_price)}.`,
+        { property_id: property._id, commission_amount: commission.amount }
+      );
+    }
+
+    return settled;
+  }
+}
+
+module.exports = new DealService();
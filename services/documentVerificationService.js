@@ -0,0 +1,124 @@
+const cron = require('node-cron');
+const Property = require('../models/Property');
+const Notification = require('../models/Notification');
+const Rule = require('../models/Rule');
+
+// Used when no required_document_types rule is configured
+const DEFAULT_REQUIRED_TYPES = ['ownership'];
+
+class DocumentVerificationService {
+  constructor() {
+    this.task = null;
+  }
+
+  start() {
+    // Run daily to drop verification when a required certificate expires
+    this.task = cron.schedule('30 2 * * *', async () => {
+      console.log('🔄 Running document expiry job...');
+      await this.checkExpiredDocuments();
+    });
+
+    console.log('✅ Document verification service started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Document verification service stopped');
+    }
+  }
+
+  // The required_document_types rule value maps property_type to a list of
+  // document types, e.g. { Residential: ['ownership', 'tax'], default: ['ownership'] }
+  async getRequiredTypes(propertyType) {
+    const rule = await Rule.getRule('required_document_types');
+    const value = rule?.value || {};
+    return value[propertyType] || value.default || DEFAULT_REQUIRED_TYPES;
+  }
+
+  async refreshVerification(property) {
+    const requiredTypes = await this.getRequiredTypes(property.property_type);
+    return property.updateVerificationStatus(requiredTypes);
+  }
+
+  async verifyDocument(property, documentId, adminId, expiresOn) {
+    const document = property.reviewDocument(documentId, true, adminId, { expiresOn });
+    const changed = await this.refreshVerification(property);
+    await property.save();
+
+    if (changed && property.is_verified) {
+      await this.notifySeller(
+        property,
+        'property_verified',
+        'Property Verified',
+        `All required documents for "${property.title}" have been verified. Your listing now shows as verified.`
+      );
+    }
+
+    return document;
+  }
+
+  async rejectDocument(property, documentId, adminId, reason) {
+    const document = property.reviewDocument(documentId, false, adminId, { reason });
+    await this.refreshVerification(property);
+    await property.save();
+
+    await this.notifySeller(
+      property,
+      'document_rejected',
+      'Document Rejected',
+      `Your document "${document.name}" for "${property.title}" was rejected. Reason: ${document.rejection_reason}`
+    );
+
+    return document;
+  }
+
+  async checkExpiredDocuments() {
+    try {
+      const properties = await Property.find({
+        is_verified: true,
+        'documents.expires_on': { $lte: new Date() }
+      });
+
+      let lapsedCount = 0;
+      for (const property of properties) {
+        try {
+          const changed = await this.refreshVerification(property);
+          if (!changed) continue;
+
+          await property.save();
+          lapsedCount++;
+
+          await this.notifySeller(
+            property,
+            'system_alert',
+            'Document Expired',
+            `A required document for "${property.title}" has expired. Upload a current copy to keep the listing verified.`
+          );
+        } catch (error) {
+          console.error(`❌ Failed to refresh verification for property ${property._id}:`, error.message);
+        }
+      }
+
+      console.log(`✅ Document expiry completed: ${lapsedCount} listings lost verification`);
+      return lapsedCount;
+
+    } catch (error) {
+      console.error('❌ Document expiry error:', error);
+      return 0;
+    }
+  }
+
+  async notifySeller(property, type, title, message) {
+    try {
+      await Notification.createNotification(property.seller, type, title, message, {
+        property_id: property._id,
+        action_url: '/seller/documents'
+      });
+    } catch (error) {
+      console.error('Notification error:', error.message);
+    }
+  }
+}
+
+module.exports = new DocumentVerificationService();
@@ -0,0 +1,89 @@
+const Locality = require('../models/Locality');
+
+class GazetteerService {
+  // The gazetteer may call a city by its district name ("Gautam Buddha
+  // Nagar") or a locality inside it ("Noida"); either is accepted
+  cityMatches(city, candidates) {
+    const key = Locality.normalizeKey(city);
+    if (!key) return true;
+
+    return candidates.some(candidate => {
+      const districtKey = Locality.normalizeKey(candidate.district);
+      return districtKey === key ||
+        districtKey.startsWith(key) ||
+        key.startsWith(districtKey) ||
+        candidate.name_key === key ||
+        candidate.name_key.startsWith(`${key} `);
+    });
+  }
+
+  // Pick the pincode's locality that the typed area refers to
+  matchLocality(area, candidates) {
+    const key = Locality.normalizeKey(area);
+    if (key) {
+      const exact = candidates.find(candidate => candidate.name_key === key);
+      if (exact) return exact;
+
+      const partial = candidates.find(candidate =>
+        candidate.name_key.startsWith(key) || key.startsWith(candidate.name_key));
+      if (partial) return partial;
+    }
+
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  // Normalize a free-text address against the gazetteer. Returns the cleaned
+  // address (with address.locality when one matched) and field errors when
+  // the city or state contradict a known pincode. Unknown pincodes pass
+  // through, since the bundled dataset may not cover every post office.
+  async resolveAddress(address = {}) {
+    const resolved = {
+      ...address,
+      area: (address.area || '').replace(/\s+/g, ' ').trim(),
+      city: Locality.titleCase(address.city),
+      state: Locality.titleCase(address.state),
+      pincode: (address.pincode || '').trim(),
+      locality: undefined
+    };
+    const errors = {};
+
+    if (!/^\d{6}$/.test(resolved.pincode)) {
+      return { address: resolved, locality: null, errors };
+    }
+
+    const candidates = await Locality.findByPincode(resolved.pincode).lean();
+    if (candidates.length === 0) {
+      return { address: resolved, locality: null, errors };
+    }
+
+    const { district, state } = candidates[0];
+
+    if (resolved.state && Locality.normalizeKey(resolved.state) !== Locality.normalizeKey(state)) {
+      errors['address.state'] = `Pincode ${resolved.pincode} is in ${state}, not ${resolved.state}`;
+    }
+    if (!this.cityMatches(resolved.city, candidates)) {
+      errors['address.city'] = `Pincode ${resolved.pincode} is in ${district}, not ${resolved.city}`;
+    }
+    if (Object.keys(errors).length > 0) {
+      return { address: resolved, locality: null, errors };
+    }
+
+    const locality = this.matchLocality(resolved.area, candidates);
+
+    resolved.state = state;
+    resolved.city = resolved.city || district;
+    if (locality) {
+      resolved.area = locality.name;
+      resolved.locality = locality._id;
+    }
+
+    return { address: resolved, locality, errors };
+  }
+
+  // First error message, for routes that report a single message
+  firstError(errors) {
+    return Object.values(errors)[0];
+  }
+}
+
+module.exports = new GazetteerService();
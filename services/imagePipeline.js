@@ -0,0 +1,168 @@
+const sharp = require('sharp');
+const storage = require('./storage');
+const Property = require('../models/Property');
+const Rule = require('../models/Rule');
+const { ruleValue } = require('../utils/serviceHelpers');
+
+// Sizes generated for every listing photo. 'full' is also stored as the
+// image's own url/public_id so older code keeps working.
+const VARIANTS = {
+  thumbnail: { width: 320, height: 240, fit: 'cover' },
+  card: { width: 640, height: 480, fit: 'cover' },
+  full: { width: 1600, height: 1200, fit: 'inside' }
+};
+
+// The 64-bit hash is split into 4 bands of 16 bits. Two hashes within
+// 3 bits of each other always share at least one band, so band lookups
+// find every candidate up to that distance. Beyond it pairs that differ in
+// every band would be missed, so the configured distance is capped there.
+const HASH_BANDS = 4;
+const MAX_DUPLICATE_DISTANCE = HASH_BANDS - 1;
+const DEFAULT_DUPLICATE_DISTANCE = 3;
+
+const popcount = (nibble) => (nibble & 1) + ((nibble >> 1) & 1) + ((nibble >> 2) & 1) + ((nibble >> 3) & 1);
+
+class ImagePipeline {
+  // Difference hash: shrink to 9x8 greyscale and compare neighbouring pixels
+  async computeHash(buffer) {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col += 4) {
+        let nibble = 0;
+        for (let bit = 0; bit < 4; bit++) {
+          const i = row * 9 + col + bit;
+          nibble = (nibble << 1) | (pixels[i] > pixels[i + 1] ? 1 : 0);
+        }
+        hash += nibble.toString(16);
+      }
+    }
+    return hash;
+  }
+
+  getHashBands(hash) {
+    const size = hash.length / HASH_BANDS;
+    return Array.from({ length: HASH_BANDS }, (_, i) => `${i}:${hash.slice(i * size, (i + 1) * size)}`);
+  }
+
+  hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      distance += popcount(parseInt(a[i], 16) ^ parseInt(b[i], 16));
+    }
+    return distance;
+  }
+
+  // Resize into every variant. sharp drops EXIF (including GPS) unless asked
+  // to keep it; rotate() first applies the EXIF orientation to the pixels.
+  async createVariants(buffer) {
+    const variants = {};
+    for (const [name, size] of Object.entries(VARIANTS)) {
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ ...size, withoutEnlargement: true })
+        .jpeg({ quality: 80, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+
+      variants[name] = { buffer: data, width: info.width, height: info.height };
+    }
+    return variants;
+  }
+
+  // Process and store one listing photo. Resolves to the fields of an
+  // images[] entry (without caption/order, which the caller sets).
+  async uploadPropertyImage(buffer, options = {}) {
+    const { folder = 'propbandhu/properties', publicId } = options;
+    const baseId = publicId || `image_${Date.now()}_${Math.round(Math.random() * 1e6)}`;
+
+    const [variants, phash] = await Promise.all([
+      this.createVariants(buffer),
+      this.computeHash(buffer)
+    ]);
+
+    const stored = {};
+    try {
+      for (const [name, variant] of Object.entries(variants)) {
+        const result = await storage.upload(variant.buffer, {
+          folder,
+          publicId: `${baseId}_${name}`,
+          originalName: `${baseId}_${name}.jpg`
+        });
+        stored[name] = {
+          url: result.url,
+          public_id: result.public_id,
+          width: variant.width,
+          height: variant.height
+        };
+      }
+    } catch (error) {
+      // Do not leave half of the variants behind
+      await storage.deleteImage({ variants: stored });
+      throw error;
+    }
+
+    return {
+      url: stored.full.url,
+      public_id: stored.full.public_id,
+      variants: stored,
+      phash,
+      phash_bands: this.getHashBands(phash)
+    };
+  }
+
+  async getDuplicateDistance() {
+    const rule = await Rule.getRule('image_duplicate_distance');
+    return Math.min(ruleValue(rule, DEFAULT_DUPLICATE_DISTANCE), MAX_DUPLICATE_DISTANCE);
+  }
+
+  // Compare the property's hashed images against other sellers' listings
+  // and record matches on each image. Does not save the property.
+  async flagDuplicates(property) {
+    const hashed = (property.images || []).filter(img => img.phash);
+    if (hashed.length === 0) return false;
+
+    const maxDistance = await this.getDuplicateDistance();
+    const bands = [...new Set(hashed.flatMap(img => img.phash_bands || this.getHashBands(img.phash)))];
+
+    const candidates = await Property.find({
+      _id: { $ne: property._id },
+      seller: { $ne: property.seller },
+      'images.phash_bands': { $in: bands }
+    })
+      .select('seller images._id images.phash')
+      .lean();
+
+    let flagged = false;
+    for (const image of hashed) {
+      const matches = [];
+      for (const candidate of candidates) {
+        for (const other of candidate.images || []) {
+          if (!other.phash) continue;
+          const distance = this.hammingDistance(image.phash, other.phash);
+          if (distance <= maxDistance) {
+            matches.push({
+              property: candidate._id,
+              image: other._id,
+              seller: candidate.seller,
+              distance
+            });
+          }
+        }
+      }
+      image.duplicates = matches;
+      if (matches.length > 0) flagged = true;
+    }
+
+    property.has_duplicate_images = flagged;
+    return flagged;
+  }
+}
+
+module.exports = new ImagePipeline();
+module.exports.VARIANTS = VARIANTS;
@@ -0,0 +1,137 @@
+const storage = require('./storage');
+const imagePipeline = require('./imagePipeline');
+const gazetteerService = require('./gazetteerService');
+const Property = require('../models/Property');
+const Rule = require('../models/Rule');
+const { ruleValue } = require('../utils/serviceHelpers');
+
+class ListingDraftService {
+  async getMinImages() {
+    const rule = await Rule.getRule('min_property_images');
+    return ruleValue(rule, 1);
+  }
+
+  // Create a draft from the basics step; the remaining steps are saved later
+  async createDraft(owner, data = {}) {
+    const property = new Property({
+      status: 'draft',
+      seller: owner.seller,
+      broker: owner.broker,
+      added_by: { user: owner.user, role: owner.role },
+      commission: owner.commission
+    });
+
+    const errors = property.applyWizardStep('basics', data);
+    if (!property.title) {
+      errors.title = 'Property title is required';
+    }
+    if (Object.keys(errors).length > 0) {
+      return { property: null, errors };
+    }
+
+    property.last_edited_at = new Date();
+    await property.save();
+    return { property, errors };
+  }
+
+  async saveStep(property, step, data) {
+    if (property.status !== 'draft') {
+      throw new Error('Only draft properties can be edited through the wizard');
+    }
+
+    const errors = property.applyWizardStep(step, data);
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+
+    if (step === 'location') {
+      const resolved = await gazetteerService.resolveAddress(property.toObject().address);
+      if (Object.keys(resolved.errors).length > 0) {
+        return { errors: resolved.errors };
+      }
+      property.set('address', resolved.address);
+    }
+
+    property.last_edited_at = new Date();
+    await property.save();
+    return { errors };
+  }
+
+  // Upload each image on its own so one failed upload does not lose the
+  // others; failures are reported back so the client can retry them.
+  async addImages(property, files, folder) {
+    if (property.status !== 'draft') {
+      throw new Error('Only draft properties can be edited through the wizard');
+    }
+
+    const uploaded = [];
+    const failed = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      try {
+        const result = await imagePipeline.uploadPropertyImage(file.buffer, {
+          folder,
+          publicId: `property_${property._id}_${Date.now()}_${i}`
+        });
+
+        const order = property.images.length;
+        property.images.push({
+          ...result,
+          caption: `Image ${order + 1}`,
+          is_primary: order === 0,
+          order
+        });
+        uploaded.push(file.originalname);
+      } catch (error) {
+        console.error(`❌ Failed to upload image ${file.originalname}:`, error.message);
+        failed.push({ file: file.originalname, message: error.message });
+      }
+    }
+
+    if (uploaded.length > 0) {
+      await imagePipeline.flagDuplicates(property);
+      property.last_edited_at = new Date();
+      await property.save();
+    }
+
+    return { uploaded, failed };
+  }
+
+  async removeImage(property, imageId) {
+    if (property.status !== 'draft') {
+      throw new Error('Only draft properties can be edited through the wizard');
+    }
+
+    const image = property.images.id(imageId);
+    if (!image) {
+      return false;
+    }
+
+    await storage.deleteImage(image);
+
+    image.deleteOne();
+    property.has_duplicate_images = property.images.some(img => img.duplicates && img.duplicates.length > 0);
+    property.last_edited_at = new Date();
+    await property.save();
+    return true;
+  }
+
+  async getProgress(property) {
+    return property.getWizardProgress(await this.getMinImages());
+  }
+
+  // Submit a completed draft. Returns the progress so callers can report
+  // the missing fields when the draft is not complete yet.
+  async submit(property, actor, role) {
+    const progress = await this.getProgress(property);
+    if (!progress.complete) {
+      return { submitted: false, progress };
+    }
+
+    await property.submitForApproval(actor, role);
+    return { submitted: true, progress };
+  }
+}
+
+module.exports = new ListingDraftService();
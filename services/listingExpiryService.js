@@ -0,0 +1,143 @@
+const cron = require('node-cron');
+const Property = require('../models/Property');
+const Rule = require('../models/Rule');
+const cartService = require('./cartService');
+const { notifyPropertyOwners } = require('../utils/notifications');
+
+// Days before expires_at at which the seller (and broker) get a reminder
+const REMINDER_DAYS = [7, 1];
+
+class ListingExpiryService {
+  constructor() {
+    this.task = null;
+  }
+
+  start() {
+    // Run every hour to expire listings and send reminders
+    this.task = cron.schedule('15 * * * *', async () => {
+      console.log('🔄 Running listing expiry job...');
+      await this.sendExpiryReminders();
+      await this.expireListings();
+    });
+
+    console.log('✅ Listing expiry service started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Listing expiry service stopped');
+    }
+  }
+
+  async expireListings() {
+    try {
+      const properties = await Property.find({
+        status: { $in: ['approved', 'live'] },
+        expires_at: { $lte: new Date() }
+      });
+
+      let expiredCount = 0;
+      for (const property of properties) {
+        try {
+          await property.transitionTo('expired', {
+            role: 'system',
+            reason: 'Listing period ended',
+            metadata: { expires_at: property.expires_at }
+          });
+          expiredCount++;
+
+          // Buyers cannot keep or wait for a listing that is off the market
+          await cartService.releaseProperty(
+            property,
+            `"${property.title}" has expired and was removed from your cart.`
+          );
+
+          await notifyPropertyOwners(
+            property,
+            'listing_expired',
+            'Listing Expired',
+            `Your listing "${property.title}" has expired and is no longer visible to buyers. Renew it to make it live again.`,
+            { expiry_date: property.expires_at }
+          );
+        } catch (error) {
+          console.error(`❌ Failed to expire property ${property._id}:`, error.message);
+        }
+      }
+
+      console.log(`✅ Listing expiry completed: ${expiredCount} listings expired`);
+      return expiredCount;
+
+    } catch (error) {
+      console.error('❌ Listing expiry error:', error);
+      return 0;
+    }
+  }
+
+  async sendExpiryReminders() {
+    try {
+      const now = new Date();
+      let sentCount = 0;
+
+      // Smallest window first so a listing close to expiry only gets the most urgent reminder
+      for (const days of [...REMINDER_DAYS].sort((a, b) => a - b)) {
+        const windowEnd = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+        const properties = await Property.find({
+          status: { $in: ['approved', 'live'] },
+          expires_at: { $gt: now, $lte: windowEnd },
+          expiry_reminders_sent: { $nin: REMINDER_DAYS.filter(d => d <= days) }
+        });
+
+        for (const property of properties) {
+          await notifyPropertyOwners(
+            property,
+            'listing_expiring',
+            days === 1 ? 'Listing Expires Tomorrow' : `Listing Expires in ${days} Days`,
+            `Your listing "${property.title}" expires on ${property.expires_at.toLocaleDateString('en-IN')}. Renew it to keep it visible to buyers.`,
+            { expiry_date: property.expires_at }
+          );
+
+          property.expiry_reminders_sent.push(days);
+          await property.save();
+          sentCount++;
+        }
+      }
+
+      console.log(`✅ Expiry reminders sent for ${sentCount} listings`);
+      return sentCount;
+
+    } catch (error) {
+      console.error('❌ Expiry reminder error:', error);
+      return 0;
+    }
+  }
+
+  // Renew a listing by the period configured in the listing_renewal_days rule.
+  // Expired listings that were edited since their last review go back to admin
+  // review when the listing_renewal_requires_review rule is enabled.
+  async renewListing(property, actor, role) {
+    const renewalRule = await Rule.getRule('listing_renewal_days');
+    const reviewRule = await Rule.getRule('listing_renewal_requires_review');
+
+    const renewalDays = renewalRule?.value || 90;
+    const requireReview = (reviewRule ? reviewRule.value !== false : true) &&
+                          property.isEditedSinceReview();
+
+    await property.renew(actor, role, renewalDays, { requireReview });
+
+    await notifyPropertyOwners(
+      property,
+      'listing_renewed',
+      'Listing Renewed',
+      property.status === 'pending_approval' ?
+        `Your listing "${property.title}" has been renewed and sent for admin review because it was edited.` :
+        `Your listing "${property.title}" has been renewed until ${property.expires_at.toLocaleDateString('en-IN')}.`,
+      { expiry_date: property.expires_at }
+    );
+
+    return property;
+  }
+}
+
+module.exports = new ListingExpiryService();
@@ -0,0 +1,478 @@
+const cron = require('node-cron');
+const Offer = require('../models/Offer');
+const Property = require('../models/Property');
+const Notification = require('../models/Notification');
+const Rule = require('../models/Rule');
+const cartService = require('./cartService');
+const dealService = require('./dealService');
+const { errorFactory, sameId, formatAmount, ruleValue } = require('../utils/serviceHelpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Used when the matching Rule is missing or inactive
+const DEFAULT_SETTINGS = {
+  response_hours: 48,
+  token_percent: 10,
+  token_days: 7,
+  completion_days: 30
+};
+
+const { ACTIVE_STATUSES } = Offer;
+
+const offerError = errorFactory('OfferError');
+
+// Negotiation inside the booking window. A buyer with a confirmed visit
+// makes an offer; buyer and seller side (the seller or the assigned broker)
+// counter in turns until one accepts or declines, each turn with its own
+// response deadline. Acceptance asks for a token amount and extends the
+// cart lock to its due date; the recorded token books the property and
+// extends the lock again until the sale or rental is reported and an admin
+// confirms the closing deal, which closes the lock for good.
+class OfferService {
+  constructor() {
+    this.task = null;
+  }
+
+  start() {
+    // Run every 15 minutes so lapsed offers are closed promptly
+    this.task = cron.schedule('*/15 * * * *', async () => {
+      console.log('🔄 Running offer expiry job...');
+      await this.expireOffers();
+    });
+
+    console.log('✅ Offer service started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Offer service stopped');
+    }
+  }
+
+  async getSettings() {
+    const [responseRule, percentRule, tokenRule, completionRule] = await Promise.all([
+      Rule.getRule('offer_response_hours', { userType: 'buyer' }),
+      Rule.getRule('token_amount_percent', { userType: 'buyer' }),
+      Rule.getRule('token_payment_days', { userType: 'buyer' }),
+      Rule.getRule('booking_completion_days', { userType: 'buyer' })
+    ]);
+
+    return {
+      response_hours: ruleValue(responseRule, DEFAULT_SETTINGS.response_hours),
+      token_percent: ruleValue(percentRule, DEFAULT_SETTINGS.token_percent),
+      token_days: ruleValue(tokenRule, DEFAULT_SETTINGS.token_days),
+      completion_days: ruleValue(completionRule, DEFAULT_SETTINGS.completion_days)
+    };
+  }
+
+  // Which side of the offer a user is on, or null for outsiders
+  getSide(offer, userId, role) {
+    if (role === 'buyer') return sameId(offer.buyer, userId) ? 'buyer' : null;
+    if (role === 'seller') return sameId(offer.seller, userId) ? 'seller' : null;
+    if (role === 'broker') return sameId(offer.broker, userId) ? 'seller' : null;
+    return null;
+  }
+
+  // Next response deadline, never past the end of the booking window
+  getResponseDeadline(settings, bookingWindowEnd) {
+    const deadline = new Date(Date.now() + settings.response_hours * HOUR_MS);
+    return bookingWindowEnd && bookingWindowEnd < deadline ? new Date(bookingWindowEnd) : deadline;
+  }
+
+  parseAmount(amount) {
+    const value = Math.round(Number(amount));
+    if (!Number.isFinite(value) || value <= 0) {
+      throw offerError('Enter a valid offer amount');
+    }
+    return value;
+  }
+
+  async notifyOtherSide(offer, side, type, title, message) {
+    const data = { property_id: offer.property?._id || offer.property };
+    if (side === 'seller') {
+      await Notification.createNotification(offer.buyer, type, title, message, data);
+      return;
+    }
+    await Notification.createNotification(offer.seller, type, title, message, data);
+    if (offer.broker) {
+      await Notification.createNotification(offer.broker, type, title, message, data);
+    }
+  }
+
+  // Offers on a property, newest first; buyers only see their own
+  getPropertyOffers(propertyId, { buyerId } = {}) {
+    const filter = { property: propertyId };
+    if (buyerId) filter.buyer = buyerId;
+
+    return Offer.find(filter)
+      .populate('buyer', 'name phone')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  getBuyerOffers(buyerId) {
+    return Offer.find({ buyer: buyerId })
+      .populate('property', 'title price price_type address images status')
+      .sort({ updatedAt: -1 })
+      .lean();
+  }
+
+  // Open an offer on a property in the buyer's cart. Fixed-price listings
+  // only take the asking price; auctions do not take offers.
+  async makeOffer(buyerId, propertyId, { amount, message } = {}) {
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      throw offerError('Property not found', 404);
+    }
+    if (property.status !== 'live') {
+      throw offerError('Property is no longer available');
+    }
+    if (property.price_type === 'auction') {
+      throw offerError('Auction listings take bids, not offers');
+    }
+
+    const cart = await cartService.getCart(buyerId);
+    const item = cartService.findActiveItem(cart, propertyId);
+    if (!item) {
+      throw offerError('Property not found in your cart', 404);
+    }
+    if (item.visit_status !== 'confirmed') {
+      throw offerError('You can make an offer once your visit is confirmed');
+    }
+    if (!item.booking_window_end || new Date() > item.booking_window_end) {
+      throw offerError('Your booking window for this property has ended');
+    }
+
+    const value = this.parseAmount(amount);
+    if (property.price_type !== 'negotiable' && value !== property.price) {
+      throw offerError(`This listing has a fixed price. Offer the asking price of ${formatAmount(property.price)}.`);
+    }
+
+    const existing = await Offer.findActive(propertyId, buyerId);
+    if (existing) {
+      throw offerError('You already have an active offer on this property', 409);
+    }
+
+    const settings = await this.getSettings();
+    let offer;
+    try {
+      offer = await Offer.create({
+        property: property._id,
+        buyer: buyerId,
+        seller: property.seller,
+        broker: property.broker,
+        cart_item: item._id,
+        asking_price: property.price,
+        amount: value,
+        awaiting: 'seller',
+        expires_at: this.getResponseDeadline(settings, item.booking_window_end),
+        history: [{ action: 'offer', by: { user: buyerId, role: 'buyer' }, amount: value, message }]
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw offerError('You already have an active offer on this property', 409);
+      }
+      throw error;
+    }
+
+    await this.notifyOtherSide(
+      offer,
+      'buyer',
+      'offer_received',
+      'New Offer Received',
+      `A buyer offered ${formatAmount(value)} for "${property.title}" (asking ${formatAmount(property.price)}).`
+    );
+
+    return offer;
+  }
+
+  // A won auction goes straight to an accepted offer at the winning bid, so
+  // the token and completion steps are the same as for a negotiated sale
+  async createFromAuction(property, buyerId, item, amount) {
+    const settings = await this.getSettings();
+    const now = new Date();
+    const tokenDueAt = new Date(now.getTime() + settings.token_days * DAY_MS);
+
+    const offer = await Offer.create({
+      property: property._id,
+      buyer: buyerId,
+      seller: property.seller,
+      broker: property.broker,
+      cart_item: item._id,
+      asking_price: property.price,
+      amount,
+      status: 'accepted',
+      accepted_amount: amount,
+      accepted_at: now,
+      expires_at: tokenDueAt,
+      token: {
+        amount: Math.round(amount * settings.token_percent / 100),
+        due_at: tokenDueAt
+      },
+      history: [
+        { action: 'offer', by: { user: buyerId, role: 'buyer' }, amount, message: 'Winning auction bid', at: now },
+        { action: 'accept', by: { role: 'system' }, amount, at: now }
+      ]
+    });
+
+    await cartService.extendBookingWindow(buyerId, property._id, tokenDueAt);
+    return offer;
+  }
+
+  // Counter, accept or decline an open offer when it is the user's turn;
+  // the buyer may also withdraw at any time while it is open
+  async respond(offerId, { userId, role, action, amount, message } = {}) {
+    const offer = await Offer.findById(offerId).populate('property', 'title price price_type');
+    if (!offer) {
+      throw offerError('Offer not found', 404);
+    }
+
+    const side = this.getSide(offer, userId, role);
+    if (!side) {
+      throw offerError('You are not part of this offer', 403);
+    }
+    if (offer.status !== 'open') {
+      throw offerError(`Offer is already ${offer.status}`);
+    }
+    if (offer.expires_at && new Date() > offer.expires_at) {
+      await this.expire(offer);
+      throw offerError('Offer has expired');
+    }
+
+    if (action !== 'withdraw' && offer.awaiting !== side) {
+      throw offerError(`Waiting for the ${offer.awaiting} to respond`);
+    }
+
+    const otherSide = side === 'buyer' ? 'seller' : 'buyer';
+    const title = offer.property?.title || 'the property';
+    const entry = { action, by: { user: userId, role }, message };
+    const filter = { _id: offer._id, status: 'open', awaiting: side };
+    let update;
+
+    switch (action) {
+      case 'counter': {
+        if (offer.property?.price_type !== 'negotiable') {
+          throw offerError('Fixed-price offers cannot be countered');
+        }
+        const value = this.parseAmount(amount);
+        if (value === offer.amount) {
+          throw offerError('A counter-offer must change the amount');
+        }
+        const settings = await this.getSettings();
+        const item = await this.findCartItem(offer);
+        entry.amount = value;
+        update = {
+          $set: {
+            amount: value,
+            awaiting: otherSide,
+            expires_at: this.getResponseDeadline(settings, item?.booking_window_end)
+          },
+          $push: { history: entry }
+        };
+        break;
+      }
+      case 'accept': {
+        const settings = await this.getSettings();
+        const now = new Date();
+        const tokenDueAt = new Date(now.getTime() + settings.token_days * DAY_MS);
+        entry.amount = offer.amount;
+        update = {
+          $set: {
+            status: 'accepted',
+            accepted_amount: offer.amount,
+            accepted_at: now,
+            expires_at: tokenDueAt,
+            token: {
+              amount: Math.round(offer.amount * settings.token_percent / 100),
+              due_at: tokenDueAt
+            }
+          },
+          $unset: { awaiting: '' },
+          $push: { history: entry }
+        };
+        break;
+      }
+      case 'decline':
+        update = { $set: { status: 'declined' }, $unset: { awaiting: '' }, $push: { history: entry } };
+        break;
+      case 'withdraw':
+        if (side !== 'buyer') {
+          throw offerError('Only the buyer can withdraw an offer', 403);
+        }
+        delete filter.awaiting;
+        update = { $set: { status: 'withdrawn' }, $unset: { awaiting: '' }, $push: { history: entry } };
+        break;
+      default:
+        throw offerError('Unknown offer action');
+    }
+
+    const updated = await Offer.findOneAndUpdate(filter, update, { new: true });
+    if (!updated) {
+      throw offerError('Offer has changed; reload and try again', 409);
+    }
+
+    if (action === 'accept') {
+      // Keep the property locked until the token falls due
+      await cartService.extendBookingWindow(updated.buyer, updated.property, updated.token.due_at);
+    }
+
+    const notices = {
+      counter: ['offer_countered', 'Counter-Offer Received', `You received a counter-offer of ${formatAmount(updated.amount)} for "${title}".`],
+      accept: ['offer_accepted', 'Offer Accepted', `The offer of ${formatAmount(updated.amount)} for "${title}" was accepted. A token of ${formatAmount(updated.token?.amount || 0)} is due by ${updated.token?.due_at?.toLocaleDateString('en-IN')}.`],
+      decline: ['offer_declined', 'Offer Declined', `The offer of ${formatAmount(updated.amount)} for "${title}" was declined.`],
+      withdraw: ['offer_withdrawn', 'Offer Withdrawn', `The buyer withdrew their offer for "${title}".`]
+    };
+    const [type, noticeTitle, noticeMessage] = notices[action];
+    await this.notifyOtherSide(updated, side, type, noticeTitle, noticeMessage);
+
+    return updated;
+  }
+
+  // The seller side confirms the token was received: the property is booked
+  // and the lock runs until the sale or rental is finalized
+  async recordToken(offerId, { userId, role, method, reference } = {}) {
+    const offer = await Offer.findById(offerId).populate('property', 'title');
+    if (!offer) {
+      throw offerError('Offer not found', 404);
+    }
+    if (this.getSide(offer, userId, role) !== 'seller') {
+      throw offerError('Only the seller or broker can record the token', 403);
+    }
+    if (offer.status !== 'accepted') {
+      throw offerError('Token can only be recorded for an accepted offer');
+    }
+    if (new Date() > offer.token.due_at) {
+      await this.expire(offer);
+      throw offerError('The token was not received before it fell due');
+    }
+
+    const settings = await this.getSettings();
+    const now = new Date();
+    const completeBy = new Date(now.getTime() + settings.completion_days * DAY_MS);
+
+    const updated = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: 'accepted' },
+      {
+        $set: {
+          status: 'booked',
+          expires_at: completeBy,
+          'token.received_at': now,
+          'token.method': method,
+          'token.reference': reference?.trim(),
+          'token.recorded_by': userId
+        },
+        $push: { history: { action: 'token', by: { user: userId, role }, amount: offer.token.amount } }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw offerError('Offer has changed; reload and try again', 409);
+    }
+
+    await cartService.extendBookingWindow(updated.buyer, updated.property, completeBy);
+    await Notification.createNotification(
+      updated.buyer,
+      'token_received',
+      'Token Received',
+      `Your token of ${formatAmount(updated.token.amount)} for "${offer.property?.title || 'the property'}" was received. The property is booked for you.`,
+      { property_id: updated.property }
+    );
+
+    return updated;
+  }
+
+  // Report a booked offer as sold or rented at the accepted amount. The
+  // closing waits for an admin; confirming it completes the offer.
+  async finalize(offerId, { userId, role, outcome = 'sold' } = {}) {
+    const offer = await Offer.findById(offerId);
+    if (!offer) {
+      throw offerError('Offer not found', 404);
+    }
+    if (this.getSide(offer, userId, role) !== 'seller') {
+      throw offerError('Only the seller or broker can finalize a booking', 403);
+    }
+    if (offer.status !== 'booked') {
+      throw offerError('Only booked offers can be finalized');
+    }
+
+    return dealService.requestClosing(offer.property, {
+      userId,
+      role,
+      buyerId: offer.buyer,
+      outcome,
+      finalPrice: offer.accepted_amount,
+      closingDate: new Date()
+    });
+  }
+
+  async findCartItem(offer) {
+    const cart = await cartService.getCart(offer.buyer);
+    return cartService.findActiveItem(cart, offer.property._id || offer.property);
+  }
+
+  async expire(offer) {
+    const expired = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: { $in: ['open', 'accepted'] } },
+      {
+        $set: { status: 'expired' },
+        $unset: { awaiting: '' },
+        $push: { history: { action: 'expire', by: { role: 'system' } } }
+      },
+      { new: true }
+    ).populate('property', 'title');
+    if (!expired) return false;
+
+    const title = expired.property?.title || 'a property';
+    const message = offer.status === 'accepted' ?
+      `The accepted offer for "${title}" expired because the token was not received in time.` :
+      `The offer for "${title}" expired without a response.`;
+    await Notification.createNotification(expired.buyer, 'offer_expired', 'Offer Expired', message, { property_id: expired.property?._id });
+    await this.notifyOtherSide(expired, 'buyer', 'offer_expired', 'Offer Expired', message);
+    return true;
+  }
+
+  // Expire open offers nobody answered and accepted offers whose token
+  // never arrived. The buyer keeps the cart lock until its own window ends.
+  async expireOffers() {
+    try {
+      const lapsed = await Offer.find({
+        status: { $in: ['open', 'accepted'] },
+        expires_at: { $lte: new Date() }
+      });
+
+      let expiredCount = 0;
+      for (const offer of lapsed) {
+        try {
+          if (await this.expire(offer)) expiredCount++;
+        } catch (error) {
+          console.error(`❌ Failed to expire offer ${offer._id}:`, error.message);
+        }
+      }
+
+      console.log(`✅ Offer expiry completed: ${expiredCount} offers expired`);
+      return expiredCount;
+
+    } catch (error) {
+      console.error('❌ Offer expiry error:', error);
+      return 0;
+    }
+  }
+
+  // Called when a cart item is released; its offers cannot go on without the lock
+  async cancelForItem(propertyId, buyerId, reason) {
+    const result = await Offer.updateMany(
+      { property: propertyId, buyer: buyerId, status: { $in: ACTIVE_STATUSES } },
+      {
+        $set: { status: 'cancelled' },
+        $unset: { awaiting: '' },
+        $push: { history: { action: 'cancel', by: { role: 'system' }, message: reason } }
+      }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new OfferService();
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
@@ -0,0 +1,392 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Commission = require('../models/Commission');
+const PayoutBatch = require('../models/PayoutBatch');
+const Notification = require('../models/Notification');
+const User = require('../models/user');
+const commissionTaxService = require('./commissionTaxService');
+const { errorFactory, formatAmount } = require('../utils/serviceHelpers');
+const ist = require('../utils/ist');
+
+const PAYMENT_METHODS = ['bank_transfer', 'cheque', 'cash', 'online'];
+
+const payoutError = errorFactory('PayoutError');
+
+const monthLabel = (year, month) =>
+  new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// Quote a CSV field when it needs it
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Commission payouts and broker statements. A payout batch marks a set of
+// approved commissions paid in one go, one transfer per broker net of GST
+// and TDS; either all of them are paid or none are. Statements are by
+// calendar month in IST, like the tax periods: the balance owed at the
+// start, commissions earned and paid during the month, and the balance
+// owed at the end.
+class PayoutService {
+  // Group approved commissions by broker with the tax on each broker's
+  // transfer, as it would be paid at paidAt. Reads within the session when
+  // one is given.
+  async preparePayouts(commissionIds, paidAt = new Date(), session = null) {
+    const ids = [...new Set((Array.isArray(commissionIds) ? commissionIds : []).map(String))];
+    if (ids.length === 0) {
+      throw payoutError('Select at least one approved commission to pay');
+    }
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw payoutError('Invalid commission id');
+    }
+
+    const commissions = await Commission.find({ _id: { $in: ids } }).select('broker amount status').session(session);
+    if (commissions.length !== ids.length) {
+      throw payoutError('Some of these commissions no longer exist', 404);
+    }
+    const unapproved = commissions.filter(commission => commission.status !== 'approved').length;
+    if (unapproved > 0) {
+      throw payoutError(`Only approved commissions can be paid; ${unapproved} of the selected are not approved`);
+    }
+
+    const groups = new Map();
+    for (const commission of commissions) {
+      const brokerId = commission.broker.toString();
+      if (!groups.has(brokerId)) groups.set(brokerId, []);
+      groups.get(brokerId).push(commission);
+    }
+
+    const rates = await commissionTaxService.getRates();
+    const payouts = [];
+    for (const [brokerId, items] of groups) {
+      const { taxes, totals, pan, gstin, tds_rate, gst_rate } =
+        await commissionTaxService.computeForPayout(brokerId, items, { rates, paidAt, session });
+      payouts.push({
+        broker: brokerId,
+        commissions: items.map(commission => commission._id),
+        taxes,
+        pan,
+        gstin,
+        tds_rate,
+        gst_rate,
+        gross_amount: totals.gross_amount,
+        gst_amount: totals.gst_amount,
+        tds_amount: totals.tds_amount,
+        tds_catch_up: totals.tds_catch_up,
+        amount: totals.net_amount
+      });
+    }
+    return { ids, payouts };
+  }
+
+  // What each broker would receive, for the admin to check before paying
+  async previewBatch(commissionIds) {
+    const { payouts } = await this.preparePayouts(commissionIds);
+    const brokers = await User.find({ _id: { $in: payouts.map(payout => payout.broker) } }).select('name email').lean();
+
+    return payouts.map(({ taxes, ...payout }) => ({
+      ...payout,
+      broker: brokers.find(broker => broker._id.toString() === payout.broker) || { _id: payout.broker },
+      commission_count: payout.commissions.length
+    }));
+  }
+
+  async createBatch(adminId, { commissionIds, paymentMethod, transactionId, references = {}, notes } = {}) {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      throw payoutError('Choose a payment method');
+    }
+
+    const now = new Date();
+    const { ids, payouts: checked } = await this.preparePayouts(commissionIds, now);
+
+    // One transfer per broker, each with its own reference
+    const transactionIds = new Map(checked.map(payout =>
+      [payout.broker, String(references[payout.broker] || transactionId || '').trim()]));
+    if ([...transactionIds.values()].some(reference => !reference)) {
+      throw payoutError('Enter the transaction reference for each broker');
+    }
+
+    // Claim every commission while it is still approved and record the batch
+    // in one transaction, so if another admin got to any of them first
+    // nothing is paid. TDS depends on what each broker was paid earlier in
+    // the year, so it is worked out inside the transaction after marking the
+    // brokers; a batch for the same broker running alongside then conflicts
+    // and is retried once this one is paid. The callback may be retried, so
+    // it works everything out afresh each time.
+    const batchId = new mongoose.Types.ObjectId();
+    let batch;
+    let payouts;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await User.updateMany(
+          { _id: { $in: [...transactionIds.keys()] } },
+          { $set: { 'broker.last_payout_at': now } },
+          { session }
+        );
+        ({ payouts } = await this.preparePayouts(ids, now, session));
+        for (const payout of payouts) {
+          payout.transaction_id = transactionIds.get(payout.broker);
+        }
+
+        let paid = 0;
+        for (const payout of payouts) {
+          const result = await Commission.bulkWrite(payout.commissions.map(commissionId => ({
+            updateOne: {
+              filter: { _id: commissionId, status: 'approved' },
+              update: {
+                $set: {
+                  status: 'paid',
+                  paid_by: adminId,
+                  paid_at: now,
+                  payment_date: now,
+                  payment_method: paymentMethod,
+                  transaction_id: payout.transaction_id,
+                  payout_batch: batchId,
+                  tax: payout.taxes.get(commissionId.toString())
+                }
+              }
+            }
+          })), { session });
+          paid += result.modifiedCount;
+        }
+        if (paid !== ids.length) {
+          throw payoutError('Some of these commissions changed while paying; nothing was paid', 409);
+        }
+        [batch] = await PayoutBatch.create([{
+          _id: batchId,
+          payment_method: paymentMethod,
+          payouts: payouts.map(({ taxes, pan, gstin, tds_rate, gst_rate, ...payout }) => payout),
+          total_amount: payouts.reduce((sum, payout) => sum + payout.amount, 0),
+          total_tds: payouts.reduce((sum, payout) => sum + payout.tds_amount, 0),
+          commission_count: ids.length,
+          notes: notes?.trim(),
+          paid_by: adminId,
+          paid_at: now
+        }], { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    for (const payout of payouts) {
+      await Notification.createNotification(
+        payout.broker,
+        'payment_received',
+        'Commission Paid',
+        `${formatAmount(payout.amount)} for ${payout.commissions.length} commission(s) was paid by ${paymentMethod.replace('_', ' ')} (ref. ${payout.transaction_id})` +
+          (payout.tds_amount ? `, after TDS of ${formatAmount(payout.tds_amount)} under section 194H.` : '.'),
+        { commission_amount: payout.amount, action_url: '/broker/commissions' }
+      );
+    }
+
+    return batch;
+  }
+
+  getRecentBatches(limit = 20) {
+    return PayoutBatch.find()
+      .populate('payouts.broker', 'name email')
+      .populate('paid_by', 'name')
+      .sort({ paid_at: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  // Opening, earned, paid and closing for each month of the year up to now
+  async getMonthlyStatements(brokerId, year = ist.monthOf().year) {
+    year = Number(year);
+    const [paid, earned, opening] = await Promise.all([
+      Commission.getMonthlySummary(brokerId, year),
+      Commission.getMonthlyEarnings(brokerId, year),
+      Commission.getBalanceAt(brokerId, ist.startOfMonth(year, 1))
+    ]);
+
+    const now = ist.monthOf();
+    const lastMonth = year === now.year ? now.month : 12;
+    const statements = [];
+    let balance = opening;
+    for (let month = 1; month <= lastMonth; month++) {
+      const earnedRow = earned.find(row => row._id === month);
+      const paidRow = paid.find(row => row._id === month);
+      const statement = {
+        year,
+        month,
+        label: monthLabel(year, month),
+        opening: balance,
+        earned: earnedRow?.totalAmount || 0,
+        earned_count: earnedRow?.count || 0,
+        paid: paidRow?.totalAmount || 0,
+        paid_count: paidRow?.count || 0
+      };
+      statement.closing = statement.opening + statement.earned - statement.paid;
+      balance = statement.closing;
+      statements.push(statement);
+    }
+    return statements;
+  }
+
+  // One month's statement with the commissions behind it
+  async getStatement(brokerId, year, month) {
+    year = Number(year);
+    month = Number(month);
+    const now = new Date();
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12 ||
+        ist.startOfMonth(year, month) > now) {
+      throw payoutError('Choose a month that has started');
+    }
+
+    const statements = await this.getMonthlyStatements(brokerId, year);
+    const start = ist.startOfMonth(year, month);
+    const end = ist.startOfMonth(year, month + 1);
+    const [broker, earned, paid] = await Promise.all([
+      User.findById(brokerId).select('name email phone').lean(),
+      Commission.find({ broker: brokerId, status: { $ne: 'cancelled' }, createdAt: { $gte: start, $lt: end } })
+        .populate('property', 'title')
+        .sort({ createdAt: 1 })
+        .lean(),
+      Commission.find({ broker: brokerId, status: 'paid', paid_at: { $gte: start, $lt: end } })
+        .populate('property', 'title')
+        .sort({ paid_at: 1 })
+        .lean()
+    ]);
+
+    return {
+      ...statements[month - 1],
+      broker,
+      generated_at: now,
+      gst_received: paid.reduce((sum, commission) => sum + (commission.tax?.gst_amount || 0), 0),
+      tds_withheld: paid.reduce((sum, commission) => sum + (commission.tax?.tds_amount || 0), 0),
+      entries: [
+        ...earned.map(commission => ({
+          date: commission.createdAt,
+          kind: 'Earned',
+          property: commission.property?.title || 'Property removed',
+          commission_type: commission.commission_type,
+          status: commission.status,
+          reference: '',
+          amount: commission.amount,
+          gst: null,
+          tds: null,
+          net: null
+        })),
+        ...paid.map(commission => ({
+          date: commission.paid_at,
+          kind: 'Paid',
+          property: commission.property?.title || 'Property removed',
+          commission_type: commission.commission_type,
+          status: commission.status,
+          reference: [commission.payment_method?.replace('_', ' '), commission.transaction_id].filter(Boolean).join(' '),
+          amount: -commission.amount,
+          gst: commission.tax?.gst_amount || 0,
+          tds: commission.tax?.tds_amount || 0,
+          net: commission.tax?.net_payable ?? commission.amount
+        }))
+      ].sort((a, b) => new Date(a.date) - new Date(b.date))
+    };
+  }
+
+  statementFilename(statement, extension) {
+    return `commission-statement-${statement.year}-${String(statement.month).padStart(2, '0')}.${extension}`;
+  }
+
+  renderStatementCsv(statement) {
+    const day = (date) => ist.dateKey(date);
+    const lines = [
+      ['Commission statement', statement.label],
+      ['Broker', statement.broker?.name || ''],
+      ['Opening balance', statement.opening],
+      ['Earned', statement.earned],
+      ['Paid', statement.paid],
+      ['Closing balance', statement.closing],
+      ['GST received', statement.gst_received],
+      ['TDS withheld (194H)', statement.tds_withheld],
+      [],
+      ['Date', 'Entry', 'Property', 'Type', 'Status', 'Reference', 'Amount', 'GST', 'TDS', 'Net received'],
+      ...statement.entries.map(entry => [
+        day(entry.date), entry.kind, entry.property, entry.commission_type, entry.status, entry.reference, entry.amount,
+        entry.gst, entry.tds, entry.net
+      ])
+    ];
+    return lines.map(line => line.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  // Write the statement as a portrait A4 PDF to the given stream
+  renderStatementPdf(statement, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 36 });
+    doc.pipe(stream);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    // The standard PDF fonts have no rupee sign
+    const money = (amount) => formatAmount(amount, 'Rs. ');
+
+    doc.font('Helvetica-Bold').fontSize(16).text(`Commission Statement - ${statement.label}`, left, doc.y);
+    doc.font('Helvetica').fontSize(9).fillColor('#666666')
+      .text(`Propbandhu - ${statement.broker?.name || 'Broker'}${statement.broker?.email ? ` (${statement.broker.email})` : ''}. Generated ${statement.generated_at.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: ist.IST_TIMEZONE })}.`);
+    doc.moveDown();
+
+    [
+      ['Opening balance', statement.opening],
+      [`Earned (${statement.earned_count})`, statement.earned],
+      [`Paid (${statement.paid_count})`, statement.paid],
+      ['Closing balance', statement.closing],
+      ['GST received', statement.gst_received],
+      ['TDS withheld (194H)', statement.tds_withheld]
+    ].forEach(([label, amount], index) => {
+      const y = doc.y;
+      doc.fillColor('#333333').font(index === 3 ? 'Helvetica-Bold' : 'Helvetica').fontSize(11)
+        .text(label, left, y, { width: width / 2 })
+        .text(money(amount), left + width / 2, y, { width: width / 2, align: 'right' });
+      doc.y = y + 18;
+    });
+    doc.moveDown();
+
+    const columns = [
+      { label: 'Date', width: 70 },
+      { label: 'Entry', width: 50 },
+      { label: 'Property', width: width - 340 },
+      { label: 'Reference', width: 130 },
+      { label: 'Amount', width: 90, align: 'right' }
+    ];
+    const drawRow = (cells, options = {}) => {
+      doc.font(options.header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      const height = Math.max(...cells.map((text, index) =>
+        doc.heightOfString(text, { width: columns[index].width - 8 }))) + 8;
+
+      if (doc.y + height > bottom) doc.addPage();
+      const y = doc.y;
+
+      if (options.header) {
+        doc.rect(left, y, width, height).fill('#eef2ff');
+      }
+      let x = left;
+      cells.forEach((text, index) => {
+        doc.fillColor('#333333').text(text, x + 4, y + 4, { width: columns[index].width - 8, align: columns[index].align });
+        x += columns[index].width;
+      });
+
+      doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#dddddd').stroke();
+      doc.y = y + height;
+    };
+
+    drawRow(columns.map(column => column.label), { header: true });
+    if (statement.entries.length === 0) {
+      drawRow(['', '', 'No commissions earned or paid this month', '', '']);
+    }
+    statement.entries.forEach(entry => {
+      drawRow([
+        new Date(entry.date).toLocaleDateString('en-IN', { timeZone: ist.IST_TIMEZONE }),
+        entry.kind,
+        `${entry.property} (${entry.commission_type})`,
+        entry.tds ? `${entry.reference} (TDS ${money(entry.tds)})` : entry.reference || '-',
+        money(entry.amount)
+      ]);
+    });
+
+    doc.end();
+    return doc;
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Property = require('../models/Property');
+const propertySearchService = require('./propertySearchService');
+
+const MIN_PROPERTIES = 2;
+const MAX_PROPERTIES = 4;
+
+const FURNISHING_LABELS = {
+  unfurnished: 'Unfurnished',
+  semi_furnished: 'Semi-furnished',
+  fully_furnished: 'Fully furnished'
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const comparisonError = (message) => {
+  const error = new Error(message);
+  error.name = 'ComparisonError';
+  return error;
+};
+
+// Rows of the comparison table. value() reads a property (areas already
+// converted to the display unit); best says which end of a numeric row is
+// the better deal, or is omitted when no value is better than another.
+const getRows = (unit) => [
+  { key: 'price', label: 'Price', format: 'price', best: 'min', value: p => p.price },
+  { key: 'price_per_area', label: `Price per ${unit}`, format: 'price', best: 'min', value: p => p.price_per_area },
+  { key: 'built_up_area', label: `Built-up area (${unit})`, format: 'area', best: 'max', value: p => p.built_up_area },
+  { key: 'carpet_area', label: `Carpet area (${unit})`, format: 'area', best: 'max', value: p => p.carpet_area },
+  { key: 'carpet_ratio', label: 'Carpet / built-up', format: 'percent', best: 'max', value: p => p.carpet_ratio },
+  { key: 'bedrooms', label: 'Bedrooms', format: 'number', best: 'max', value: p => p.bedrooms },
+  { key: 'bathrooms', label: 'Bathrooms', format: 'number', best: 'max', value: p => p.bathrooms },
+  { key: 'balconies', label: 'Balconies', format: 'number', best: 'max', value: p => p.balconies },
+  { key: 'floor', label: 'Floor', format: 'text', value: p => p.floor },
+  { key: 'age_of_property', label: 'Age', format: 'years', best: 'min', value: p => p.age_of_property },
+  { key: 'furnishing', label: 'Furnishing', format: 'text', value: p => FURNISHING_LABELS[p.furnishing] || p.furnishing },
+  { key: 'facing', label: 'Facing', format: 'text', value: p => p.facing },
+  { key: 'maintenance_charges', label: 'Maintenance charges', format: 'price', best: 'min', value: p => p.maintenance_charges },
+  { key: 'maintenance_per_area', label: `Maintenance per ${unit}`, format: 'price', best: 'min', value: p => p.maintenance_per_area },
+  { key: 'amenities_count', label: 'Amenities', format: 'number', best: 'max', value: p => p.amenities.length }
+];
+
+class PropertyComparisonService {
+  constructor() {
+    this.MIN_PROPERTIES = MIN_PROPERTIES;
+    this.MAX_PROPERTIES = MAX_PROPERTIES;
+  }
+
+  // Accepts an array or a comma-separated string; keeps order, drops repeats
+  parseIds(ids) {
+    const list = (Array.isArray(ids) ? ids : String(ids || '').split(','))
+      .map(id => String(id).trim())
+      .filter(Boolean);
+    const unique = [...new Set(list)];
+
+    if (unique.length < MIN_PROPERTIES || unique.length > MAX_PROPERTIES) {
+      throw comparisonError(`Choose between ${MIN_PROPERTIES} and ${MAX_PROPERTIES} properties to compare`);
+    }
+    if (!unique.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw comparisonError('Invalid property id');
+    }
+    return unique;
+  }
+
+  formatCell(format, value, currency = '₹') {
+    if (value === null || value === undefined || value === '') return '—';
+
+    switch (format) {
+      case 'price':
+        if (value >= 10000000) return `${currency}${(value / 10000000).toFixed(2)} Cr`;
+        if (value >= 100000) return `${currency}${(value / 100000).toFixed(2)} L`;
+        return `${currency}${Math.round(value).toLocaleString('en-IN')}`;
+      case 'area':
+        return value.toLocaleString('en-IN', { maximumFractionDigits: value < 10 ? 2 : 0 });
+      case 'percent':
+        return `${Math.round(value * 100)}%`;
+      case 'years':
+        return value === 0 ? 'New' : `${value} ${value === 1 ? 'year' : 'years'}`;
+      default:
+        return String(value);
+    }
+  }
+
+  // Indexes of the cells holding the best value; none when the values are
+  // all equal or fewer than two properties have one
+  getBestIndexes(values, best) {
+    if (!best) return [];
+    const numbers = values.filter(isNumber);
+    if (numbers.length < 2) return [];
+
+    const target = best === 'min' ? Math.min(...numbers) : Math.max(...numbers);
+    if (numbers.every(value => value === target)) return [];
+    return values.reduce((indexes, value, index) => (value === target ? [...indexes, index] : indexes), []);
+  }
+
+  // Normalize one listing's measurements to the display unit
+  getMetrics(property, unit) {
+    const areaUnit = property.area_unit || 'sqft';
+    const builtUpArea = Property.convertArea(property.built_up_area, areaUnit, unit);
+    const carpetArea = property.carpet_area ? Property.convertArea(property.carpet_area, areaUnit, unit) : null;
+
+    let floor = null;
+    if (isNumber(property.floor_number)) {
+      const level = property.floor_number === 0 ? 'Ground' : String(property.floor_number);
+      floor = property.total_floors ? `${level} of ${property.total_floors}` : level;
+    }
+
+    return {
+      price: property.price,
+      // Per unit of built-up area, the figure listings are usually quoted by
+      price_per_area: isNumber(property.price) && builtUpArea ? property.price / builtUpArea : null,
+      built_up_area: builtUpArea,
+      carpet_area: carpetArea,
+      carpet_ratio: carpetArea && builtUpArea ? carpetArea / builtUpArea : null,
+      bedrooms: property.bedrooms,
+      bathrooms: property.bathrooms,
+      balconies: property.balconies,
+      floor,
+      age_of_property: property.age_of_property,
+      furnishing: property.furnishing,
+      facing: property.facing,
+      maintenance_charges: property.maintenance_charges,
+      maintenance_per_area: isNumber(property.maintenance_charges) && builtUpArea ?
+        property.maintenance_charges / builtUpArea : null,
+      amenities: property.amenities || []
+    };
+  }
+
+  // Build the comparison table for 2-4 listings buyers can see, in the
+  // order the ids were given. unit is the area unit to show (default sqft).
+  async compare(ids, options = {}) {
+    const unit = Property.SQFT_PER_UNIT[options.unit] ? options.unit : 'sqft';
+    const propertyIds = this.parseIds(ids);
+
+    const properties = await Property.find({
+      ...propertySearchService.getVisibilityMatch(),
+      _id: { $in: propertyIds }
+    }).lean();
+
+    if (properties.length !== propertyIds.length) {
+      throw comparisonError('Some of these properties are no longer available');
+    }
+
+    const ordered = propertyIds.map(id => properties.find(property => property._id.toString() === id));
+    const metrics = ordered.map(property => this.getMetrics(property, unit));
+
+    const rows = getRows(unit).map(row => {
+      const values = metrics.map(row.value).map(value => (value === undefined ? null : value));
+      const bestIndexes = this.getBestIndexes(values, row.best);
+      return {
+        key: row.key,
+        label: row.label,
+        format: row.format,
+        cells: values.map((value, index) => ({
+          value,
+          display: this.formatCell(row.format, value),
+          is_best: bestIndexes.includes(index)
+        }))
+      };
+    });
+
+    // Which listing has which amenity, most common first
+    const amenityNames = [...new Set(metrics.flatMap(metric => metric.amenities))];
+    const amenities = amenityNames
+      .map(name => ({ name, has: metrics.map(metric => metric.amenities.includes(name)) }))
+      .sort((a, b) => b.has.filter(Boolean).length - a.has.filter(Boolean).length || a.name.localeCompare(b.name));
+
+    return {
+      unit,
+      properties: ordered.map(property => ({
+        _id: property._id.toString(),
+        title: property.title,
+        location: property.address ?
+          `${property.address.area || ''}, ${property.address.city || ''}`.trim() :
+          'Location not specified',
+        primary_image: Property.getImageUrl(Property.getPublicImages(property.images)[0], 'card'),
+        property_type: property.property_type,
+        sub_type: property.sub_type
+      })),
+      rows,
+      amenities
+    };
+  }
+
+  // Write the comparison as a landscape A4 PDF to the given stream
+  renderPdf(comparison, stream) {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+    doc.pipe(stream);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const labelWidth = 150;
+    const columnWidth = (width - labelWidth) / comparison.properties.length;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    // The standard PDF fonts have no rupee sign
+    const currency = 'Rs. ';
+
+    doc.font('Helvetica-Bold').fontSize(16).text('Property Comparison', left, doc.y);
+    doc.font('Helvetica').fontSize(9).fillColor('#666666')
+      .text(`Propbandhu - ${new Date().toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}. Areas in ${comparison.unit}; best value in each row in green.`);
+    doc.moveDown();
+
+    const drawRow = (label, cells, options = {}) => {
+      doc.font('Helvetica-Bold').fontSize(9);
+      const texts = [label, ...cells.map(cell => cell.text)];
+      const height = Math.max(...texts.map((text, index) =>
+        doc.heightOfString(text, { width: (index === 0 ? labelWidth : columnWidth) - 8 }))) + 8;
+
+      if (doc.y + height > bottom) doc.addPage();
+      const y = doc.y;
+
+      if (options.header) {
+        doc.rect(left, y, width, height).fill('#eef2ff');
+      }
+      doc.fillColor('#333333').font('Helvetica-Bold').fontSize(9)
+        .text(label, left + 4, y + 4, { width: labelWidth - 8 });
+
+      cells.forEach((cell, index) => {
+        doc.fillColor(cell.is_best ? '#15803d' : '#333333')
+          .font(cell.is_best || options.header ? 'Helvetica-Bold' : 'Helvetica')
+          .text(cell.text, left + labelWidth + index * columnWidth + 4, y + 4, { width: columnWidth - 8 });
+      });
+
+      doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#dddddd').stroke();
+      doc.y = y + height;
+    };
+
+    drawRow('', comparison.properties.map(property => ({ text: `${property.title}\n${property.location}` })), { header: true });
+    comparison.rows.forEach(row => {
+      drawRow(row.label, row.cells.map(cell => ({
+        text: this.formatCell(row.format, cell.value, currency),
+        is_best: cell.is_best
+      })));
+    });
+
+    if (comparison.amenities.length > 0) {
+      doc.moveDown();
+      drawRow('Amenities', comparison.properties.map(() => ({ text: '' })), { header: true });
+      comparison.amenities.forEach(amenity => {
+        drawRow(amenity.name, amenity.has.map(has => ({ text: has ? 'Yes' : 'No' })));
+      });
+    }
+
+    doc.end();
+    return doc;
+  }
+}
+
+module.exports = new PropertyComparisonService();
@@ -0,0 +1,527 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const Locality = require('../models/Locality');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Area and price-per-sqft sorts convert every listing to square feet
+const { SQFT_PER_UNIT } = Property;
+
+// Upper bounds (INR) of the price facet buckets; anything above the last
+// boundary is counted in an open-ended bucket
+const PRICE_BUCKETS = [0, 2500000, 5000000, 10000000, 20000000, 50000000];
+
+// sort option -> expression used as sort_value, and sort direction
+const SORTS = {
+  relevance: { field: { $meta: 'textScore' }, direction: -1, requiresText: true },
+  date_desc: { field: '$createdAt', direction: -1 },
+  date_asc: { field: '$createdAt', direction: 1 },
+  price_asc: { field: '$price', direction: 1 },
+  price_desc: { field: '$price', direction: -1 },
+  area_asc: { field: '$area_sqft', direction: 1 },
+  area_desc: { field: '$area_sqft', direction: -1 },
+  price_per_sqft_asc: { field: '$price_per_sqft', direction: 1 },
+  price_per_sqft_desc: { field: '$price_per_sqft', direction: -1 },
+  distance: { field: '$distance_km', direction: 1, requiresPoint: true }
+};
+
+// Filters that accept one value or a comma-separated list
+const LIST_FILTERS = ['property_type', 'sub_type', 'furnishing', 'facing'];
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'all') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : undefined;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const queryError = (message) => {
+  const error = new Error(message);
+  error.name = 'SearchQueryError';
+  return error;
+};
+
+class PropertySearchService {
+  constructor() {
+    this.SORTS = SORTS;
+    this.PRICE_BUCKETS = PRICE_BUCKETS;
+  }
+
+  // Listings buyers may see, same as Property.findPublic
+  getVisibilityMatch() {
+    return {
+      status: 'live',
+      is_visible: true,
+      is_active: true,
+      expires_at: { $gt: new Date() }
+    };
+  }
+
+  // Translate request parameters into a $match stage. Also used by callers
+  // that need the same filters outside the search endpoint.
+  buildMatch(params = {}) {
+    const match = this.getVisibilityMatch();
+
+    if (params.q && String(params.q).trim()) {
+      match.$text = { $search: String(params.q).trim() };
+    }
+
+    LIST_FILTERS.forEach(field => {
+      const values = toList(params[field]);
+      if (values.length > 0) {
+        match[field] = { $in: values };
+      }
+    });
+
+    // Free-text location box of the /buyer/properties page
+    const location = String(params.location || '').trim();
+    if (location) {
+      const pattern = new RegExp(escapeRegex(location), 'i');
+      match.$or = [
+        { 'address.city': pattern },
+        { 'address.area': pattern },
+        { title: pattern }
+      ];
+    }
+
+    const cities = toList(params.city);
+    if (cities.length > 0) {
+      match['address.city'] = { $in: cities.map(city => new RegExp(`^${escapeRegex(city)}$`, 'i')) };
+    }
+
+    const localities = toList(params.locality);
+    if (localities.length > 0) {
+      match['address.area'] = { $in: localities.map(area => new RegExp(`^${escapeRegex(area)}$`, 'i')) };
+    }
+
+    // Canonical gazetteer localities, as returned in the locality facet
+    const localityIds = toList(params.locality_id);
+    if (localityIds.length > 0) {
+      if (!localityIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw queryError('locality_id must be locality ids');
+      }
+      match['address.locality'] = { $in: localityIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    // bedrooms=2,3 matches exactly; min_bedrooms=3 matches 3 and above
+    const bedrooms = toList(params.bedrooms).map(Number).filter(Number.isFinite);
+    if (bedrooms.length > 0) {
+      match.bedrooms = { $in: bedrooms };
+    } else if (toNumber(params.min_bedrooms) !== undefined) {
+      match.bedrooms = { $gte: toNumber(params.min_bedrooms) };
+    }
+
+    const minPrice = toNumber(params.min_price);
+    const maxPrice = toNumber(params.max_price);
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      match.price = {};
+      if (minPrice !== undefined) match.price.$gte = minPrice;
+      if (maxPrice !== undefined) match.price.$lte = maxPrice;
+    }
+
+    const amenities = toList(params.amenities);
+    if (amenities.length > 0) {
+      match.amenities = { $all: amenities };
+    }
+
+    const geo = this.getGeoConditions(params);
+    if (geo.length === 1) {
+      match['address.coordinates'] = geo[0];
+    } else if (geo.length > 1) {
+      match.$and = geo.map(condition => ({ 'address.coordinates': condition }));
+    }
+
+    return match;
+  }
+
+  // Reference point from lat/lng parameters, or null when none was given
+  getPoint(params = {}) {
+    const lat = toNumber(params.lat);
+    const lng = toNumber(params.lng);
+    if (lat === undefined && lng === undefined) return null;
+    if (lat === undefined || lng === undefined || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw queryError('lat and lng must both be valid coordinates');
+    }
+    return { lat, lng };
+  }
+
+  // polygon is a JSON array of [lng, lat] pairs (GeoJSON order); the ring
+  // is closed automatically
+  parsePolygon(value) {
+    let points;
+    try {
+      points = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      throw queryError('polygon must be a JSON array of [lng, lat] pairs');
+    }
+
+    const valid = Array.isArray(points) && points.every(point =>
+      Array.isArray(point) && point.length === 2 &&
+      point.every(n => typeof n === 'number' && Number.isFinite(n)) &&
+      Math.abs(point[0]) <= 180 && Math.abs(point[1]) <= 90
+    );
+    if (!valid) {
+      throw queryError('polygon must be a JSON array of [lng, lat] pairs');
+    }
+
+    const ring = [...points];
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (ring.length > 0 && (first[0] !== last[0] || first[1] !== last[1])) {
+      ring.push(first);
+    }
+    if (ring.length < 4) {
+      throw queryError('polygon needs at least three points');
+    }
+    return ring;
+  }
+
+  // Radius (lat, lng, radius_km) and drawn-area (polygon) conditions on address.coordinates
+  getGeoConditions(params = {}) {
+    const conditions = [];
+    const point = this.getPoint(params);
+
+    const radiusKm = toNumber(params.radius_km);
+    if (radiusKm !== undefined) {
+      if (!point) throw queryError('radius_km needs lat and lng');
+      if (radiusKm <= 0) throw queryError('radius_km must be positive');
+      conditions.push({
+        $geoWithin: { $centerSphere: [[point.lng, point.lat], radiusKm / Property.EARTH_RADIUS_KM] }
+      });
+    }
+
+    if (params.polygon) {
+      conditions.push({
+        $geoWithin: { $geometry: { type: 'Polygon', coordinates: [this.parsePolygon(params.polygon)] } }
+      });
+    }
+
+    return conditions;
+  }
+
+  // Haversine distance in km from the point to each listing, null when the
+  // listing has no location
+  getDistanceField(point) {
+    const lng = { $arrayElemAt: ['$address.coordinates.coordinates', 0] };
+    const lat = { $arrayElemAt: ['$address.coordinates.coordinates', 1] };
+    const toRadians = (value) => ({ $degreesToRadians: value });
+    const halfSinSquared = (a, b) => ({
+      $pow: [{ $sin: { $divide: [{ $subtract: [toRadians(a), toRadians(b)] }, 2] } }, 2]
+    });
+
+    return {
+      $cond: [
+        { $isArray: '$address.coordinates.coordinates' },
+        {
+          $round: [{
+            $multiply: [2 * Property.EARTH_RADIUS_KM, {
+              $asin: {
+                $sqrt: {
+                  $add: [
+                    halfSinSquared(lat, point.lat),
+                    {
+                      $multiply: [
+                        { $cos: toRadians(point.lat) },
+                        { $cos: toRadians(lat) },
+                        halfSinSquared(lng, point.lng)
+                      ]
+                    }
+                  ]
+                }
+              }
+            }]
+          }, 3]
+        },
+        null
+      ]
+    };
+  }
+
+  // Derived fields shared by sorting, area filters and the response
+  getDerivedFields() {
+    const areaSqft = {
+      $multiply: [
+        { $ifNull: ['$built_up_area', 0] },
+        {
+          $switch: {
+            branches: Object.entries(SQFT_PER_UNIT).map(([unit, factor]) => ({
+              case: { $eq: [{ $ifNull: ['$area_unit', 'sqft'] }, unit] },
+              then: factor
+            })),
+            default: 1
+          }
+        }
+      ]
+    };
+
+    return {
+      area_sqft: areaSqft,
+      price_per_sqft: {
+        $cond: [
+          { $gt: [areaSqft, 0] },
+          { $round: [{ $divide: [{ $ifNull: ['$price', 0] }, areaSqft] }, 2] },
+          0
+        ]
+      }
+    };
+  }
+
+  getAreaMatch(params = {}) {
+    const minArea = toNumber(params.min_area);
+    const maxArea = toNumber(params.max_area);
+    if (minArea === undefined && maxArea === undefined) return null;
+
+    const range = {};
+    if (minArea !== undefined) range.$gte = minArea;
+    if (maxArea !== undefined) range.$lte = maxArea;
+    return { area_sqft: range };
+  }
+
+  // Cursors are opaque to clients: base64url JSON of the last row's sort value and id
+  encodeCursor(row) {
+    const value = row.sort_value instanceof Date ?
+      { d: row.sort_value.toISOString() } :
+      { n: row.sort_value };
+    return Buffer.from(JSON.stringify({ ...value, id: row._id.toString() })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!mongoose.Types.ObjectId.isValid(parsed.id)) return null;
+      return {
+        value: parsed.d !== undefined ? new Date(parsed.d) : parsed.n,
+        id: new mongoose.Types.ObjectId(parsed.id)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Rows after the cursor in sort order; _id breaks ties in the same direction
+  getCursorMatch(cursor, direction) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    return {
+      $or: [
+        { sort_value: { [op]: cursor.value } },
+        { sort_value: cursor.value, _id: { [op]: cursor.id } }
+      ]
+    };
+  }
+
+  getFacetStages() {
+    const countBy = (field) => [
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+
+    return {
+      property_type: countBy('property_type'),
+      sub_type: countBy('sub_type'),
+      bedrooms: [
+        { $match: { bedrooms: { $ne: null } } },
+        { $group: { _id: '$bedrooms', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ],
+      furnishing: countBy('furnishing'),
+      facing: countBy('facing'),
+      city: countBy('address.city'),
+      // Listings grouped by canonical locality, however the area was typed
+      locality: [
+        { $match: { 'address.locality': { $ne: null } } },
+        { $group: { _id: '$address.locality', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 50 },
+        {
+          $lookup: {
+            from: Locality.collection.name,
+            localField: '_id',
+            foreignField: '_id',
+            as: 'locality'
+          }
+        },
+        { $unwind: '$locality' }
+      ],
+      price: [
+        {
+          $bucket: {
+            groupBy: '$price',
+            boundaries: PRICE_BUCKETS,
+            default: 'above',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ],
+      total: [{ $count: 'count' }]
+    };
+  }
+
+  formatFacets(raw) {
+    const asList = (rows = []) => rows.map(row => ({ value: row._id, count: row.count }));
+    const lastBoundary = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+    return {
+      property_type: asList(raw.property_type),
+      sub_type: asList(raw.sub_type),
+      bedrooms: asList(raw.bedrooms),
+      furnishing: asList(raw.furnishing),
+      facing: asList(raw.facing),
+      city: asList(raw.city),
+      locality: (raw.locality || []).map(row => ({
+        value: row._id,
+        name: row.locality.name,
+        pincode: row.locality.pincode,
+        district: row.locality.district,
+        count: row.count
+      })),
+      price: (raw.price || []).map(row => {
+        if (row._id === 'above') {
+          return { min: lastBoundary, max: null, count: row.count };
+        }
+        const index = PRICE_BUCKETS.indexOf(row._id);
+        return { min: row._id, max: PRICE_BUCKETS[index + 1], count: row.count };
+      })
+    };
+  }
+
+  // Whether one listing satisfies the given search parameters, evaluated by
+  // the same pipeline as search() so saved searches and results agree
+  async matchesProperty(params, propertyId) {
+    const pipeline = [
+      { $match: { ...this.buildMatch(params), _id: new mongoose.Types.ObjectId(String(propertyId)) } },
+      { $addFields: this.getDerivedFields() }
+    ];
+
+    const areaMatch = this.getAreaMatch(params);
+    if (areaMatch) pipeline.push({ $match: areaMatch });
+    pipeline.push({ $limit: 1 }, { $project: { _id: 1 } });
+
+    const rows = await Property.aggregate(pipeline);
+    return rows.length > 0;
+  }
+
+  // Run one aggregation returning a page of results plus facet counts for
+  // every listing matching the filters (the cursor only affects results).
+  async search(params = {}) {
+    const match = this.buildMatch(params);
+    const hasText = Boolean(match.$text);
+
+    let sortKey = params.sort || (hasText ? 'relevance' : 'date_desc');
+    if (!SORTS[sortKey]) {
+      throw queryError(`Unknown sort: ${sortKey}. Use one of ${Object.keys(SORTS).join(', ')}`);
+    }
+    if (SORTS[sortKey].requiresText && !hasText) {
+      sortKey = 'date_desc';
+    }
+    const sort = SORTS[sortKey];
+
+    const point = this.getPoint(params);
+    if (sort.requiresPoint && !point) {
+      throw queryError('Sorting by distance needs lat and lng');
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    let cursor = null;
+    if (params.cursor) {
+      cursor = this.decodeCursor(params.cursor);
+      if (!cursor) {
+        throw queryError('Invalid cursor');
+      }
+    }
+
+    // Distance sorting only makes sense for listings that have a location
+    if (sort.requiresPoint && !match['address.coordinates'] && !match.$and) {
+      match['address.coordinates'] = { $exists: true };
+    }
+
+    const derivedFields = this.getDerivedFields();
+    if (point) derivedFields.distance_km = this.getDistanceField(point);
+
+    const pipeline = [
+      { $match: match },
+      { $addFields: derivedFields }
+    ];
+
+    const areaMatch = this.getAreaMatch(params);
+    if (areaMatch) pipeline.push({ $match: areaMatch });
+
+    pipeline.push({ $addFields: { sort_value: sort.field } });
+    if (hasText) {
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+
+    const resultStages = [];
+    if (cursor) resultStages.push({ $match: this.getCursorMatch(cursor, sort.direction) });
+    resultStages.push(
+      { $sort: { sort_value: sort.direction, _id: sort.direction } },
+      { $limit: limit + 1 },
+      {
+        $project: {
+          title: 1,
+          short_description: 1,
+          property_type: 1,
+          sub_type: 1,
+          price: 1,
+          price_type: 1,
+          bedrooms: 1,
+          bathrooms: 1,
+          built_up_area: 1,
+          area_unit: 1,
+          area_sqft: 1,
+          price_per_sqft: 1,
+          distance_km: 1,
+          furnishing: 1,
+          facing: 1,
+          amenities: 1,
+          address: 1,
+          images: 1,
+          is_verified: 1,
+          createdAt: 1,
+          score: 1,
+          sort_value: 1
+        }
+      }
+    );
+
+    pipeline.push({
+      $facet: {
+        results: resultStages,
+        ...this.getFacetStages()
+      }
+    });
+
+    const [raw] = await Property.aggregate(pipeline);
+
+    const rows = raw.results.slice(0, limit);
+    const hasMore = raw.results.length > limit;
+
+    const results = rows.map(({ sort_value, images, ...row }) => {
+      const publicImages = Property.getPublicImages(images);
+      return {
+        ...row,
+        primary_image: Property.getImageUrl(publicImages[0], 'card'),
+        image_count: publicImages.length
+      };
+    });
+
+    return {
+      results,
+      total: raw.total[0]?.count || 0,
+      sort: sortKey,
+      next_cursor: hasMore ? this.encodeCursor(rows[rows.length - 1]) : null,
+      facets: this.formatFacets(raw)
+    };
+  }
+}
+
+module.exports = new PropertySearchService();
@@ -0,0 +1,184 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const SavedSearchMatch = require('../models/SavedSearchMatch');
+const Notification = require('../models/Notification');
+const propertySearchService = require('./propertySearchService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SavedSearchService {
+  constructor() {
+    this.task = null;
+  }
+
+  start() {
+    // Digests go out every morning; weekly ones on Mondays
+    this.task = cron.schedule('0 8 * * *', async () => {
+      console.log('🔄 Running saved search digest job...');
+      await this.sendDigests('daily');
+      if (new Date().getDay() === 1) {
+        await this.sendDigests('weekly');
+      }
+    });
+
+    console.log('✅ Saved search service started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Saved search service stopped');
+    }
+  }
+
+  // Validate and store a search. Filters that the search API rejects
+  // (bad coordinates, malformed polygon) fail here rather than at match time.
+  async createSearch(buyerId, { name, filters, frequency }) {
+    const cleanFilters = SavedSearch.sanitizeFilters(filters);
+    propertySearchService.buildMatch(cleanFilters);
+
+    return SavedSearch.create({
+      buyer: buyerId,
+      name,
+      filters: cleanFilters,
+      frequency
+    });
+  }
+
+  // Record the listing against every active saved search it matches and
+  // alert instant subscribers. Called when a listing goes live.
+  async matchProperty(property) {
+    const searches = await SavedSearch.find({
+      is_active: true,
+      buyer: { $ne: property.seller }
+    });
+
+    let matchedCount = 0;
+    for (const search of searches) {
+      try {
+        const matches = await propertySearchService.matchesProperty(search.filters, property._id);
+        if (!matches) continue;
+
+        // Relisted properties keep their earlier match, so buyers are alerted once
+        const result = await SavedSearchMatch.updateOne(
+          { saved_search: search._id, property: property._id },
+          { $setOnInsert: { buyer: search.buyer, matched_at: new Date() } },
+          { upsert: true }
+        );
+        if (!result.upsertedCount) continue;
+        matchedCount++;
+
+        if (search.frequency === 'instant') {
+          await Notification.createNotification(
+            search.buyer,
+            'saved_search_match',
+            'New Property Match',
+            `"${property.title}" matches your saved search "${search.name}".`,
+            {
+              property_id: property._id,
+              action_url: `/buyer/properties/${property._id}`
+            }
+          );
+          await SavedSearchMatch.updateOne(
+            { saved_search: search._id, property: property._id },
+            { $set: { notified_at: new Date() } }
+          );
+        }
+      } catch (error) {
+        console.error(`❌ Failed to match saved search ${search._id}:`, error.message);
+      }
+    }
+
+    return matchedCount;
+  }
+
+  // One notification per daily/weekly search summarising matches that have
+  // not been notified yet
+  async sendDigests(frequency) {
+    try {
+      const searches = await SavedSearch.find({ is_active: true, frequency });
+      const minGap = (frequency === 'weekly' ? 7 : 1) * DAY_MS - 60 * 60 * 1000;
+      const now = new Date();
+      let sentCount = 0;
+
+      for (const search of searches) {
+        try {
+          if (search.last_digest_at && now - search.last_digest_at < minGap) continue;
+
+          const pending = await SavedSearchMatch.countDocuments({
+            saved_search: search._id,
+            notified_at: null
+          });
+          if (pending === 0) continue;
+
+          await Notification.createNotification(
+            search.buyer,
+            'saved_search_match',
+            `${pending} New ${pending === 1 ? 'Match' : 'Matches'} for "${search.name}"`,
+            `${pending} new ${pending === 1 ? 'listing matches' : 'listings match'} your saved search "${search.name}".`,
+            { action_url: `/buyer/saved-searches/${search._id}` }
+          );
+
+          await SavedSearchMatch.updateMany(
+            { saved_search: search._id, notified_at: null },
+            { $set: { notified_at: now } }
+          );
+          search.last_digest_at = now;
+          await search.save();
+          sentCount++;
+        } catch (error) {
+          console.error(`❌ Failed to send digest for saved search ${search._id}:`, error.message);
+        }
+      }
+
+      console.log(`✅ Saved search digests (${frequency}) completed: ${sentCount} sent`);
+      return sentCount;
+
+    } catch (error) {
+      console.error('❌ Saved search digest error:', error);
+      return 0;
+    }
+  }
+
+  // Unseen matches per saved search, keyed by search id
+  async getNewMatchCounts(buyerId) {
+    // aggregate() does not cast, and session user ids are strings
+    const rows = await SavedSearchMatch.aggregate([
+      { $match: { buyer: new mongoose.Types.ObjectId(String(buyerId)), seen_at: null } },
+      { $group: { _id: '$saved_search', count: { $sum: 1 } } }
+    ]);
+
+    return rows.reduce((counts, row) => {
+      counts[row._id.toString()] = row.count;
+      return counts;
+    }, {});
+  }
+
+  // The buyer opened the search, so its matches are no longer new
+  async markSeen(search) {
+    const now = new Date();
+    await SavedSearchMatch.updateMany(
+      { saved_search: search._id, seen_at: null },
+      { $set: { seen_at: now } }
+    );
+    search.last_seen_at = now;
+    await search.save();
+  }
+
+  // Saved searches of a buyer with their new-match counts, for the dashboard
+  async getSearchesWithCounts(buyerId) {
+    const [searches, counts] = await Promise.all([
+      SavedSearch.find({ buyer: buyerId }).sort({ createdAt: -1 }),
+      this.getNewMatchCounts(buyerId)
+    ]);
+
+    return searches.map(search => ({
+      ...search.toObject(),
+      browse_url: search.getBrowseUrl(),
+      new_matches: counts[search._id.toString()] || 0
+    }));
+  }
+}
+
+module.exports = new SavedSearchService();
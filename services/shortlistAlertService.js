@@ -0,0 +1,119 @@
+const cron = require('node-cron');
+const Shortlist = require('../models/Shortlist');
+const Notification = require('../models/Notification');
+const Rule = require('../models/Rule');
+
+const DEFAULT_EXPIRY_ALERT_DAYS = 3;
+
+// Compares each shortlisted listing with the snapshot stored on the item.
+// Checking on a schedule (rather than hooking price or cart changes) also
+// catches listings unlocked by the cart cleanup jobs' bulk updates.
+class ShortlistAlertService {
+  constructor() {
+    this.task = null;
+  }
+
+  start() {
+    // Run every hour
+    this.task = cron.schedule('30 * * * *', async () => {
+      console.log('🔄 Running shortlist alert job...');
+      await this.checkShortlists();
+    });
+
+    console.log('✅ Shortlist alert service started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Shortlist alert service stopped');
+    }
+  }
+
+  async getExpiryAlertDays() {
+    const rule = await Rule.getRule('shortlist_expiry_alert_days');
+    return rule?.value || DEFAULT_EXPIRY_ALERT_DAYS;
+  }
+
+  async checkShortlists() {
+    try {
+      const expiryAlertDays = await this.getExpiryAlertDays();
+      const shortlists = await Shortlist.find({ 'items.0': { $exists: true } })
+        .populate('items.property', 'title price status cart_status.in_cart cart_status.reserved_for expires_at');
+
+      let sentCount = 0;
+      for (const shortlist of shortlists) {
+        try {
+          sentCount += await this.checkShortlist(shortlist, expiryAlertDays);
+        } catch (error) {
+          console.error(`❌ Failed to check shortlist ${shortlist._id}:`, error.message);
+        }
+      }
+
+      console.log(`✅ Shortlist alerts completed: ${sentCount} alerts sent`);
+      return sentCount;
+
+    } catch (error) {
+      console.error('❌ Shortlist alert error:', error);
+      return 0;
+    }
+  }
+
+  async checkShortlist(shortlist, expiryAlertDays) {
+    const now = new Date();
+    const expiryWindowEnd = new Date(now.getTime() + expiryAlertDays * 24 * 60 * 60 * 1000);
+    let sentCount = 0;
+
+    for (const item of shortlist.items) {
+      const property = item.property;
+      if (!property) continue;
+
+      const isLive = property.status === 'live';
+      // A listing offered to a waitlisted buyer is not available yet either
+      const isLocked = Boolean(property.cart_status?.in_cart || property.cart_status?.reserved_for);
+
+      if (typeof property.price === 'number' && typeof item.last_price === 'number' &&
+          property.price < item.last_price) {
+        if (isLive) {
+          await this.notify(shortlist.buyer, property, 'shortlist_price_drop', 'Price Drop on Your Shortlist',
+            `"${property.title}" dropped from ₹${item.last_price.toLocaleString('en-IN')} to ₹${property.price.toLocaleString('en-IN')}.`);
+          sentCount++;
+        }
+      }
+      item.last_price = property.price;
+
+      if (item.was_locked && !isLocked && isLive) {
+        await this.notify(shortlist.buyer, property, 'shortlist_unlocked', 'Shortlisted Property Available',
+          `"${property.title}" is no longer in another buyer's cart. Add it to your cart to book a visit.`);
+        sentCount++;
+      }
+      item.was_locked = isLocked;
+
+      const expiresAt = property.expires_at;
+      const alreadyAlerted = item.expiry_alerted_for &&
+        expiresAt && item.expiry_alerted_for.getTime() === expiresAt.getTime();
+      if (isLive && expiresAt && expiresAt > now && expiresAt <= expiryWindowEnd && !alreadyAlerted) {
+        const daysLeft = Math.max(Math.ceil((expiresAt - now) / (24 * 60 * 60 * 1000)), 1);
+        await this.notify(shortlist.buyer, property, 'shortlist_expiring', 'Shortlisted Listing Expiring',
+          `The listing "${property.title}" expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.`,
+          expiresAt);
+        item.expiry_alerted_for = expiresAt;
+        sentCount++;
+      }
+    }
+
+    // Snapshots change even when nothing was sent (e.g. a price rise)
+    await shortlist.save();
+    return sentCount;
+  }
+
+  async notify(buyerId, property, type, title, message, expiryDate) {
+    await Notification.createNotification(buyerId, type, title, message, {
+      property_id: property._id,
+      expiry_date: expiryDate,
+      action_url: `/buyer/properties/${property._id}`
+    });
+  }
+}
+
+module.exports = new ShortlistAlertService();
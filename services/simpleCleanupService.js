@@ -1,5 +1,4 @@
-const Property = require('../models/Property');
-const Cart = require('../models/Cart');
+const cartService = require('./cartService');
 
 class SimpleCleanupService {
   constructor() {
@@ -28,36 +27,9 @@ class SimpleCleanupService {
 
   async cleanupExpiredItems() {
     try {
-      const now = new Date();
-      const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+      const expiredItems = await cartService.expireItems();
       
-      // Unlock properties where 7-day visit window expired
-      await Property.updateMany(
-        {
-          'cart_status.in_cart': true,
-          'cart_status.visit_confirmed': false,
-          'cart_status.added_at': { $lt: sevenDaysAgo }
-        },
-        {
-          'cart_status.in_cart': false,
-          'cart_status.buyer_id': null
-        }
-      );
-      
-      // Unlock properties where 60-day booking window expired
-      await Property.updateMany(
-        {
-          'cart_status.in_cart': true,
-          'cart_status.visit_confirmed': true,
-          'cart_status.booking_window_end': { $lt: now }
-        },
-        {
-          'cart_status.in_cart': false,
-          'cart_status.buyer_id': null
-        }
-      );
-      
-      console.log('✅ Cleaned up expired cart items');
+      console.log(`✅ Cleaned up expired cart items (${expiredItems} expired)`);
       
     } catch (error) {
       console.error('❌ Cleanup error:', error);
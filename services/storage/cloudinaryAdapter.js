@@ -0,0 +1,50 @@
+const cloudinary = require('cloudinary').v2;
+
+// Stores media on Cloudinary. public_id is Cloudinary's own asset id.
+class CloudinaryAdapter {
+  constructor() {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+    this.name = 'cloudinary';
+  }
+
+  upload(buffer, options = {}) {
+    const { folder, publicId, resourceType = 'image', transformation } = options;
+
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          public_id: publicId,
+          resource_type: resourceType,
+          transformation
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve({ url: result.secure_url, public_id: result.public_id, resource_type: result.resource_type });
+        }
+      );
+
+      uploadStream.end(buffer);
+    });
+  }
+
+  async delete(publicId, options = {}) {
+    await cloudinary.uploader.destroy(publicId, {
+      resource_type: options.resourceType || 'image'
+    });
+  }
+
+  getSignedUrl(publicId, options = {}) {
+    return cloudinary.url(publicId, {
+      secure: true,
+      sign_url: true,
+      resource_type: options.resourceType || 'image'
+    });
+  }
+}
+
+module.exports = CloudinaryAdapter;
@@ -0,0 +1,68 @@
+const CloudinaryAdapter = require('./cloudinaryAdapter');
+const LocalAdapter = require('./localAdapter');
+
+// Media storage used for property images and documents.
+// STORAGE_DRIVER selects the backend ('cloudinary' or 'local'); without it,
+// Cloudinary is used when credentials are configured and local disk otherwise.
+const createAdapter = () => {
+  const driver = process.env.STORAGE_DRIVER ||
+    (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+  if (driver === 'cloudinary') return new CloudinaryAdapter();
+  if (driver === 'local') return new LocalAdapter();
+  throw new Error(`Unknown storage driver: ${driver}`);
+};
+
+const adapter = createAdapter();
+
+module.exports = {
+  adapter,
+
+  // Upload a buffer; resolves to { url, public_id } (plus resource_type on Cloudinary)
+  upload(buffer, options = {}) {
+    return adapter.upload(buffer, options);
+  },
+
+  delete(publicId, options = {}) {
+    return adapter.delete(publicId, options);
+  },
+
+  getSignedUrl(publicId, options = {}) {
+    return adapter.getSignedUrl(publicId, options);
+  },
+
+  // Delete a listing photo along with its thumbnail/card/full variants
+  async deleteImage(image) {
+    const variants = Object.values(image.variants || {}).filter(Boolean);
+    const publicIds = new Set([image.public_id, ...variants.map(variant => variant.public_id)]);
+
+    for (const publicId of publicIds) {
+      if (!publicId) continue;
+      try {
+        await adapter.delete(publicId, { resourceType: 'image' });
+      } catch (error) {
+        console.error(`Failed to delete stored asset ${publicId}:`, error.message);
+      }
+    }
+  },
+
+  // Delete every stored image, video and document of a property, logging failures
+  async deleteAssets(property) {
+    for (const image of property.images || []) {
+      await this.deleteImage(image);
+    }
+
+    const assets = [
+      ...(property.videos || []).map(video => ({ publicId: video.public_id, resourceType: 'video' })),
+      ...(property.documents || []).map(doc => ({ publicId: doc.public_id, resourceType: doc.resource_type || 'image' }))
+    ].filter(asset => asset.publicId);
+
+    for (const asset of assets) {
+      try {
+        await adapter.delete(asset.publicId, { resourceType: asset.resourceType });
+      } catch (error) {
+        console.error(`Failed to delete stored asset ${asset.publicId}:`, error.message);
+      }
+    }
+  }
+};
@@ -0,0 +1,66 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores media on the local disk under LOCAL_STORAGE_DIR. Files are served by
+// routes/media.js, which requires a logged-in session or a signed URL.
+class LocalAdapter {
+  constructor() {
+    this.root = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../storage'));
+    this.baseUrl = '/media';
+    this.secret = process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET || 'propbandhu-secret-key';
+    this.name = 'local';
+  }
+
+  // Resolve a public_id to a path inside the storage root
+  resolve(publicId) {
+    const filePath = path.resolve(this.root, publicId);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid media path');
+    }
+    return filePath;
+  }
+
+  async upload(buffer, options = {}) {
+    const { folder = 'uploads', publicId, originalName = '' } = options;
+    const extension = path.extname(originalName).toLowerCase();
+    const name = (publicId || crypto.randomBytes(12).toString('hex')) + extension;
+    const id = path.posix.join(folder, name);
+
+    const filePath = this.resolve(id);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { url: `${this.baseUrl}/${id}`, public_id: id };
+  }
+
+  async delete(publicId) {
+    try {
+      await fs.unlink(this.resolve(publicId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  sign(publicId, expires) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${publicId}:${expires}`)
+      .digest('hex');
+  }
+
+  getSignedUrl(publicId, options = {}) {
+    const expires = Math.floor(Date.now() / 1000) + (options.expiresIn || 3600);
+    return `${this.baseUrl}/${publicId}?expires=${expires}&signature=${this.sign(publicId, expires)}`;
+  }
+
+  verifySignature(publicId, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(publicId, expires));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+}
+
+module.exports = LocalAdapter;
@@ -0,0 +1,81 @@
+const cron = require('node-cron');
+const Property = require('../models/Property');
+const { notifyPropertyOwners } = require('../utils/notifications');
+
+class SuspensionService {
+  constructor() {
+    this.task = null;
+  }
+
+  start() {
+    // Run every 15 minutes to lift suspensions whose end date has passed
+    this.task = cron.schedule('*/15 * * * *', async () => {
+      console.log('🔄 Running suspension expiry job...');
+      await this.liftExpiredSuspensions();
+    });
+
+    console.log('✅ Suspension service started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Suspension service stopped');
+    }
+  }
+
+  async liftExpiredSuspensions() {
+    try {
+      const properties = await Property.find({
+        status: 'suspended',
+        suspension_end: { $lte: new Date() }
+      });
+
+      let liftedCount = 0;
+      for (const property of properties) {
+        try {
+          await this.unsuspend(property, null, 'system', 'Suspension period ended');
+          liftedCount++;
+        } catch (error) {
+          console.error(`❌ Failed to lift suspension for property ${property._id}:`, error.message);
+        }
+      }
+
+      console.log(`✅ Suspension expiry completed: ${liftedCount} listings restored`);
+      return liftedCount;
+
+    } catch (error) {
+      console.error('❌ Suspension expiry error:', error);
+      return 0;
+    }
+  }
+
+  // Restore a suspended listing to its pre-suspension status and tell its owners
+  async unsuspend(property, actor, role, reason) {
+    await property.unsuspend(actor, role, reason);
+
+    await notifyPropertyOwners(
+      property,
+      'property_unsuspended',
+      'Listing Restored',
+      `Your listing "${property.title}" is no longer suspended and is ${property.status === 'live' ? 'live again' : 'approved again'}.`
+    );
+
+    return property;
+  }
+
+  async extendSuspension(property, actor, suspensionEnd, reason) {
+    await property.extendSuspension(actor, suspensionEnd, reason);
+
+    await notifyPropertyOwners(
+      property,
+      'property_suspended',
+      'Suspension Extended',
+      `The suspension of your listing "${property.title}" has been extended until ${suspensionEnd.toLocaleDateString('en-IN')}.${reason ? ' Reason: ' + reason : ''}`
+    );
+
+    return property;
+  }
+}
+
+module.exports = new SuspensionService();
@@ -0,0 +1,169 @@
+const VisitAvailability = require('../models/VisitAvailability');
+const VisitBooking = require('../models/VisitBooking');
+const Rule = require('../models/Rule');
+
+const DEFAULT_SLOT_MINUTES = 60;
+
+// Local YYYY-MM-DD, matching how blocked dates are entered
+const toDateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const toTime = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+// Turns published visiting hours into bookable slots. Slots have one fixed
+// length and start on multiples of it from midnight, so slots on different
+// listings of the same host either coincide or do not overlap at all; the
+// unique index on VisitBooking then rules out double-booking the host.
+class VisitSlotService {
+  async getSlotMinutes() {
+    const rule = await Rule.getRule('visit_slot_minutes');
+    return rule?.value || DEFAULT_SLOT_MINUTES;
+  }
+
+  // Whoever shows the property: its broker, else the seller
+  getHost(property) {
+    const host = property.broker || property.seller;
+    return host?._id || host;
+  }
+
+  async getAvailability(propertyId) {
+    const availability = await VisitAvailability.findOne({ property: propertyId }).lean();
+    if (!availability) {
+      return { windows: VisitAvailability.DEFAULT_WINDOWS, blocked_dates: [], is_default: true };
+    }
+    return { windows: availability.windows, blocked_dates: availability.blocked_dates, is_default: false };
+  }
+
+  // Publish a property's hours; callers check the user may manage it
+  async saveAvailability(propertyId, userId, role, input) {
+    const { windows, blocked_dates } = VisitAvailability.sanitize(input);
+
+    return VisitAvailability.findOneAndUpdate(
+      { property: propertyId },
+      { $set: { windows, blocked_dates, updated_by: { user: userId, role } } },
+      { new: true, upsert: true, runValidators: true }
+    );
+  }
+
+  // Slots for a property between two dates, each marked available unless the
+  // host already has a visit booked at that time. excludeBookingId leaves a
+  // buyer's current booking out, so rescheduling can show its own slot.
+  async getSlots(property, from, to, options = {}) {
+    const [availability, slotMinutes] = await Promise.all([
+      this.getAvailability(property._id),
+      this.getSlotMinutes()
+    ]);
+    const blocked = new Set(availability.blocked_dates);
+
+    const slots = [];
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    for (; day <= to; day.setDate(day.getDate() + 1)) {
+      if (blocked.has(toDateKey(day))) continue;
+
+      for (const window of availability.windows.filter(w => w.day_of_week === day.getDay())) {
+        const windowEnd = VisitAvailability.toMinutes(window.end_time);
+        let minutes = Math.ceil(VisitAvailability.toMinutes(window.start_time) / slotMinutes) * slotMinutes;
+
+        for (; minutes + slotMinutes <= windowEnd; minutes += slotMinutes) {
+          const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+          const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+          if (start > from && end <= to) {
+            slots.push({ start, end });
+          }
+        }
+      }
+    }
+
+    const bookingFilter = {
+      host: this.getHost(property),
+      status: 'booked',
+      start: { $gte: from, $lte: to }
+    };
+    if (options.excludeBookingId) bookingFilter._id = { $ne: options.excludeBookingId };
+    const booked = await VisitBooking.find(bookingFilter).select('start').lean();
+    const taken = new Set(booked.map(booking => booking.start.getTime()));
+
+    const unique = new Map();
+    slots.forEach(slot => unique.set(slot.start.getTime(), slot));
+    return [...unique.values()]
+      .sort((a, b) => a.start - b.start)
+      .map(slot => ({
+        ...slot,
+        date: toDateKey(slot.start),
+        time: toTime(slot.start),
+        available: !taken.has(slot.start.getTime())
+      }));
+  }
+
+  // The open slot starting at `start`, or null if it is not one
+  async findSlot(property, start, from, to, options = {}) {
+    const time = new Date(start).getTime();
+    if (Number.isNaN(time)) return null;
+
+    const slots = await this.getSlots(property, from, to, options);
+    return slots.find(slot => slot.start.getTime() === time && slot.available) || null;
+  }
+
+  // Take a slot for a buyer. Resolves to null when another visit with the
+  // same host claimed it first.
+  async book(property, buyerId, slot) {
+    try {
+      return await VisitBooking.create({
+        property: property._id,
+        buyer: buyerId,
+        host: this.getHost(property),
+        start: slot.start,
+        end: slot.end
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // Close a booked visit as rescheduled or cancelled, freeing its slot
+  closeBooking(bookingId, status, options = {}) {
+    const { reason, userId, role, rescheduledTo } = options;
+    return VisitBooking.findOneAndUpdate(
+      { _id: bookingId, status: 'booked' },
+      {
+        $set: {
+          status,
+          reason,
+          closed_by: { user: userId, role },
+          closed_at: new Date(),
+          ...(rescheduledTo ? { rescheduled_to: rescheduledTo } : {})
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Visits still to come on a property, for its seller's or broker's calendar
+  getUpcomingBookings(propertyId) {
+    return VisitBooking.find({ property: propertyId, status: 'booked', start: { $gte: new Date() } })
+      .populate('buyer', 'name phone')
+      .sort({ start: 1 });
+  }
+
+  // Free every slot a buyer holds on a property, e.g. when it leaves the cart
+  closeBookingsFor(propertyId, buyerId, reason) {
+    return VisitBooking.updateMany(
+      { property: propertyId, buyer: buyerId, status: 'booked', start: { $gt: new Date() } },
+      {
+        $set: {
+          status: 'cancelled',
+          reason,
+          closed_by: { role: 'system' },
+          closed_at: new Date()
+        }
+      }
+    );
+  }
+}
+
+module.exports = new VisitSlotService();
@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Cart = require('../models/Cart');
+const Property = require('../models/Property');
+const Commission = require('../models/Commission');
+const Notification = require('../models/Notification');
+const Rule = require('../models/Rule');
+const cartService = require('./cartService');
+const { errorFactory, sameId } = require('../utils/serviceHelpers');
+
+// Used when the visit_checkin_minutes Rule is missing or inactive
+const DEFAULT_CODE_MINUTES = 10;
+// Wrong entries allowed per code before the buyer has to issue a new one
+const MAX_ATTEMPTS = 5;
+
+const checkInError = errorFactory('CheckInError');
+
+const hashCode = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const codeMatches = (value, expectedHash) => {
+  if (!value || !expectedHash) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashCode(value)), Buffer.from(expectedHash));
+};
+
+// Verifies that a visit actually happened. The buyer issues a short-lived
+// OTP (also encoded as a QR link) for their cart item and the broker or
+// seller enters or scans it on site. Verified confirmations record the
+// broker's commission straight away; manual confirmations still start the
+// buyer's booking window but wait for an admin before any commission.
+class VisitVerificationService {
+  async getCodeMinutes() {
+    const rule = await Rule.getRule('visit_checkin_minutes', { userType: 'buyer' });
+    return rule?.value || DEFAULT_CODE_MINUTES;
+  }
+
+  // The broker attends when one is assigned, otherwise the seller
+  getHostRole(property) {
+    return property.broker ? 'broker' : 'seller';
+  }
+
+  // Only the property's own broker or seller may verify its visits
+  isHost(property, userId, role) {
+    if (role === 'broker') return sameId(property.broker, userId);
+    if (role === 'seller') return sameId(property.seller, userId);
+    return false;
+  }
+
+  // Issue a fresh code for the buyer's cart item, replacing any earlier one.
+  // The plain OTP and token are only ever returned here.
+  async issueCode(buyerId, propertyId, { baseUrl = '' } = {}) {
+    const cart = await Cart.findOne({ buyer: buyerId });
+    const item = cart && cartService.findActiveItem(cart, propertyId);
+    if (!item) {
+      throw checkInError('Property not found in your cart', 404);
+    }
+    if (['confirmed', 'completed'].includes(item.visit_status)) {
+      throw checkInError('Visit is already confirmed');
+    }
+
+    const property = await Property.findById(propertyId).select('title seller broker');
+    if (!property) {
+      throw checkInError('Property not found', 404);
+    }
+
+    const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const token = crypto.randomBytes(24).toString('hex');
+    const minutes = await this.getCodeMinutes();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + minutes * 60 * 1000);
+
+    await Cart.updateOne(
+      { _id: cart._id, 'items._id': item._id },
+      {
+        $set: {
+          'items.$.check_in': {
+            otp_hash: hashCode(otp),
+            token_hash: hashCode(token),
+            issued_at: now,
+            expires_at: expiresAt,
+            attempts: 0
+          }
+        }
+      }
+    );
+
+    const checkInUrl = `${baseUrl}/${this.getHostRole(property)}/visits/check-in/${token}`;
+    const qrCode = await QRCode.toDataURL(checkInUrl, { margin: 1, width: 240 });
+
+    return { otp, checkInUrl, qrCode, expiresAt, minutes };
+  }
+
+  // The cart item a scanned QR token belongs to, with its property
+  async findByToken(token) {
+    if (!/^[a-f0-9]{48}$/.test(String(token || ''))) {
+      throw checkInError('Invalid check-in link', 404);
+    }
+
+    const tokenHash = hashCode(token);
+    const cart = await Cart.findOne({ 'items.check_in.token_hash': tokenHash })
+      .populate('buyer', 'name phone');
+    const item = cart?.items.find(entry => entry.check_in?.token_hash === tokenHash && entry.status === 'active');
+    if (!item) {
+      throw checkInError('Check-in link is invalid or has already been used', 404);
+    }
+
+    const property = await Property.findById(item.property)
+      .select('title address price seller broker added_by commission cart_status');
+    if (!property) {
+      throw checkInError('Property not found', 404);
+    }
+    return { cart, item, property };
+  }
+
+  // The cart item a code is checked against: the lock holder's, or for an
+  // open auction, which many buyers visit, the one the code was issued for.
+  // A code matching none of them counts against every live code there.
+  async findCheckInItem(property, { otp, token }) {
+    if (!cartService.isOpenAuction(property)) {
+      const holderId = property.cart_status?.in_cart ? property.cart_status.buyer_id : null;
+      const cart = holderId && await Cart.findOne({ buyer: holderId });
+      return { cart, item: cart && cartService.findActiveItem(cart, property._id) };
+    }
+
+    const codeField = token ? 'check_in.token_hash' : 'check_in.otp_hash';
+    const codeHash = hashCode(token || otp);
+    const cart = await Cart.findOne({
+      items: { $elemMatch: { property: property._id, status: 'active', [codeField]: codeHash } }
+    });
+    if (cart) {
+      return { cart, item: cartService.findActiveItem(cart, property._id) };
+    }
+
+    const now = new Date();
+    await Cart.updateMany(
+      { items: { $elemMatch: { property: property._id, status: 'active', 'check_in.expires_at': { $gt: now } } } },
+      { $inc: { 'items.$[code].check_in.attempts': 1 } },
+      { arrayFilters: [{ 'code.property': property._id, 'code.status': 'active', 'code.check_in.expires_at': { $gt: now } }] }
+    );
+    throw checkInError('Invalid check-in code');
+  }
+
+  // Confirm a visit with the buyer's OTP or QR token
+  async verify(propertyId, { userId, role, otp, token }) {
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      throw checkInError('Property not found', 404);
+    }
+    if (!this.isHost(property, userId, role)) {
+      throw checkInError('You are not the broker or seller for this property', 403);
+    }
+
+    const { cart, item } = await this.findCheckInItem(property, { otp, token });
+    if (!item) {
+      throw checkInError('Property is not in any active cart', 404);
+    }
+
+    const checkIn = item.check_in;
+    if (!checkIn?.expires_at) {
+      throw checkInError('No check-in code has been issued for this visit');
+    }
+    if (new Date() > checkIn.expires_at) {
+      throw checkInError('Check-in code has expired. Ask the buyer to generate a new one.');
+    }
+    if (checkIn.attempts >= MAX_ATTEMPTS) {
+      throw checkInError('Too many incorrect attempts. Ask the buyer to generate a new code.', 429);
+    }
+
+    const valid = token ? codeMatches(token, checkIn.token_hash) : codeMatches(otp, checkIn.otp_hash);
+    if (!valid) {
+      await Cart.updateOne(
+        { _id: cart._id, 'items._id': item._id },
+        { $inc: { 'items.$.check_in.attempts': 1 } }
+      );
+      throw checkInError('Invalid check-in code');
+    }
+
+    // Consume the code before confirming so it cannot be replayed
+    const consumed = await Cart.updateOne(
+      { _id: cart._id, items: { $elemMatch: { _id: item._id, 'check_in.otp_hash': checkIn.otp_hash } } },
+      { $unset: { 'items.$.check_in': '' } }
+    );
+    if (consumed.modifiedCount === 0) {
+      throw checkInError('Check-in code has already been used', 409);
+    }
+
+    const result = await cartService.confirmVisit(property._id, {
+      buyerId: cart.buyer,
+      confirmedBy: userId,
+      role,
+      method: token ? 'qr' : 'otp'
+    });
+    const commission = await this.recordCommission(
+      property, result.cart, result.item, userId, `Visit verified by ${token ? 'QR' : 'OTP'} check-in`
+    );
+
+    return { ...result, commission };
+  }
+
+  // Confirm without a code. The buyer's booking window starts as usual;
+  // the commission waits for an admin to approve the confirmation.
+  async confirmManually(propertyId, { buyerId, userId, role, notes }) {
+    const result = await cartService.confirmVisit(propertyId, {
+      buyerId,
+      confirmedBy: userId,
+      role,
+      method: 'manual',
+      notes
+    });
+
+    await Cart.updateOne(
+      { _id: result.cart._id, 'items._id': result.item._id },
+      { $set: { 'items.$.confirmation_review': { status: 'pending' } } }
+    );
+
+    return result;
+  }
+
+  // Seller commission for the assigned broker, unless the broker listed the
+  // property themselves
+  async recordCommission(property, cart, item, createdBy, notes) {
+    const brokerId = property.broker?._id || property.broker;
+    if (!brokerId) return null;
+    if (property.added_by?.role === 'broker' && sameId(property.added_by.user, brokerId)) return null;
+
+    const { rate, amount } = Commission.calculateCommission(
+      property.price,
+      'seller',
+      property.commission?.adder_rate || 1.5,
+      property.commission?.seller_rate || 2.5
+    );
+
+    const commission = await Commission.create({
+      broker: brokerId,
+      property: property._id,
+      property_price: property.price,
+      commission_type: 'seller',
+      rate,
+      amount,
+      status: 'pending',
+      notes,
+      created_by: createdBy
+    });
+
+    await Cart.updateOne(
+      { _id: cart._id, 'items._id': item._id },
+      { $set: { 'items.$.commission': commission._id } }
+    );
+
+    return commission;
+  }
+
+  // Manual confirmations awaiting an admin, oldest first
+  async getPendingReviews() {
+    const carts = await Cart.find({ 'items.confirmation_review.status': 'pending' })
+      .populate('buyer', 'name email phone')
+      .populate('items.property', 'title price address broker seller')
+      .populate('items.confirmed_by', 'name email role');
+
+    return carts
+      .flatMap(cart => cart.items
+        .filter(item => item.confirmation_review?.status === 'pending')
+        .map(item => ({
+          cart_id: cart._id,
+          item_id: item._id,
+          buyer: cart.buyer,
+          property: item.property,
+          confirmed_by: item.confirmed_by,
+          confirmed_at: item.visit_confirmed_at,
+          notes: item.notes
+        })))
+      .sort((a, b) => new Date(a.confirmed_at) - new Date(b.confirmed_at));
+  }
+
+  // Approve or reject a manual confirmation. Approval records the
+  // commission; rejection only withholds it, the buyer's visit stands.
+  async reviewManual(cartId, itemId, { adminId, approve, reason }) {
+    if (!approve && !reason?.trim()) {
+      throw checkInError('A reason is required to reject a confirmation');
+    }
+
+    const now = new Date();
+    const cart = await Cart.findOneAndUpdate(
+      { _id: cartId, items: { $elemMatch: { _id: itemId, 'confirmation_review.status': 'pending' } } },
+      {
+        $set: {
+          'items.$.confirmation_review.status': approve ? 'approved' : 'rejected',
+          'items.$.confirmation_review.reviewed_by': adminId,
+          'items.$.confirmation_review.reviewed_at': now,
+          'items.$.confirmation_review.reason': reason?.trim()
+        }
+      },
+      { new: true }
+    );
+    if (!cart) {
+      throw checkInError('Confirmation not found or already reviewed', 404);
+    }
+
+    const item = cart.items.id(itemId);
+    const property = await Property.findById(item.property);
+    if (!property) {
+      throw checkInError('Property not found', 404);
+    }
+
+    if (approve) {
+      const commission = await this.recordCommission(
+        property, cart, item, item.confirmed_by, 'Manual visit confirmation approved by admin'
+      );
+      return { item, property, commission };
+    }
+
+    if (item.confirmed_by) {
+      await Notification.createNotification(
+        item.confirmed_by,
+        'visit_review_rejected',
+        'Visit Confirmation Rejected',
+        `Your manual visit confirmation for "${property.title}" was rejected, so no commission was recorded. Reason: ${reason.trim()}`,
+        { property_id: property._id }
+      );
+    }
+    return { item, property, commission: null };
+  }
+}
+
+module.exports = new VisitVerificationService();
@@ -0,0 +1,269 @@
+const cron = require('node-cron');
+const CartWaitlist = require('../models/CartWaitlist');
+const Property = require('../models/Property');
+const Notification = require('../models/Notification');
+const Rule = require('../models/Rule');
+const { errorFactory, ruleValue } = require('../utils/serviceHelpers');
+
+const DEFAULT_CLAIM_HOURS = 24;
+
+const { ACTIVE_STATUSES } = CartWaitlist;
+
+const waitlistError = errorFactory('WaitlistError');
+
+// FIFO queue of buyers for properties locked in another buyer's cart.
+// Whenever a lock is released (removal, expiry, seller unlock) the property
+// is reserved for the first waiting buyer, who may claim it into their cart
+// until the offer expires; the scheduled job then passes it down the line.
+class WaitlistService {
+  constructor() {
+    this.task = null;
+  }
+
+  start() {
+    // Run every 5 minutes so lapsed offers move on promptly
+    this.task = cron.schedule('*/5 * * * *', async () => {
+      console.log('🔄 Running waitlist offer expiry job...');
+      await this.expireOffers();
+    });
+
+    console.log('✅ Waitlist service started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Waitlist service stopped');
+    }
+  }
+
+  async getClaimHours() {
+    const rule = await Rule.getRule('waitlist_claim_hours');
+    return ruleValue(rule, DEFAULT_CLAIM_HOURS);
+  }
+
+  // Queue a buyer behind the current lock holder. Rejoining after leaving
+  // or passing puts the buyer at the back of the line.
+  async join(buyerId, propertyId) {
+    const property = await Property.findById(propertyId).select('title status cart_status');
+    if (!property || property.status !== 'live') {
+      throw waitlistError('Property not found', 404);
+    }
+
+    const holder = property.cart_status?.in_cart ? property.cart_status.buyer_id : property.cart_status?.reserved_for;
+    if (!holder) {
+      throw waitlistError('Property is available. Add it to your cart instead.');
+    }
+    if (holder.toString() === buyerId.toString()) {
+      throw waitlistError('This property is already reserved for you');
+    }
+
+    let entry;
+    try {
+      // Only matches an entry that is no longer active, so a buyer already
+      // in the queue falls through to the duplicate key error below
+      entry = await CartWaitlist.findOneAndUpdate(
+        { property: property._id, buyer: buyerId, status: { $nin: ACTIVE_STATUSES } },
+        {
+          $set: { status: 'waiting', joined_at: new Date() },
+          $unset: { offered_at: '', offer_expires_at: '', resolved_at: '' }
+        },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw waitlistError('You are already on the waitlist for this property');
+      }
+      throw error;
+    }
+
+    const position = await entry.getPosition();
+    return { entry, position };
+  }
+
+  async leave(buyerId, propertyId) {
+    const entry = await CartWaitlist.findOneAndUpdate(
+      { property: propertyId, buyer: buyerId, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: 'left', resolved_at: new Date() } }
+    );
+    if (!entry) {
+      throw waitlistError('You are not on the waitlist for this property');
+    }
+
+    // Leaving while holding the offer hands it to the next buyer
+    if (entry.status === 'offered') {
+      await this.releaseReservation(propertyId, buyerId);
+      await this.offerNext(propertyId);
+    }
+    return entry;
+  }
+
+  // Turn down an offer without waiting for it to lapse
+  async decline(buyerId, propertyId) {
+    const entry = await CartWaitlist.findOneAndUpdate(
+      { property: propertyId, buyer: buyerId, status: 'offered' },
+      { $set: { status: 'passed', resolved_at: new Date() } }
+    );
+    if (!entry) {
+      throw waitlistError('You have no open offer for this property');
+    }
+
+    await this.releaseReservation(propertyId, buyerId);
+    await this.offerNext(propertyId);
+    return entry;
+  }
+
+  // Accept an offer: the reservation lets this buyer take the cart lock,
+  // and adding to the cart marks the entry claimed
+  async claim(buyerId, propertyId) {
+    const entry = await CartWaitlist.findOne({ property: propertyId, buyer: buyerId, status: 'offered' });
+    if (!entry) {
+      throw waitlistError('You have no open offer for this property');
+    }
+    if (entry.offer_expires_at <= new Date()) {
+      throw waitlistError('Your offer for this property has expired');
+    }
+
+    // Required lazily: cartService calls back into this service on release
+    return require('./cartService').addToCart(buyerId, propertyId);
+  }
+
+  // Called once a cart lock has been released. Reserves the property for the
+  // oldest waiting buyer and notifies them; clears any reservation when
+  // nobody is waiting.
+  async offerNext(propertyId) {
+    const pending = await CartWaitlist.exists({ property: propertyId, status: 'offered' });
+    if (pending) return null;
+
+    const now = new Date();
+    const claimHours = await this.getClaimHours();
+    const expiresAt = new Date(now.getTime() + claimHours * 60 * 60 * 1000);
+
+    const entry = await CartWaitlist.findOneAndUpdate(
+      { property: propertyId, status: 'waiting' },
+      { $set: { status: 'offered', offered_at: now, offer_expires_at: expiresAt } },
+      { sort: { joined_at: 1 }, new: true }
+    );
+    if (!entry) {
+      await this.releaseReservation(propertyId);
+      return null;
+    }
+
+    // Only reserve a listing that is still live and nobody has re-locked
+    const reserved = await Property.findOneAndUpdate(
+      { _id: propertyId, status: 'live', 'cart_status.in_cart': { $ne: true } },
+      { $set: { 'cart_status.reserved_for': entry.buyer, 'cart_status.reserved_until': expiresAt } },
+      { new: true }
+    ).select('title');
+
+    if (!reserved) {
+      // Put the buyer back at the head of the line for the next release
+      await CartWaitlist.updateOne(
+        { _id: entry._id, status: 'offered' },
+        { $set: { status: 'waiting' }, $unset: { offered_at: '', offer_expires_at: '' } }
+      );
+      return null;
+    }
+
+    await Notification.createNotification(
+      entry.buyer,
+      'waitlist_offer',
+      'Your Turn on the Waitlist',
+      `"${reserved.title}" is now available to you. Add it to your cart within ${claimHours} hours before it passes to the next buyer.`,
+      {
+        property_id: reserved._id,
+        expiry_date: expiresAt,
+        action_url: `/buyer/properties/${reserved._id}`
+      }
+    );
+
+    return entry;
+  }
+
+  // Clear a reservation, optionally only while it is held by buyerId
+  releaseReservation(propertyId, buyerId) {
+    const filter = { _id: propertyId };
+    if (buyerId) filter['cart_status.reserved_for'] = buyerId;
+
+    return Property.updateOne(filter, {
+      $unset: { 'cart_status.reserved_for': '', 'cart_status.reserved_until': '' }
+    });
+  }
+
+  // Mark a buyer's entry claimed once the property is in their cart
+  markClaimed(buyerId, propertyId) {
+    return CartWaitlist.updateOne(
+      { property: propertyId, buyer: buyerId, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: 'claimed', resolved_at: new Date() } }
+    );
+  }
+
+  // The property left the market (sold, rented or expired): nobody is
+  // waiting for it any more
+  async closeForProperty(propertyId) {
+    const result = await CartWaitlist.updateMany(
+      { property: propertyId, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: 'passed', resolved_at: new Date() } }
+    );
+    await this.releaseReservation(propertyId);
+    return result.modifiedCount;
+  }
+
+  // Pass lapsed offers to the next buyer in line
+  async expireOffers() {
+    try {
+      const now = new Date();
+      const lapsed = await CartWaitlist.find({
+        status: 'offered',
+        offer_expires_at: { $lte: now }
+      }).populate('property', 'title');
+
+      let passedCount = 0;
+      for (const entry of lapsed) {
+        try {
+          const result = await CartWaitlist.updateOne(
+            { _id: entry._id, status: 'offered' },
+            { $set: { status: 'passed', resolved_at: now } }
+          );
+          if (result.modifiedCount === 0) continue;
+          passedCount++;
+
+          const propertyId = entry.property?._id || entry.property;
+          await Notification.createNotification(
+            entry.buyer,
+            'waitlist_offer_expired',
+            'Waitlist Offer Expired',
+            `Your offer for "${entry.property?.title || 'a property'}" has expired and passed to the next buyer.`,
+            { property_id: propertyId }
+          );
+
+          await this.releaseReservation(propertyId, entry.buyer);
+          await this.offerNext(propertyId);
+        } catch (error) {
+          console.error(`❌ Failed to pass waitlist offer ${entry._id}:`, error.message);
+        }
+      }
+
+      console.log(`✅ Waitlist offer expiry completed: ${passedCount} offers passed on`);
+      return passedCount;
+
+    } catch (error) {
+      console.error('❌ Waitlist offer expiry error:', error);
+      return 0;
+    }
+  }
+
+  // A buyer's active entries with their queue positions
+  async getBuyerEntries(buyerId) {
+    const entries = await CartWaitlist.find({ buyer: buyerId, status: { $in: ACTIVE_STATUSES } })
+      .populate('property', 'title price address images status')
+      .sort({ offered_at: -1, joined_at: 1 });
+
+    return Promise.all(entries.map(async entry => ({
+      entry,
+      position: await entry.getPosition()
+    })));
+  }
+}
+
+module.exports = new WaitlistService();
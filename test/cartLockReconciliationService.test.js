@@ -0,0 +1,63 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser, createLiveProperty } = require('./helpers/fixtures');
+const Property = require('../models/Property');
+const cartService = require('../services/cartService');
+const cartLockReconciliationService = require('../services/cartLockReconciliationService');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// A lock with no cart item behind it, as left by a crash between the two
+// writes of an add
+const lockWithoutCart = (property, buyer, addedAt) => Property.updateOne(
+  { _id: property._id },
+  { $set: { 'cart_status.in_cart': true, 'cart_status.buyer_id': buyer._id, 'cart_status.added_at': addedAt } }
+);
+
+describe('cartLockReconciliationService.releaseOrphanedLocks', () => {
+  before(db.connect);
+  after(db.disconnect);
+  beforeEach(db.clear);
+
+  it('releases an orphaned lock once the grace period has passed', async () => {
+    const seller = await createUser('seller');
+    const buyer = await createUser('buyer');
+    const property = await createLiveProperty(seller);
+    await lockWithoutCart(property, buyer, minutesAgo(6));
+
+    const released = await cartLockReconciliationService.releaseOrphanedLocks();
+
+    assert.equal(released, 1);
+    const unlocked = await Property.findById(property._id);
+    assert.equal(unlocked.cart_status.in_cart, false);
+    assert.equal(unlocked.cart_status.buyer_id, null);
+  });
+
+  it('leaves a lock taken within the grace period alone', async () => {
+    const seller = await createUser('seller');
+    const buyer = await createUser('buyer');
+    const property = await createLiveProperty(seller);
+    await lockWithoutCart(property, buyer, minutesAgo(1));
+
+    const released = await cartLockReconciliationService.releaseOrphanedLocks();
+
+    assert.equal(released, 0);
+    const locked = await Property.findById(property._id);
+    assert.equal(locked.cart_status.in_cart, true);
+  });
+
+  it('leaves a lock that a cart item refers to alone', async () => {
+    const seller = await createUser('seller');
+    const buyer = await createUser('buyer');
+    const property = await createLiveProperty(seller);
+    await cartService.addToCart(buyer._id, property._id);
+    await Property.updateOne({ _id: property._id }, { $set: { 'cart_status.added_at': minutesAgo(60) } });
+
+    const released = await cartLockReconciliationService.releaseOrphanedLocks();
+
+    assert.equal(released, 0);
+    const locked = await Property.findById(property._id);
+    assert.equal(locked.cart_status.buyer_id.toString(), buyer._id.toString());
+  });
+});
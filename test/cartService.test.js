@@ -0,0 +1,155 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUsers, createUser, createLiveProperty } = require('./helpers/fixtures');
+const Cart = require('../models/Cart');
+const CartWaitlist = require('../models/CartWaitlist');
+const Property = require('../models/Property');
+const cartService = require('../services/cartService');
+const waitlistService = require('../services/waitlistService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const backdateItem = (buyer, property, days) => Cart.updateOne(
+  { buyer: buyer._id, 'items.property': property._id },
+  { $set: { 'items.$.added_at': new Date(Date.now() - days * DAY_MS) } }
+);
+
+before(db.connect);
+after(db.disconnect);
+beforeEach(db.clear);
+
+describe('cartService.addToCart', () => {
+  it('lets exactly one of several concurrent buyers lock a property', async () => {
+    const seller = await createUser('seller');
+    const buyers = await createUsers('buyer', 8);
+    const property = await createLiveProperty(seller);
+
+    // Count the locks actually taken, not just the final state
+    const acquireCartLock = Property.acquireCartLock;
+    let locksTaken = 0;
+    Property.acquireCartLock = async function(...args) {
+      const locked = await acquireCartLock.apply(this, args);
+      if (locked) locksTaken++;
+      return locked;
+    };
+
+    let results;
+    try {
+      results = await Promise.allSettled(buyers.map(buyer => cartService.addToCart(buyer._id, property._id)));
+    } finally {
+      Property.acquireCartLock = acquireCartLock;
+    }
+
+    const added = results.filter(result => result.status === 'fulfilled');
+    const refused = results.filter(result => result.status === 'rejected');
+    assert.equal(locksTaken, 1);
+    assert.equal(added.length, 1);
+    for (const { reason } of refused) {
+      assert.equal(reason.name, 'CartError');
+      assert.equal(reason.status, 409);
+      assert.equal(reason.canJoinWaitlist, true);
+    }
+
+    const winner = buyers[results.findIndex(result => result.status === 'fulfilled')];
+    const locked = await Property.findById(property._id);
+    assert.equal(locked.cart_status.in_cart, true);
+    assert.equal(locked.cart_status.buyer_id.toString(), winner._id.toString());
+
+    const carts = await Cart.find({ items: { $elemMatch: { property: property._id, status: 'active' } } });
+    assert.equal(carts.length, 1);
+    assert.equal(carts[0].buyer.toString(), winner._id.toString());
+  });
+
+  it('lets the same buyer add a property only once when requests race', async () => {
+    const seller = await createUser('seller');
+    const buyer = await createUser('buyer');
+    const property = await createLiveProperty(seller);
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => cartService.addToCart(buyer._id, property._id)));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    const cart = await Cart.findOne({ buyer: buyer._id });
+    assert.equal(cart.items.filter(item => item.status === 'active').length, 1);
+  });
+});
+
+describe('cartService.expireItems', () => {
+  it('expires an item whose visit window has passed and releases the lock', async () => {
+    const seller = await createUser('seller');
+    const buyer = await createUser('buyer');
+    const property = await createLiveProperty(seller);
+    await cartService.addToCart(buyer._id, property._id);
+    await backdateItem(buyer, property, cartService.DEFAULT_SETTINGS.visit_window_days + 1);
+
+    const expired = await cartService.expireItems();
+
+    assert.equal(expired, 1);
+    const cart = await Cart.findOne({ buyer: buyer._id });
+    assert.equal(cart.items[0].status, 'expired');
+    const unlocked = await Property.findById(property._id);
+    assert.equal(unlocked.cart_status.in_cart, false);
+    assert.equal(unlocked.cart_status.buyer_id, null);
+  });
+
+  it('keeps an item still inside its visit window', async () => {
+    const seller = await createUser('seller');
+    const buyer = await createUser('buyer');
+    const property = await createLiveProperty(seller);
+    await cartService.addToCart(buyer._id, property._id);
+    await backdateItem(buyer, property, cartService.DEFAULT_SETTINGS.visit_window_days - 1);
+
+    const expired = await cartService.expireItems();
+
+    assert.equal(expired, 0);
+    const locked = await Property.findById(property._id);
+    assert.equal(locked.cart_status.buyer_id.toString(), buyer._id.toString());
+  });
+});
+
+describe('cartService waitlist handoff', () => {
+  it('reserves a removed property for the first waitlisted buyer only', async () => {
+    const seller = await createUser('seller');
+    const [holder, first, second] = await createUsers('buyer', 3);
+    const property = await createLiveProperty(seller);
+    await cartService.addToCart(holder._id, property._id);
+    await waitlistService.join(first._id, property._id);
+    await waitlistService.join(second._id, property._id);
+
+    await cartService.removeFromCart(holder._id, property._id);
+
+    const reserved = await Property.findById(property._id);
+    assert.equal(reserved.cart_status.in_cart, false);
+    assert.equal(reserved.cart_status.reserved_for.toString(), first._id.toString());
+    const offered = await CartWaitlist.findOne({ property: property._id, buyer: first._id });
+    assert.equal(offered.status, 'offered');
+    const waiting = await CartWaitlist.findOne({ property: property._id, buyer: second._id });
+    assert.equal(waiting.status, 'waiting');
+
+    await assert.rejects(cartService.addToCart(second._id, property._id), { name: 'CartError', status: 409 });
+
+    await waitlistService.claim(first._id, property._id);
+    const locked = await Property.findById(property._id);
+    assert.equal(locked.cart_status.buyer_id.toString(), first._id.toString());
+    assert.equal(locked.cart_status.reserved_for, undefined);
+    const claimed = await CartWaitlist.findOne({ property: property._id, buyer: first._id });
+    assert.equal(claimed.status, 'claimed');
+  });
+
+  it('hands an expired lock to the next waitlisted buyer', async () => {
+    const seller = await createUser('seller');
+    const [holder, next] = await createUsers('buyer', 2);
+    const property = await createLiveProperty(seller);
+    await cartService.addToCart(holder._id, property._id);
+    await waitlistService.join(next._id, property._id);
+    await backdateItem(holder, property, cartService.DEFAULT_SETTINGS.visit_window_days + 1);
+
+    await cartService.expireItems();
+
+    const reserved = await Property.findById(property._id);
+    assert.equal(reserved.cart_status.reserved_for.toString(), next._id.toString());
+    await cartService.addToCart(next._id, property._id);
+    const cart = await Cart.findOne({ buyer: next._id });
+    assert.equal(cart.items.filter(item => item.status === 'active').length, 1);
+  });
+});
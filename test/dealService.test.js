@@ -0,0 +1,54 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser, createLiveProperty } = require('./helpers/fixtures');
+const Cart = require('../models/Cart');
+const Commission = require('../models/Commission');
+const dealService = require('../services/dealService');
+
+describe('dealService.settleCommissions', () => {
+  before(db.connect);
+  after(db.disconnect);
+  beforeEach(db.clear);
+
+  // A sold property with an assigned broker and the buyer's manually
+  // confirmed visit, reviewed as given
+  const setup = async (review) => {
+    const admin = await createUser('admin');
+    const seller = await createUser('seller');
+    const broker = await createUser('broker');
+    const buyer = await createUser('buyer');
+    const property = await createLiveProperty(seller, { broker: broker._id });
+    await Cart.create({
+      buyer: buyer._id,
+      items: [{
+        property: property._id,
+        status: 'completed',
+        visit_status: 'completed',
+        confirmation_method: 'manual',
+        confirmation_review: { status: review }
+      }]
+    });
+    const deal = { buyer: buyer._id, outcome: 'sold', final_price: 7000000 };
+    return { admin, broker, property, deal };
+  };
+
+  it('pays the assigned broker for a manual confirmation an admin approved', async () => {
+    const { admin, broker, property, deal } = await setup('approved');
+
+    const settled = await dealService.settleCommissions(property, deal, admin._id);
+
+    assert.equal(settled.length, 1);
+    assert.equal(settled[0].broker.toString(), broker._id.toString());
+    assert.equal(settled[0].property_price, 7000000);
+  });
+
+  it('pays nothing for a manual confirmation an admin rejected', async () => {
+    const { admin, property, deal } = await setup('rejected');
+
+    const settled = await dealService.settleCommissions(property, deal, admin._id);
+
+    assert.equal(settled.length, 0);
+    assert.equal(await Commission.countDocuments(), 0);
+  });
+});
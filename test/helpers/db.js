@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// A throwaway single-node replica set per test file. A replica set rather
+// than a standalone server, so code using transactions runs as in production.
+let replSet = null;
+
+const connect = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Unique indexes (one cart per buyer, one waitlist entry per buyer) are
+  // part of what the services rely on, so wait for them to exist
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+};
+
+const clear = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
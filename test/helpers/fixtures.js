@@ -0,0 +1,41 @@
+const User = require('../../models/user');
+const Property = require('../../models/Property');
+
+let sequence = 0;
+
+// insertMany skips the save hook, so no time is spent hashing passwords
+const createUsers = async (role, count = 1) => {
+  const users = Array.from({ length: count }, () => {
+    sequence++;
+    return {
+      name: `Test ${role} ${sequence}`,
+      email: `${role}${sequence}@example.com`,
+      phone: `90000${String(sequence).padStart(5, '0')}`,
+      password: 'not-a-real-password',
+      role
+    };
+  });
+  return User.insertMany(users);
+};
+
+const createUser = async (role) => (await createUsers(role))[0];
+
+const createLiveProperty = (seller, overrides = {}) => Property.create({
+  title: `Test Flat ${++sequence}`,
+  description: 'A two bedroom flat used by the tests, close to the metro and the market.',
+  property_type: 'Residential',
+  sub_type: 'Apartment',
+  price: 7500000,
+  built_up_area: 1100,
+  address: { city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+  seller: seller._id,
+  added_by: { user: seller._id, role: 'seller' },
+  status: 'live',
+  ...overrides
+});
+
+module.exports = {
+  createUsers,
+  createUser,
+  createLiveProperty
+};
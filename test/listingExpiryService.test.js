@@ -0,0 +1,36 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUsers, createUser, createLiveProperty } = require('./helpers/fixtures');
+const Cart = require('../models/Cart');
+const CartWaitlist = require('../models/CartWaitlist');
+const Property = require('../models/Property');
+const cartService = require('../services/cartService');
+const waitlistService = require('../services/waitlistService');
+const listingExpiryService = require('../services/listingExpiryService');
+
+describe('listingExpiryService.expireListings', () => {
+  before(db.connect);
+  after(db.disconnect);
+  beforeEach(db.clear);
+
+  it('releases the cart lock and closes the waitlist of an expired listing', async () => {
+    const seller = await createUser('seller');
+    const [holder, waiting] = await createUsers('buyer', 2);
+    const property = await createLiveProperty(seller);
+    await cartService.addToCart(holder._id, property._id);
+    await waitlistService.join(waiting._id, property._id);
+    await Property.updateOne({ _id: property._id }, { $set: { expires_at: new Date(Date.now() - 60 * 1000) } });
+
+    assert.equal(await listingExpiryService.expireListings(), 1);
+
+    const expired = await Property.findById(property._id);
+    assert.equal(expired.status, 'expired');
+    assert.equal(expired.cart_status.in_cart, false);
+    assert.equal(expired.cart_status.reserved_for, undefined);
+    const cart = await Cart.findOne({ buyer: holder._id });
+    assert.equal(cart.items[0].status, 'expired');
+    const entry = await CartWaitlist.findOne({ property: property._id, buyer: waiting._id });
+    assert.equal(entry.status, 'passed');
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+const Commission = require('../models/Commission');
+const PayoutBatch = require('../models/PayoutBatch');
+const payoutService = require('../services/payoutService');
+
+const createApprovedCommissions = (broker, count) => Commission.insertMany(
+  Array.from({ length: count }, () => ({
+    broker: broker._id,
+    property: new mongoose.Types.ObjectId(),
+    property_price: 5000000,
+    commission_type: 'seller',
+    rate: 0.2,
+    amount: 10000,
+    status: 'approved'
+  }))
+);
+
+const pay = (admin, commissions, transactionId) => payoutService.createBatch(admin._id, {
+  commissionIds: commissions.map(commission => commission._id),
+  paymentMethod: 'bank_transfer',
+  transactionId
+});
+
+describe('payoutService.createBatch', () => {
+  before(db.connect);
+  after(db.disconnect);
+  beforeEach(db.clear);
+
+  it('pays a batch and links every commission to it', async () => {
+    const admin = await createUser('admin');
+    const broker = await createUser('broker');
+    const commissions = await createApprovedCommissions(broker, 2);
+
+    const batch = await pay(admin, commissions, 'UTR1');
+
+    assert.equal(batch.commission_count, 2);
+    const paid = await Commission.find({ payout_batch: batch._id, status: 'paid' });
+    assert.equal(paid.length, 2);
+  });
+
+  it('pays overlapping batches racing each other at most once, and never in part', async () => {
+    const admin = await createUser('admin');
+    const broker = await createUser('broker');
+    const [first, shared, last] = await createApprovedCommissions(broker, 3);
+
+    const results = await Promise.allSettled([
+      pay(admin, [first, shared], 'UTR-A'),
+      pay(admin, [shared, last], 'UTR-B')
+    ]);
+
+    const paidBatches = results.filter(result => result.status === 'fulfilled');
+    assert.equal(paidBatches.length, 1);
+    const { reason } = results.find(result => result.status === 'rejected');
+    assert.equal(reason.name, 'PayoutError');
+
+    const batch = paidBatches[0].value;
+    assert.equal(await PayoutBatch.countDocuments(), 1);
+    const paid = await Commission.find({ status: 'paid' });
+    assert.deepEqual(
+      paid.map(commission => commission.payout_batch.toString()),
+      [batch._id.toString(), batch._id.toString()]
+    );
+    const unpaid = await Commission.find({ status: 'approved' }).lean();
+    assert.equal(unpaid.length, 1);
+    assert.equal(unpaid[0].payout_batch, undefined);
+    assert.equal(unpaid[0].tax, undefined);
+  });
+
+  it('withholds TDS on earlier payments in the year once the threshold is crossed', async () => {
+    const admin = await createUser('admin');
+    const broker = await createUser('broker');
+    const [early, ...later] = await createApprovedCommissions(broker, 3);
+
+    // 10,000 is under the 20,000 threshold, so nothing is withheld at first
+    await pay(admin, [early], 'UTR1');
+    const first = await Commission.findById(early._id).lean();
+    assert.equal(first.tax.tds_amount, 0);
+
+    // 30,000 paid in all; with no PAN on file 20% of it is due
+    await pay(admin, later, 'UTR2');
+    const paid = await Commission.find({ _id: { $in: later.map(commission => commission._id) } }).lean();
+    const sum = (field) => paid.reduce((total, commission) => total + commission.tax[field], 0);
+    assert.equal(sum('tds_amount'), 6000);
+    assert.equal(sum('tds_catch_up'), 2000);
+  });
+
+  it('works out TDS for batches paying one broker at the same time in turn', async () => {
+    const admin = await createUser('admin');
+    const broker = await createUser('broker');
+    const [early, second, third] = await createApprovedCommissions(broker, 3);
+    await pay(admin, [early], 'UTR1');
+
+    // Neither batch alone crosses the threshold, but together they do
+    const results = await Promise.allSettled([
+      pay(admin, [second], 'UTR2'),
+      pay(admin, [third], 'UTR3')
+    ]);
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled']);
+    const paid = await Commission.find({ status: 'paid' }).lean();
+    const withheld = paid.reduce((total, commission) => total + commission.tax.tds_amount, 0);
+    assert.equal(withheld, 6000);
+  });
+});
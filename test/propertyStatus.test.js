@@ -0,0 +1,43 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser, createLiveProperty } = require('./helpers/fixtures');
+const Property = require('../models/Property');
+const PropertyStatusEvent = require('../models/PropertyStatusEvent');
+
+describe('Property.transitionTo', () => {
+  before(db.connect);
+  after(db.disconnect);
+  beforeEach(db.clear);
+
+  it('records the status change with its actor', async () => {
+    const admin = await createUser('admin');
+    const seller = await createUser('seller');
+    const property = await createLiveProperty(seller, { status: 'approved' });
+
+    await property.makeLive(admin._id);
+
+    const events = await PropertyStatusEvent.find({ property: property._id });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].to_status, 'live');
+    assert.equal(events[0].actor.toString(), admin._id.toString());
+  });
+
+  it('leaves the status unchanged when the history entry cannot be written', async () => {
+    const admin = await createUser('admin');
+    const seller = await createUser('seller');
+    const property = await createLiveProperty(seller, { status: 'approved' });
+    const create = mock.method(PropertyStatusEvent, 'create', async () => {
+      throw new Error('History unavailable');
+    });
+
+    try {
+      await assert.rejects(property.makeLive(admin._id), /History unavailable/);
+    } finally {
+      create.mock.restore();
+    }
+
+    const stored = await Property.findById(property._id);
+    assert.equal(stored.status, 'approved');
+  });
+});
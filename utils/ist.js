@@ -0,0 +1,25 @@
+// Indian Standard Time helpers. Financial years, tax quarters and broker
+// statements follow Indian dates whatever the server's own time zone.
+
+const IST_TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// { year, month } of a moment in IST; month is 1-12
+const monthOf = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return { year: ist.getUTCFullYear(), month: ist.getUTCMonth() + 1 };
+};
+
+// The moment a month starts in IST; month 13 is January of the next year
+const startOfMonth = (year, month) => new Date(Date.UTC(year, month - 1, 1) - IST_OFFSET_MS);
+
+// 'YYYY-MM-DD' of a moment in IST
+const dateKey = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+module.exports = {
+  IST_TIMEZONE,
+  IST_OFFSET_MS,
+  monthOf,
+  startOfMonth,
+  dateKey
+};
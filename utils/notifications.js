@@ -0,0 +1,27 @@
+const Notification = require('../models/Notification');
+
+// Notifies a listing's seller and assigned broker, each with a link to the
+// property in their own dashboard. A failed notification is logged and
+// never stops the action that triggered it.
+const notifyPropertyOwners = async (property, type, title, message, data = {}) => {
+  const recipients = [
+    { user: property.seller, url: `/seller/properties/${property._id}` },
+    { user: property.broker, url: `/broker/properties/${property._id}` }
+  ].filter(recipient => recipient.user);
+
+  for (const recipient of recipients) {
+    try {
+      await Notification.createNotification(recipient.user._id || recipient.user, type, title, message, {
+        ...data,
+        property_id: property._id,
+        action_url: recipient.url
+      });
+    } catch (error) {
+      console.error('Notification error:', error.message);
+    }
+  }
+};
+
+module.exports = {
+  notifyPropertyOwners
+};
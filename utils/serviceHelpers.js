@@ -0,0 +1,33 @@
+// Small helpers shared by the services.
+
+// Builds the error factory a service throws from. Routes tell the errors
+// apart by name and answer with the status, e.g.
+//   const offerError = errorFactory('OfferError');
+//   throw offerError('Offer not found', 404);
+const errorFactory = (name) => (message, status = 400) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+// Compares two ids, either of which may be a populated document
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+const formatAmount = (amount, currency = '₹') =>
+  `${currency}${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+// A Rule's number, or the fallback when the rule is missing or not a usable
+// number. 0 is a valid setting, so it does not fall back.
+const ruleValue = (rule, fallback) => {
+  const value = Number(rule?.value);
+  return rule && rule.value !== null && rule.value !== undefined && Number.isFinite(value) && value >= 0 ?
+    value : fallback;
+};
+
+module.exports = {
+  errorFactory,
+  sameId,
+  formatAmount,
+  ruleValue
+};